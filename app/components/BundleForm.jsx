@@ -0,0 +1,881 @@
+// app/components/BundleForm.jsx
+//
+// Form state and fields shared by the create and edit bundle routes. The route owns the
+// fetcher (its action answers the "resolve" intent with component totals) and the submit
+// buttons; useBundleForm keeps the field state and BundleFields renders it.
+import { useEffect, useRef, useState } from "react";
+import {
+  Badge,
+  BlockStack,
+  Box,
+  Button,
+  Checkbox,
+  ChoiceList,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import {
+  BUNDLE_TYPES,
+  DISCOUNT_TYPES,
+  MAX_OPTION_VALUES,
+  applyDiscount,
+  toQuantity,
+  validateDiscount,
+} from "../models/bundle-config";
+
+export const WEIGHT_UNITS = [
+  { label: "Grams", value: "GRAMS" },
+  { label: "Kilograms", value: "KILOGRAMS" },
+  { label: "Pounds", value: "POUNDS" },
+  { label: "Ounces", value: "OUNCES" },
+];
+
+// components: [{id, title, productTitle, quantity, bundle, substitutes: [{id, title, productTitle}],
+// choices: [{id, title, productTitle}]}] (`bundle`: the variant is a bundle itself; its
+// components are saved in its place; `choices`: other variants shoppers may pick instead)
+// slots: [{key, label, quantity, collectionId, collectionTitle, collectionHandle}]
+// optionValues: [{key, name, variantId, components, componentTotal, price, weight}] — a bundle
+// with options (optionName, e.g. "Size") is one variant per value, each with its own components
+export const EMPTY_BUNDLE = {
+  title: "",
+  status: "DRAFT",
+  description: "",
+  imageUrl: "",
+  bundleType: "FIXED",
+  components: [],
+  slots: [],
+  optionName: "",
+  optionValues: [],
+  price: "",
+  weight: "",
+  weightUnit: "GRAMS",
+  discountType: "NONE",
+  discountValue: "",
+  autoMerge: true,
+  inventorySync: false,
+};
+
+const gramsTo = (grams, unit) => {
+  if (!grams) return 0;
+  switch (unit) {
+    case "KILOGRAMS": return grams / 1000;
+    case "POUNDS":    return grams / 453.59237;
+    case "OUNCES":    return grams / 28.349523125;
+    default:          return grams;
+  }
+};
+
+const toComponentsList = (list) =>
+  list.map((c) => ({
+    variantId: c.id,
+    quantity: toQuantity(c.quantity),
+    substitutes: (c.substitutes ?? []).map((s) => s.id),
+    choices: (c.choices ?? []).map((s) => s.id),
+  }));
+
+const toComponentsPayload = (list) => JSON.stringify(toComponentsList(list));
+
+const toVariantItem = (v) => ({
+  id: v.id,
+  title: v.title || "Variant",
+  productTitle: v.productTitle || v.product?.title,
+});
+
+/**
+ * Field state for a bundle form. `initial` is EMPTY_BUNDLE-shaped (plus an optional
+ * `componentTotal`); a price or weight that starts filled in is treated as user-entered
+ * and is not overwritten by auto-fill.
+ */
+export function useBundleForm(initial, fetcher) {
+  const shopify = useAppBridge();
+  const [values, setValues] = useState(initial);
+  const [componentTotal, setComponentTotal] = useState(initial.componentTotal ?? 0);
+
+  const priceTouched = useRef(Boolean(initial.price));
+  const weightTouched = useRef(Boolean(initial.weight));
+  // Option values whose price / weight were typed ("<key>:price", "<key>:weight")
+  const valueTouched = useRef(new Set(
+    (initial.optionValues ?? []).flatMap((v) => [v.price && `${v.key}:price`, v.weight && `${v.key}:weight`]).filter(Boolean),
+  ));
+  const slotKey = useRef(initial.slots.length);
+  const optionKey = useRef(initial.optionValues?.length ?? 0);
+
+  const set = (field) => (value) => setValues((prev) => ({ ...prev, [field]: value }));
+  const { slots, optionValues, weightUnit, bundleType, discountType, discountValue } = values;
+  const hasOptions = optionValues.length > 0;
+
+  // Component lists are scoped: null is the bundle's own list, else an option value's key
+  const listOf = (scope) =>
+    scope == null ? values.components : optionValues.find((v) => v.key === scope)?.components ?? [];
+  const updateOptionValue = (key, patch) =>
+    setValues((prev) => ({
+      ...prev,
+      optionValues: prev.optionValues.map((v) => (v.key === key ? { ...v, ...patch } : v)),
+    }));
+  const setList = (scope, next) =>
+    scope == null ? set("components")(next) : updateOptionValue(scope, { components: next });
+
+  const resolveTotals = (list, scope) => {
+    const form = new FormData();
+    form.set("intent", "resolve");
+    form.set("components", toComponentsPayload(list));
+    if (scope != null) form.set("scope", scope);
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const setComponents = (next, scope = null) => {
+    setList(scope, next);
+    if (next.length) resolveTotals(next, scope);
+  };
+
+  // Pick variants via App Bridge Library (promise API)
+  const pickVariants = async (scope = null) => {
+    const components = listOf(scope);
+    const selected = await shopify.resourcePicker({
+      type: "variant",
+      multiple: true,
+      filter: { variants: true },
+      selectionIds: components.map((c) => ({ id: c.id })),
+    });
+    if (selected?.length) {
+      // Keep quantities, substitutes and choices already entered for variants that stay selected
+      const prev = new Map(components.map((c) => [c.id, c]));
+      setComponents(selected.map((v) => ({
+        ...toVariantItem(v),
+        quantity: prev.get(v.id)?.quantity ?? "1",
+        substitutes: prev.get(v.id)?.substitutes ?? [],
+        choices: prev.get(v.id)?.choices ?? [],
+      })), scope);
+    }
+  };
+
+  const setComponentQuantity = (id, value, scope = null) =>
+    setComponents(listOf(scope).map((c) => (c.id === id ? { ...c, quantity: value } : c)), scope);
+
+  // Substitutes are tried in order when the component is out of stock; they don't change
+  // the bundle's price or weight, so no totals are re-resolved
+  const setSubstitutes = (id, substitutes, scope) =>
+    setList(scope, listOf(scope).map((c) => (c.id === id ? { ...c, substitutes } : c)));
+
+  const pickSubstitutes = async (id, scope = null) => {
+    const components = listOf(scope);
+    const current = components.find((c) => c.id === id)?.substitutes ?? [];
+    const selected = await shopify.resourcePicker({
+      type: "variant",
+      multiple: true,
+      filter: { variants: true },
+      selectionIds: current.map((s) => ({ id: s.id })),
+    });
+    if (!selected) return;
+    // Keep the existing order and append new picks; a component can't substitute for itself
+    const picked = selected.filter((v) => !components.some((c) => c.id === v.id)).map(toVariantItem);
+    const pickedIds = new Set(picked.map((s) => s.id));
+    setSubstitutes(id, [
+      ...current.filter((s) => pickedIds.has(s.id)),
+      ...picked.filter((s) => !current.some((c) => c.id === s.id)),
+    ], scope);
+  };
+
+  const moveSubstitute = (id, index, scope = null) => {
+    const list = [...(listOf(scope).find((c) => c.id === id)?.substitutes ?? [])];
+    if (index < 1 || index >= list.length) return;
+    [list[index - 1], list[index]] = [list[index], list[index - 1]];
+    setSubstitutes(id, list, scope);
+  };
+
+  const removeSubstitute = (id, substituteId, scope = null) =>
+    setSubstitutes(
+      id,
+      (listOf(scope).find((c) => c.id === id)?.substitutes ?? []).filter((s) => s.id !== substituteId),
+      scope,
+    );
+
+  // Choices: other variants a shopper may pick for the component in the storefront (say,
+  // another size); the bundle price stays as it is
+  const setChoices = (id, choices, scope) =>
+    setList(scope, listOf(scope).map((c) => (c.id === id ? { ...c, choices } : c)));
+
+  const pickChoices = async (id, scope = null) => {
+    const current = listOf(scope).find((c) => c.id === id)?.choices ?? [];
+    const selected = await shopify.resourcePicker({
+      type: "variant",
+      multiple: true,
+      filter: { variants: true },
+      selectionIds: current.map((s) => ({ id: s.id })),
+    });
+    if (!selected) return;
+    setChoices(id, selected.filter((v) => v.id !== id).map(toVariantItem), scope);
+  };
+
+  const removeChoice = (id, choiceId, scope = null) =>
+    setChoices(
+      id,
+      (listOf(scope).find((c) => c.id === id)?.choices ?? []).filter((s) => s.id !== choiceId),
+      scope,
+    );
+
+  // Options: the first value starts with the components picked so far
+  const addOptionValue = () => {
+    do {
+      optionKey.current += 1;
+    } while (optionValues.some((v) => v.key === `value-${optionKey.current}`));
+    const first = !hasOptions;
+    const key = `value-${optionKey.current}`;
+    if (first && priceTouched.current) valueTouched.current.add(`${key}:price`);
+    if (first && weightTouched.current) valueTouched.current.add(`${key}:weight`);
+    set("optionValues")([...optionValues, {
+      key,
+      name: "",
+      variantId: null,
+      components: first ? values.components : [],
+      componentTotal: first ? componentTotal : 0,
+      price: first ? values.price : "",
+      weight: first ? values.weight : "",
+    }]);
+  };
+  const removeOptionValue = (key) => set("optionValues")(optionValues.filter((v) => v.key !== key));
+  const setUseOptions = (checked) => {
+    if (checked && !hasOptions) addOptionValue();
+    if (!checked) set("optionValues")([]);
+  };
+  const setValuePrice = (key, price) => {
+    valueTouched.current.add(`${key}:price`);
+    updateOptionValue(key, { price });
+  };
+  const setValueWeight = (key, weight) => {
+    valueTouched.current.add(`${key}:weight`);
+    updateOptionValue(key, { weight });
+  };
+
+  const addSlot = () => {
+    // Loaded slots keep their stored ids as keys, so skip any key already taken
+    do {
+      slotKey.current += 1;
+    } while (slots.some((s) => s.key === `slot-${slotKey.current}`));
+    set("slots")([...slots, { key: `slot-${slotKey.current}`, label: "", quantity: "1", collectionId: "" }]);
+  };
+  const updateSlot = (key, patch) => set("slots")(slots.map((s) => (s.key === key ? { ...s, ...patch } : s)));
+  const removeSlot = (key) => set("slots")(slots.filter((s) => s.key !== key));
+
+  const pickSlotCollection = async (key) => {
+    const selected = await shopify.resourcePicker({ type: "collection", multiple: false });
+    const c = selected?.[0];
+    if (c) updateSlot(key, { collectionId: c.id, collectionTitle: c.title, collectionHandle: c.handle });
+  };
+
+  // The resolve intent reports which picks are bundles themselves
+  useEffect(() => {
+    const nestedIds = fetcher.data?.nestedIds;
+    if (!nestedIds) return;
+    const nested = new Set(nestedIds);
+    const mark = (list) => list.map((c) => (nested.has(c.id) === Boolean(c.bundle) ? c : { ...c, bundle: nested.has(c.id) }));
+    const scope = fetcher.data.scope;
+    setValues((prev) => (scope == null
+      ? { ...prev, components: mark(prev.components) }
+      : {
+        ...prev,
+        optionValues: prev.optionValues.map((v) => (v.key === scope ? { ...v, components: mark(v.components) } : v)),
+      }));
+  }, [fetcher.data?.nestedIds, fetcher.data?.scope]);
+
+  // Auto-fill price/weight from server-resolved totals unless user edited
+  useEffect(() => {
+    const totals = fetcher.data?.totals;
+    if (!totals) return;
+    const scope = fetcher.data.scope;
+    if (scope != null) {
+      const weight = gramsTo(totals.grams ?? 0, weightUnit);
+      updateOptionValue(scope, {
+        componentTotal: totals.price ?? 0,
+        grams: totals.grams ?? 0,
+        ...(!valueTouched.current.has(`${scope}:price`) ? { price: String(totals.price ?? "") } : {}),
+        ...(!valueTouched.current.has(`${scope}:weight`)
+          ? { weight: weight ? String(Number(weight.toFixed(2))) : "" }
+          : {}),
+      });
+      return;
+    }
+    setComponentTotal(totals.price ?? 0);
+    if (!priceTouched.current) set("price")(String(totals.price ?? ""));
+    if (!weightTouched.current) {
+      const val = gramsTo(totals.grams ?? 0, weightUnit);
+      set("weight")(val ? String(Number(val.toFixed(2))) : "");
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fetcher.data?.totals]);
+
+  // Recompute visible weight if unit changes and user hasn't edited
+  useEffect(() => {
+    const totals = fetcher.data?.totals;
+    if (totals && fetcher.data.scope == null && !weightTouched.current) {
+      const val = gramsTo(totals.grams ?? 0, weightUnit);
+      set("weight")(val ? String(Number(val.toFixed(2))) : "");
+    }
+    setValues((prev) => ({
+      ...prev,
+      optionValues: prev.optionValues.map((v) => {
+        if (v.grams == null || valueTouched.current.has(`${v.key}:weight`)) return v;
+        const val = gramsTo(v.grams, weightUnit);
+        return { ...v, weight: val ? String(Number(val.toFixed(2))) : "" };
+      }),
+    }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [weightUnit]);
+
+  const isMixAndMatch = bundleType === "MIX_AND_MATCH";
+  const hasDefinition = isMixAndMatch
+    ? slots.length > 0 && slots.every((s) => s.collectionId)
+    : hasOptions
+      ? values.optionName.trim() !== "" && optionValues.every((v) => v.name.trim() && v.components.length > 0)
+      : values.components.length > 0;
+
+  // With a discount rule the bundle price follows the components; show what it resolves to today
+  const hasDiscount = discountType !== "NONE";
+  const discountError = validateDiscount(discountType, discountValue);
+  const priceFor = (total) => hasDiscount && !discountError && !isMixAndMatch
+    ? applyDiscount(total, { type: discountType, value: discountValue }).toFixed(2)
+    : "";
+  const derivedPrice = priceFor(componentTotal);
+
+  /** FormData for the route action (the server re-validates everything). */
+  const toFormData = (intent) => {
+    const form = new FormData();
+    form.set("intent", intent);
+    form.set("title", values.title);
+    form.set("status", values.status || "DRAFT");
+    form.set("description", values.description);
+    form.set("imageUrl", values.imageUrl);
+    form.set("components", toComponentsPayload(values.components));
+    form.set("price", values.price);
+    form.set("discountType", discountType);
+    form.set("discountValue", discountValue);
+    form.set("autoMerge", String(values.autoMerge));
+    form.set("inventorySync", String(values.inventorySync));
+    form.set("bundleType", bundleType);
+    form.set(
+      "slots",
+      JSON.stringify(slots.map((s) => ({
+        id: s.key,
+        label: s.label,
+        quantity: toQuantity(s.quantity),
+        collectionId: s.collectionId,
+        collectionTitle: s.collectionTitle,
+        collectionHandle: s.collectionHandle,
+      }))),
+    );
+    form.set(
+      "options",
+      hasOptions && !isMixAndMatch
+        ? JSON.stringify({
+          name: values.optionName,
+          values: optionValues.map((v) => ({
+            name: v.name,
+            variantId: v.variantId,
+            components: toComponentsList(v.components),
+            price: v.price,
+            weight: v.weight,
+          })),
+        })
+        : "",
+    );
+    form.set("weight", values.weight);
+    form.set("weightUnit", weightUnit);
+    return form;
+  };
+
+  return {
+    values,
+    set,
+    setPrice: (val) => { priceTouched.current = true; set("price")(val); },
+    setWeight: (val) => { weightTouched.current = true; set("weight")(val); },
+    pickVariants,
+    setComponentQuantity,
+    pickSubstitutes,
+    moveSubstitute,
+    removeSubstitute,
+    pickChoices,
+    removeChoice,
+    hasOptions,
+    setUseOptions,
+    addOptionValue,
+    updateOptionValue,
+    removeOptionValue,
+    setValuePrice,
+    setValueWeight,
+    addSlot,
+    updateSlot,
+    removeSlot,
+    pickSlotCollection,
+    isMixAndMatch,
+    hasDefinition,
+    hasDiscount,
+    discountError,
+    derivedPrice,
+    priceFor,
+    toFormData,
+  };
+}
+
+const labelOf = (options, value) => options.find((o) => o.value === value)?.label ?? value;
+
+const componentLabel = (c) =>
+  `${c.productTitle ? `${c.productTitle} — ` : ""}${c.title || "Variant"}`;
+
+const pricingLabel = (v) =>
+  v.discountType === "NONE"
+    ? labelOf(DISCOUNT_TYPES, "NONE")
+    : `${labelOf(DISCOUNT_TYPES, v.discountType)}: ${v.discountValue}${v.discountType === "PERCENTAGE" ? "%" : ""}`;
+
+/** Compare two component lists item by item (`prefix` names the option value, if any). */
+function diffComponents(compare, prefix, before, after) {
+  const prevComponents = new Map(before.map((c) => [c.id, c]));
+  const nextComponents = new Map(after.map((c) => [c.id, c]));
+  const substitutesText = (c) => (c?.substitutes ?? []).map(componentLabel).join(", ");
+  const choicesText = (c) => (c?.choices ?? []).map(componentLabel).join(", ");
+  for (const c of after) {
+    const prev = prevComponents.get(c.id);
+    compare(
+      `${prefix}Component ${componentLabel(c)}`,
+      prev ? `${toQuantity(prev.quantity)} ×` : "",
+      `${toQuantity(c.quantity)} ×`,
+    );
+    compare(`${prefix}Substitutes for ${componentLabel(c)}`, substitutesText(prev), substitutesText(c));
+    compare(`${prefix}Shopper choices for ${componentLabel(c)}`, choicesText(prev), choicesText(c));
+  }
+  for (const c of before) {
+    if (!nextComponents.has(c.id)) compare(`${prefix}Component ${componentLabel(c)}`, `${toQuantity(c.quantity)} ×`, "");
+  }
+}
+
+/**
+ * What changed between two EMPTY_BUNDLE-shaped values, as `[{ label, from, to }]`
+ * (`from`/`to` are display strings; "" means "none"). Components and slots are
+ * compared item by item so a quantity change reads as one line.
+ */
+export function diffBundleValues(before, after) {
+  const changes = [];
+  const compare = (label, a, b) => {
+    const from = String(a ?? "");
+    const to = String(b ?? "");
+    if (from !== to) changes.push({ label, from, to });
+  };
+
+  compare("Title", before.title, after.title);
+  compare("Status", before.status?.toLowerCase(), after.status?.toLowerCase());
+  if ((before.description ?? "") !== (after.description ?? "")) {
+    changes.push({ label: "Description", from: before.description ? "…" : "", to: "Updated" });
+  }
+  compare("Image URL", before.imageUrl, after.imageUrl);
+  compare("Bundle type", labelOf(BUNDLE_TYPES, before.bundleType), labelOf(BUNDLE_TYPES, after.bundleType));
+
+  diffComponents(compare, "", before.components, after.components);
+
+  // Option values are matched by key (the variant id once saved)
+  const prevValues = new Map((before.optionValues ?? []).map((v) => [v.key, v]));
+  const nextValues = new Set((after.optionValues ?? []).map((v) => v.key));
+  compare("Option", before.optionName, after.optionName);
+  for (const v of after.optionValues ?? []) {
+    const prev = prevValues.get(v.key);
+    compare("Option value", prev?.name, v.name);
+    diffComponents(compare, `${v.name}: `, prev?.components ?? [], v.components);
+    if (after.discountType === "NONE") compare(`${v.name}: Price`, prev?.price, v.price);
+    compare(`${v.name}: Weight`, prev?.weight, v.weight);
+  }
+  for (const v of before.optionValues ?? []) {
+    if (!nextValues.has(v.key)) compare("Option value", v.name, "");
+  }
+
+  const slotText = (s) => `${s.label || "Slot"}: ${toQuantity(s.quantity)} from ${s.collectionTitle || "collection"}`;
+  const prevSlots = new Map(before.slots.map((s) => [s.key, s]));
+  const nextKeys = new Set(after.slots.map((s) => s.key));
+  after.slots.forEach((s, i) => {
+    const prev = prevSlots.get(s.key);
+    compare(`Slot ${i + 1}`, prev ? slotText(prev) : "", slotText(s));
+  });
+  before.slots.forEach((s) => {
+    if (!nextKeys.has(s.key)) compare("Slot", slotText(s), "");
+  });
+
+  if (after.bundleType !== "MIX_AND_MATCH") {
+    compare("Auto-bundling", before.autoMerge ? "on" : "off", after.autoMerge ? "on" : "off");
+    compare("Stock from components", before.inventorySync ? "on" : "off", after.inventorySync ? "on" : "off");
+  }
+  compare("Pricing", pricingLabel(before), pricingLabel(after));
+  // A pricing rule recomputes the price on save, so only a typed price counts as a change
+  if (after.discountType === "NONE" || after.bundleType === "MIX_AND_MATCH") {
+    compare("Price", before.price, after.price);
+  }
+  compare(
+    "Weight",
+    before.weight ? `${before.weight} ${labelOf(WEIGHT_UNITS, before.weightUnit).toLowerCase()}` : "",
+    after.weight ? `${after.weight} ${labelOf(WEIGHT_UNITS, after.weightUnit).toLowerCase()}` : "",
+  );
+
+  return changes;
+}
+
+/**
+ * A component list with quantities, substitutes and choices; `scope` is the option value it
+ * belongs to (null: the bundle's own components).
+ */
+function ComponentList({ form, list, scope }) {
+  return (
+    <InlineStack gap="400" align="space-between" blockAlign="start">
+      <Box>
+        <Text as="h3" variant="headingMd">Component variants</Text>
+        <div style={{ marginTop: 8 }}>
+          <Button onClick={() => form.pickVariants(scope)}>
+            {list.length ? "Edit component variants" : "Choose component variants"}
+          </Button>
+        </div>
+      </Box>
+
+      {list.length > 0 && (
+        <Box paddingBlockStart="200">
+          <BlockStack gap="200">
+            {list.map((v) => (
+              <BlockStack key={v.id} gap="100">
+                <InlineStack gap="300" blockAlign="center" wrap={false}>
+                  <div style={{ width: 90 }}>
+                    <TextField
+                      label="Quantity"
+                      labelHidden
+                      type="number"
+                      min="1"
+                      value={String(v.quantity)}
+                      onChange={(val) => form.setComponentQuantity(v.id, val, scope)}
+                      autoComplete="off"
+                    />
+                  </div>
+                  <Text as="span" variant="bodyMd">
+                    × {v.productTitle ? `${v.productTitle} — ` : ""}{v.title}
+                  </Text>
+                  {v.bundle ? (
+                    <Badge tone="info">Bundle: its components are added</Badge>
+                  ) : (
+                    <>
+                      <Button variant="plain" onClick={() => form.pickSubstitutes(v.id, scope)}>
+                        {v.substitutes?.length ? "Edit substitutes" : "Add substitutes"}
+                      </Button>
+                      <Button variant="plain" onClick={() => form.pickChoices(v.id, scope)}>
+                        {v.choices?.length ? "Edit shopper choices" : "Let shoppers choose"}
+                      </Button>
+                    </>
+                  )}
+                </InlineStack>
+
+                {/* Shown as a dropdown in the storefront; the component's own variant is the default */}
+                {v.choices?.length > 0 && (
+                  <Box paddingInlineStart="1000">
+                    <BlockStack gap="100">
+                      <Text as="span" tone="subdued">Shoppers can pick instead:</Text>
+                      {v.choices.map((s) => (
+                        <InlineStack key={s.id} gap="200" blockAlign="center">
+                          <Text as="span" tone="subdued">{componentLabel(s)}</Text>
+                          <Button
+                            variant="plain"
+                            tone="critical"
+                            onClick={() => form.removeChoice(v.id, s.id, scope)}
+                          >
+                            Remove
+                          </Button>
+                        </InlineStack>
+                      ))}
+                    </BlockStack>
+                  </Box>
+                )}
+
+                {/* Used in this order when the component is out of stock */}
+                {v.substitutes?.length > 0 && (
+                  <Box paddingInlineStart="1000">
+                    <BlockStack gap="100">
+                      {v.substitutes.map((s, i) => (
+                        <InlineStack key={s.id} gap="200" blockAlign="center">
+                          <Text as="span" tone="subdued">
+                            {i === 0 ? "If out of stock, use" : "then"} {componentLabel(s)}
+                          </Text>
+                          {i > 0 && (
+                            <Button variant="plain" onClick={() => form.moveSubstitute(v.id, i, scope)}>
+                              Move up
+                            </Button>
+                          )}
+                          <Button
+                            variant="plain"
+                            tone="critical"
+                            onClick={() => form.removeSubstitute(v.id, s.id, scope)}
+                          >
+                            Remove
+                          </Button>
+                        </InlineStack>
+                      ))}
+                    </BlockStack>
+                  </Box>
+                )}
+              </BlockStack>
+            ))}
+          </BlockStack>
+        </Box>
+      )}
+    </InlineStack>
+  );
+}
+
+/**
+ * The bundle fields (product, definition, pricing, price & weight). `optionsLocked`
+ * (edit) keeps the option and its values as they are in Shopify.
+ */
+export function BundleFields({ form, optionsLocked = false }) {
+  const { values, set, isMixAndMatch, hasDiscount, discountError, derivedPrice } = form;
+  const { components, slots, discountType, discountValue } = values;
+
+  return (
+    <>
+      {/* Product core fields */}
+      <BlockStack gap="300">
+        <TextField
+          label="Bundle product title"
+          value={values.title}
+          onChange={set("title")}
+          autoComplete="off"
+          placeholder="e.g., Weekend Essentials Bundle"
+        />
+        <ChoiceList
+          title="Status"
+          titleHidden
+          choices={[
+            { label: "Draft", value: "DRAFT" },
+            { label: "Active", value: "ACTIVE" },
+          ]}
+          selected={[values.status]}
+          onChange={(selected) => set("status")(selected[0] || "DRAFT")}
+        />
+        <TextField
+          label="Description (HTML allowed)"
+          value={values.description}
+          onChange={set("description")}
+          autoComplete="off"
+          multiline={6}
+          placeholder="<p>Bundle details…</p>"
+        />
+        <TextField
+          label="Image URL (optional)"
+          value={values.imageUrl}
+          onChange={set("imageUrl")}
+          autoComplete="off"
+          placeholder="https://example.com/image.jpg"
+          helpText="MVP accepts a URL. (Direct upload via stagedUploadsCreate can be added later.)"
+        />
+      </BlockStack>
+
+      <Select
+        label="Bundle type"
+        options={BUNDLE_TYPES}
+        value={values.bundleType}
+        onChange={set("bundleType")}
+      />
+
+      {/* Mix-and-match slots: shoppers fill each slot from a collection */}
+      {isMixAndMatch && (
+        <BlockStack gap="300">
+          <Text as="h3" variant="headingMd">Choice slots</Text>
+          <Text as="p" tone="subdued">
+            e.g. “Pick any 3 socks” from one collection plus “Pick 1 hat” from another. Shoppers build the box
+            with the storefront bundle builder; the cart transform checks their picks before bundling them.
+          </Text>
+          {slots.map((slot, i) => (
+            <InlineStack key={slot.key} gap="300" blockAlign="end" wrap={false}>
+              <TextField
+                label={`Slot ${i + 1} label`}
+                value={slot.label}
+                onChange={(val) => form.updateSlot(slot.key, { label: val })}
+                autoComplete="off"
+                placeholder="Pick 3 socks"
+              />
+              <div style={{ width: 90 }}>
+                <TextField
+                  label="Quantity"
+                  type="number"
+                  min="1"
+                  value={String(slot.quantity)}
+                  onChange={(val) => form.updateSlot(slot.key, { quantity: val })}
+                  autoComplete="off"
+                />
+              </div>
+              <Button onClick={() => form.pickSlotCollection(slot.key)}>
+                {slot.collectionTitle || "Choose collection"}
+              </Button>
+              <Button tone="critical" variant="plain" onClick={() => form.removeSlot(slot.key)}>
+                Remove
+              </Button>
+            </InlineStack>
+          ))}
+          <InlineStack>
+            <Button onClick={form.addSlot}>Add slot</Button>
+          </InlineStack>
+        </BlockStack>
+      )}
+
+      {/* Options: one bundle variant per value, each with its own components */}
+      {!isMixAndMatch && !(optionsLocked && !form.hasOptions) && (
+        <BlockStack gap="300">
+          {!optionsLocked && (
+            <Checkbox
+              label="This bundle comes in options, like sizes"
+              helpText="Each option value becomes a variant of the bundle product with its own components."
+              checked={form.hasOptions}
+              onChange={form.setUseOptions}
+            />
+          )}
+          {form.hasOptions && (
+            <>
+              <TextField
+                label="Option name"
+                value={values.optionName}
+                onChange={set("optionName")}
+                autoComplete="off"
+                placeholder="Size"
+                disabled={optionsLocked}
+                helpText={optionsLocked ? "Options and their values are changed in Shopify admin." : undefined}
+              />
+              {values.optionValues.map((v, i) => (
+                <Box key={v.key} padding="300" borderWidth="025" borderColor="border" borderRadius="200">
+                  <BlockStack gap="300">
+                    <InlineStack gap="300" blockAlign="end" wrap={false}>
+                      <TextField
+                        label={`Value ${i + 1}`}
+                        value={v.name}
+                        onChange={(val) => form.updateOptionValue(v.key, { name: val })}
+                        autoComplete="off"
+                        placeholder="Small"
+                        disabled={optionsLocked}
+                      />
+                      <TextField
+                        label="Price"
+                        type="number"
+                        value={hasDiscount ? form.priceFor(v.componentTotal ?? 0) : v.price}
+                        onChange={(val) => form.setValuePrice(v.key, val)}
+                        autoComplete="off"
+                        prefix="$"
+                        min="0"
+                        disabled={hasDiscount}
+                      />
+                      <TextField
+                        label="Weight"
+                        type="number"
+                        value={v.weight}
+                        onChange={(val) => form.setValueWeight(v.key, val)}
+                        autoComplete="off"
+                        min="0"
+                      />
+                      {!optionsLocked && values.optionValues.length > 1 && (
+                        <Button tone="critical" variant="plain" onClick={() => form.removeOptionValue(v.key)}>
+                          Remove
+                        </Button>
+                      )}
+                    </InlineStack>
+                    <ComponentList form={form} list={v.components} scope={v.key} />
+                  </BlockStack>
+                </Box>
+              ))}
+              {!optionsLocked && (
+                <InlineStack>
+                  <Button
+                    onClick={form.addOptionValue}
+                    disabled={values.optionValues.length >= MAX_OPTION_VALUES}
+                  >
+                    Add option value
+                  </Button>
+                </InlineStack>
+              )}
+            </>
+          )}
+        </BlockStack>
+      )}
+
+      {/* Component variants */}
+      {!isMixAndMatch && !form.hasOptions && <ComponentList form={form} list={components} scope={null} />}
+
+      {!isMixAndMatch && (
+        <Checkbox
+          label="Automatically bundle when shoppers add all components separately"
+          helpText="The cart transform merges matching cart lines into this bundle (active bundles only)."
+          checked={values.autoMerge}
+          onChange={set("autoMerge")}
+        />
+      )}
+
+      {!isMixAndMatch && (
+        <Checkbox
+          label="Sell only as many bundles as the components have in stock"
+          helpText="Keeps this bundle’s inventory equal to what its components can fill, so it shows as sold out when one runs out."
+          checked={values.inventorySync}
+          onChange={set("inventorySync")}
+        />
+      )}
+
+      {/* Pricing rule (stored on the bundle and applied by the cart transform) */}
+      <InlineStack gap="300" blockAlign="start">
+        <Select
+          label="Bundle pricing"
+          options={DISCOUNT_TYPES}
+          value={discountType}
+          onChange={set("discountType")}
+        />
+        {hasDiscount && (
+          <TextField
+            label={discountType === "PERCENTAGE" ? "Percent off" : discountType === "AMOUNT" ? "Amount off" : "Bundle total"}
+            type="number"
+            value={discountValue}
+            onChange={set("discountValue")}
+            autoComplete="off"
+            prefix={discountType === "PERCENTAGE" ? undefined : "$"}
+            suffix={discountType === "PERCENTAGE" ? "%" : undefined}
+            min="0"
+            error={discountValue ? discountError : undefined}
+          />
+        )}
+      </InlineStack>
+
+      {/* Price & weight (auto-filled but editable); with options they are set per value above */}
+      <InlineStack gap="300">
+        {!(form.hasOptions && !isMixAndMatch) && (
+          <>
+            <TextField
+              label="Bundle price"
+              type="number"
+              value={hasDiscount && !isMixAndMatch ? derivedPrice : values.price}
+              onChange={form.setPrice}
+              autoComplete="off"
+              prefix="$"
+              min="0"
+              disabled={hasDiscount && !isMixAndMatch}
+              helpText={
+                isMixAndMatch
+                  ? "Shown on the storefront; the box is charged from the picked items and the pricing rule."
+                  : hasDiscount ? "Recalculated from component prices by the pricing rule." : undefined
+              }
+            />
+            <TextField
+              label="Bundle weight"
+              type="number"
+              value={values.weight}
+              onChange={form.setWeight}
+              autoComplete="off"
+              min="0"
+            />
+          </>
+        )}
+        <Select
+          label="Weight unit"
+          labelHidden={!(form.hasOptions && !isMixAndMatch)}
+          options={WEIGHT_UNITS}
+          value={values.weightUnit}
+          onChange={set("weightUnit")}
+        />
+      </InlineStack>
+    </>
+  );
+}
@@ -0,0 +1,114 @@
+// app/components/BundleRemovalModal.jsx
+//
+// Confirmation for archiving or deleting bundles, used by the list's bulk actions and
+// the edit page. Before a delete it asks the route action (intent "references") which
+// open orders still contain the bundles; the confirm itself is submitted by the parent.
+import { useEffect } from "react";
+import { useFetcher } from "@remix-run/react";
+import { BlockStack, List, Modal, Spinner, Text } from "@shopify/polaris";
+
+/**
+ * @param {{
+ *   mode: "archive" | "delete" | null,
+ *   bundles: { id: string, title: string }[],
+ *   loading?: boolean,
+ *   onConfirm: () => void,
+ *   onClose: () => void,
+ * }} props  `mode` null keeps the modal closed
+ */
+export function BundleRemovalModal({ mode, bundles, loading, onConfirm, onClose }) {
+  const refs = useFetcher();
+  const ids = JSON.stringify(bundles.map((b) => b.id));
+
+  useEffect(() => {
+    if (mode !== "delete") return;
+    const form = new FormData();
+    form.set("intent", "references");
+    form.set("ids", ids);
+    refs.submit(form, { method: "POST" });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, ids]);
+
+  const isDelete = mode === "delete";
+  const count = bundles.length;
+  const noun = count === 1 ? "bundle" : `${count} bundles`;
+  const titleById = new Map(bundles.map((b) => [b.id, b.title]));
+  const checking = isDelete && (refs.state !== "idle" || !refs.data);
+  const orders = refs.data?.orders ?? [];
+
+  return (
+    <Modal
+      open={Boolean(mode)}
+      onClose={onClose}
+      title={isDelete ? `Delete ${noun}?` : `Archive ${noun}?`}
+      primaryAction={{
+        content: isDelete ? "Delete" : "Archive",
+        destructive: isDelete,
+        loading,
+        disabled: checking,
+        onAction: onConfirm,
+      }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          <List type="bullet">
+            {bundles.slice(0, 10).map((b) => (
+              <List.Item key={b.id}>{b.title}</List.Item>
+            ))}
+            {count > 10 && <List.Item>+{count - 10} more…</List.Item>}
+          </List>
+
+          {!isDelete && (
+            <Text as="p">
+              Archived bundles are set to Archived, removed from every sales channel and no longer assembled
+              in the cart. Their components and pricing are kept, so you can make them active again later.
+            </Text>
+          )}
+
+          {isDelete && (
+            <>
+              <Text as="p">
+                The products, their bundle settings and sales channel listings are deleted. This can’t be undone.
+              </Text>
+
+              {checking && <Spinner size="small" accessibilityLabel="Checking open orders" />}
+
+              {!checking && refs.data?.ok === false && (
+                <Text as="p" tone="critical">Couldn’t check open orders: {refs.data.message}</Text>
+              )}
+
+              {!checking && refs.data?.ok && (
+                orders.length > 0 ? (
+                  <BlockStack gap="100">
+                    <Text as="p" tone="critical">
+                      {orders.length} open order{orders.length === 1 ? "" : "s"} still contain{orders.length === 1 ? "s" : ""} these
+                      bundles. Deleting won’t change those orders, but the bundle product will no longer be linked.
+                    </Text>
+                    <List type="bullet">
+                      {orders.slice(0, 10).map((o) => (
+                        <List.Item key={o.id}>
+                          {o.name} — {o.productIds.map((id) => titleById.get(id) ?? id).join(", ")}
+                        </List.Item>
+                      ))}
+                      {orders.length > 10 && <List.Item>+{orders.length - 10} more…</List.Item>}
+                    </List>
+                  </BlockStack>
+                ) : (
+                  <Text as="p" tone="subdued">
+                    No open orders contain {count === 1 ? "this bundle" : "these bundles"}
+                    {refs.data.complete ? "" : ` (checked the ${refs.data.scanned} most recent)`}.
+                  </Text>
+                )
+              )}
+
+              <Text as="p" tone="subdued">
+                Shopify doesn’t let apps read shoppers’ carts; carts holding a deleted bundle lose that line at checkout.
+              </Text>
+            </>
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,67 @@
+// app/components/JobProgress.jsx
+//
+// Job status, progress and actions shared by the jobs list and a job's own page. Both
+// refresh their loader data while a job is still queued or running; retry and cancel post
+// to the jobs list's action.
+import { useEffect } from "react";
+import { useFetcher, useRevalidator } from "@remix-run/react";
+import { Badge, Button, InlineStack, ProgressBar, Text } from "@shopify/polaris";
+
+const REFRESH_MS = 3000;
+const STATUS_TONES = { QUEUED: "info", RUNNING: "attention", SUCCEEDED: "success", FAILED: "critical" };
+
+export const isActiveJob = (job) => job.status === "QUEUED" || job.status === "RUNNING";
+
+/** Re-run the route's loader every few seconds while `active`. */
+export function useRefreshWhile(active) {
+  const revalidator = useRevalidator();
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [active, revalidator]);
+}
+
+/** @param {{ job: { status: string, attempts: number } }} props */
+export function JobStatus({ job }) {
+  // A QUEUED job that already ran is waiting out its retry backoff
+  const label = job.status === "QUEUED" && job.attempts > 0
+    ? "Waiting to retry"
+    : job.status.charAt(0) + job.status.slice(1).toLowerCase();
+  return <Badge tone={STATUS_TONES[job.status]}>{label}</Badge>;
+}
+
+/** @param {{ job: { status: string, progress: number, total: number | null }, width?: number }} props */
+export function JobProgress({ job, width = 120 }) {
+  const percent = job.total
+    ? Math.min(100, Math.round((job.progress / job.total) * 100))
+    : job.status === "SUCCEEDED" ? 100 : 0;
+  return (
+    <InlineStack gap="200" blockAlign="center" wrap={false}>
+      <div style={{ width }}>
+        <ProgressBar size="small" progress={percent} tone={job.status === "FAILED" ? "critical" : "highlight"} />
+      </div>
+      {job.total ? <Text as="span" variant="bodySm">{`${job.progress} of ${job.total}`}</Text> : null}
+    </InlineStack>
+  );
+}
+
+/** Retry (failed or cancelled) or Cancel (queued); nothing for other jobs. */
+export function JobActions({ job }) {
+  const fetcher = useFetcher();
+  const intent = job.status === "FAILED" || job.status === "CANCELLED"
+    ? "retry"
+    : job.status === "QUEUED" ? "cancel" : null;
+  if (!intent) return null;
+  return (
+    <fetcher.Form method="post" action="/app/jobs?index">
+      <input type="hidden" name="intent" value={intent} />
+      <input type="hidden" name="id" value={job.id} />
+      <Button submit size="slim" loading={fetcher.state !== "idle"}>
+        {intent === "retry" ? "Retry" : "Cancel"}
+      </Button>
+    </fetcher.Form>
+  );
+}
@@ -4,6 +4,10 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startBundleJobs } from "./models/bundle-jobs.server";
+
+// Pick up background jobs left queued or running by a previous process
+startBundleJobs();
 
 export const streamTimeout = 5000;
 
@@ -0,0 +1,293 @@
+// app/models/bundle-analytics.server.js
+//
+// Bundle sales, recorded from orders as they are created (orders/create webhook) and from
+// past orders (backfill job). Each order is read back from the Admin API and its bundles
+// are found three ways:
+//   - lines the cart transform expanded or merged come with a line item group naming the
+//     bundle product and variant (the group's quantity is the bundles sold);
+//   - a bundle variant sold as itself (no transform ran, e.g. it was disabled) is a line
+//     of that variant;
+//   - mix-and-match items that weren't merged still carry the builder's line properties,
+//     _bundle_parent and _bundle_instance (one instance is one bundle).
+// Only bundles the app has a record of count. An order is stored even without bundles,
+// so attach rates have every order to compare against. Recording an order again replaces
+// what was stored for it, so the webhook and a backfill can overlap.
+import db from "../db.server";
+import { normalizeComponents } from "./bundle-config";
+import { readVariantConfigs } from "./bundle-store.server";
+
+// Line properties set by the storefront bundle builder (see extensions/bundle-cart-transform/src/merge.js)
+const INSTANCE_PROPERTY = "_bundle_instance";
+const PARENT_PROPERTY = "_bundle_parent";
+
+const ORDER_IDS_PAGE_SIZE = 50;
+const LINE_ITEMS_PAGE_SIZE = 100;
+
+/* ---------------- GraphQL ---------------- */
+
+const ORDER_LINES = `#graphql
+  query BundleAnalyticsOrder($id: ID!, $after: String) {
+    order(id: $id) {
+      id
+      name
+      processedAt
+      currencyCode
+      lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $after) {
+        nodes {
+          id
+          title
+          quantity
+          variant { id }
+          customAttributes { key value }
+          discountedTotalSet { shopMoney { amount } }
+          lineItemGroup { id title quantity productId variantId }
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const ORDER_IDS = `#graphql
+  query BundleAnalyticsOrderIds($after: String, $query: String) {
+    orders(first: ${ORDER_IDS_PAGE_SIZE}, after: $after, query: $query, sortKey: PROCESSED_AT) {
+      nodes { id }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const ORDERS_COUNT = `#graphql
+  query BundleAnalyticsOrdersCount($query: String) {
+    ordersCount(query: $query, limit: null) { count }
+  }
+`;
+
+/* ---------------- Reading orders ---------------- */
+
+/** An order with all its line items (`lines`), or null when it can't be read. */
+async function fetchOrder(admin, orderId) {
+  let order = null;
+  const lines = [];
+  let after = null;
+  do {
+    const resp = await admin.graphql(ORDER_LINES, { variables: { id: orderId, after } });
+    const data = await resp.json();
+    const node = data?.data?.order;
+    if (!node) return null;
+    order = node;
+    lines.push(...(node.lineItems?.nodes ?? []));
+    after = node.lineItems?.pageInfo?.hasNextPage ? node.lineItems.pageInfo.endCursor : null;
+  } while (after);
+  return { id: order.id, name: order.name, processedAt: order.processedAt, currencyCode: order.currencyCode, lines };
+}
+
+const processedSince = (since) => (since ? `processed_at:>=${since}` : null);
+
+/** How many orders a backfill from `since` (YYYY-MM-DD, or null for all) will read. */
+export async function countOrdersSince(admin, since) {
+  const resp = await admin.graphql(ORDERS_COUNT, { variables: { query: processedSince(since) } });
+  const data = await resp.json();
+  return data?.data?.ordersCount?.count ?? null;
+}
+
+/** A page of order ids processed since `since`, oldest first: `{ ids, endCursor }` (null at the end). */
+export async function fetchOrderIdsPage(admin, { since, after = null }) {
+  const resp = await admin.graphql(ORDER_IDS, { variables: { after, query: processedSince(since) } });
+  const data = await resp.json();
+  const conn = data?.data?.orders;
+  return {
+    ids: (conn?.nodes ?? []).map((n) => n.id),
+    endCursor: conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null,
+  };
+}
+
+/* ---------------- Finding bundles ---------------- */
+
+/**
+ * The shop's bundles by product and by bundle variant, for recording orders. Load once per
+ * batch of orders.
+ */
+export async function loadBundleIndex(shop) {
+  const rows = await db.bundle.findMany({
+    where: { shop },
+    select: { productId: true, variantId: true, title: true, config: true, variantConfigs: true },
+  });
+  const byProduct = new Map();
+  const byVariant = new Map();
+  for (const row of rows) {
+    byProduct.set(row.productId, row);
+    byVariant.set(row.variantId, row);
+    for (const variantId of Object.keys(JSON.parse(row.variantConfigs || "{}"))) byVariant.set(variantId, row);
+  }
+  return { byProduct, byVariant };
+}
+
+/**
+ * List price of one bundle of `variantId`: its components' prices as snapshotted in
+ * bundle_config. Null when any price is missing or the bundle is mix and match.
+ */
+function unitListValue(row, variantId) {
+  const config = readVariantConfigs(row)[variantId ?? row.variantId];
+  if (!config || (Array.isArray(config.slots) && config.slots.length)) return null;
+  const components = normalizeComponents(config.components);
+  if (!components.length || components.some((c) => c.price == null)) return null;
+  return components.reduce((sum, c) => sum + Number(c.price) * c.quantity, 0);
+}
+
+const lineAmount = (line) => Number(line.discountedTotalSet?.shopMoney?.amount) || 0;
+const lineProperty = (line, key) => line.customAttributes?.find((a) => a.key === key)?.value || null;
+
+function toSale(row, { variantId, title, source, units, revenue }) {
+  const unitList = unitListValue(row, variantId);
+  return {
+    productId: row.productId,
+    variantId: variantId ?? null,
+    title: title || row.title,
+    source,
+    units,
+    revenue: Math.round(revenue * 100) / 100,
+    listValue: unitList == null ? null : Math.round(unitList * units * 100) / 100,
+  };
+}
+
+/** The bundles sold in `order` (from fetchOrder), as BundleSale data. */
+function findBundleSales(order, index) {
+  const sales = [];
+  const groups = new Map(); // line item group id -> { group, revenue }
+  const instances = new Map(); // _bundle_instance -> { variantId, revenue }
+
+  for (const line of order.lines) {
+    const group = line.lineItemGroup;
+    if (group?.productId && index.byProduct.has(group.productId)) {
+      const entry = groups.get(group.id) ?? { group, revenue: 0 };
+      entry.revenue += lineAmount(line);
+      groups.set(group.id, entry);
+      continue;
+    }
+
+    const row = line.variant?.id ? index.byVariant.get(line.variant.id) : null;
+    if (row) {
+      sales.push(toSale(row, {
+        variantId: line.variant.id,
+        title: line.title,
+        source: "LINE",
+        units: line.quantity,
+        revenue: lineAmount(line),
+      }));
+      continue;
+    }
+
+    const parent = lineProperty(line, PARENT_PROPERTY);
+    const instance = lineProperty(line, INSTANCE_PROPERTY);
+    if (parent && instance) {
+      const entry = instances.get(instance) ?? { variantId: `gid://shopify/ProductVariant/${parent}`, revenue: 0 };
+      entry.revenue += lineAmount(line);
+      instances.set(instance, entry);
+    }
+  }
+
+  for (const { group, revenue } of groups.values()) {
+    sales.push(toSale(index.byProduct.get(group.productId), {
+      variantId: group.variantId,
+      title: group.title,
+      source: "GROUP",
+      units: group.quantity,
+      revenue,
+    }));
+  }
+  for (const { variantId, revenue } of instances.values()) {
+    const row = index.byVariant.get(variantId);
+    if (row) sales.push(toSale(row, { variantId, source: "PROPERTIES", units: 1, revenue }));
+  }
+  return sales;
+}
+
+/**
+ * Read one order from Shopify and store it with the bundles sold in it. Pass `index`
+ * (loadBundleIndex) when recording many. Returns how many bundle sales it had, or null
+ * when the order couldn't be read.
+ */
+export async function recordOrder(admin, shop, orderId, index = null) {
+  const order = await fetchOrder(admin, orderId);
+  if (!order) return null;
+  const sales = findBundleSales(order, index ?? (await loadBundleIndex(shop)));
+
+  const processedAt = new Date(order.processedAt);
+  const fields = { name: order.name, processedAt, currencyCode: order.currencyCode };
+  const create = sales.map((s) => ({ ...s, shop, processedAt }));
+  await db.bundleOrder.upsert({
+    where: { shop_orderId: { shop, orderId: order.id } },
+    create: { ...fields, shop, orderId: order.id, sales: { create } },
+    update: { ...fields, sales: { deleteMany: {}, create } },
+  });
+  return sales.length;
+}
+
+/* ---------------- Reporting ---------------- */
+
+/**
+ * Bundle sales for orders processed in [from, to): per bundle `{ productId, title, units,
+ * revenue, orders, attachRate, averageDiscount, discountRate }`, best sellers first, plus
+ * `totals` for all bundles and the shop `currencyCode`. The average discount is per bundle
+ * sold (list value minus revenue), over sales whose list value is known; the attach rate
+ * is the share of all recorded orders that had the bundle.
+ */
+export async function bundleSalesReport(shop, { from, to }) {
+  const processedAt = { gte: from, lt: to };
+  const [orderCount, latestOrder, sales, records] = await Promise.all([
+    db.bundleOrder.count({ where: { shop, processedAt } }),
+    db.bundleOrder.findFirst({ where: { shop, processedAt }, orderBy: { processedAt: "desc" } }),
+    db.bundleSale.findMany({ where: { shop, processedAt }, orderBy: { processedAt: "asc" } }),
+    db.bundle.findMany({ where: { shop }, select: { productId: true, title: true } }),
+  ]);
+  const titleByProduct = new Map(records.map((r) => [r.productId, r.title]));
+
+  const byProduct = new Map();
+  const empty = () => ({ units: 0, revenue: 0, orders: new Set(), listValue: 0, listRevenue: 0, listUnits: 0 });
+  const add = (entry, sale) => {
+    entry.units += sale.units;
+    entry.revenue += sale.revenue;
+    entry.orders.add(sale.orderRowId);
+    if (sale.listValue != null) {
+      entry.listValue += sale.listValue;
+      entry.listRevenue += sale.revenue;
+      entry.listUnits += sale.units;
+    }
+  };
+  const all = empty();
+  for (const sale of sales) {
+    const entry = byProduct.get(sale.productId) ?? { productId: sale.productId, title: sale.title, ...empty() };
+    // Later sales carry the newer title; the current record's wins over both
+    entry.title = titleByProduct.get(sale.productId) ?? sale.title;
+    add(entry, sale);
+    add(all, sale);
+    byProduct.set(sale.productId, entry);
+  }
+
+  const summarize = ({ units, revenue, orders, listValue, listRevenue, listUnits, ...rest }) => {
+    const discount = Math.max(0, listValue - listRevenue);
+    return {
+      ...rest,
+      units,
+      revenue: Math.round(revenue * 100) / 100,
+      orders: orders.size,
+      attachRate: orderCount ? orders.size / orderCount : null,
+      averageDiscount: listUnits ? Math.round((discount / listUnits) * 100) / 100 : null,
+      discountRate: listValue ? discount / listValue : null,
+    };
+  };
+
+  return {
+    bundles: [...byProduct.values()].map(summarize).sort((a, b) => b.revenue - a.revenue || b.units - a.units),
+    totals: summarize(all),
+    orderCount,
+    currencyCode: latestOrder?.currencyCode ?? null,
+  };
+}
+
+/** When the earliest recorded order was processed, or null (nothing recorded yet). */
+export async function firstRecordedOrderAt(shop) {
+  const first = await db.bundleOrder.findFirst({ where: { shop }, orderBy: { processedAt: "asc" } });
+  return first?.processedAt ?? null;
+}
@@ -0,0 +1,333 @@
+// app/models/bundle-config.js
+//
+// A bundle's definition lives on its variant in two metafields (a bundle with options, e.g.
+// sizes, has one definition per variant, each with its own components):
+//   - custom.component_reference  list.variant_reference  (one entry per component variant,
+//                                                           then each substitute and choice)
+//   - custom.bundle_config        json                    (per-component quantities and settings)
+//
+// bundle_config also snapshots each component's list price (shop currency) plus the bundle
+// title/image, because the cart transform can only read lines already in the cart and uses
+// those prices to split the bundle price across components.
+//
+// The reference list keeps Admin/Liquid able to resolve variants; the JSON config is
+// what the cart transform reads. Bundles created before bundle_config existed only have
+// the reference list, so every reader falls back to "quantity 1 per reference".
+
+export const BUNDLE_NAMESPACE = "custom";
+export const COMPONENT_REFERENCE_KEY = "component_reference";
+export const BUNDLE_CONFIG_KEY = "bundle_config";
+export const BUNDLE_CONFIG_VERSION = 1;
+// number_integer on the bundle variant: bundles the components can fill (storefront readable)
+export const BUNDLE_AVAILABILITY_KEY = "bundle_availability";
+
+const MAX_COMPONENT_QUANTITY = 2000; // Shopify's per-line quantity limit
+const MAX_SUBSTITUTES = 5; // per component, tried in order when it is out of stock
+const MAX_CHOICES = 10; // per component, variants shoppers may pick instead of the configured one
+// Values of a bundle's option (one variant each); also how many variants the readers load
+export const MAX_OPTION_VALUES = 20;
+
+export const toQuantity = (value) => {
+  const n = parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, MAX_COMPONENT_QUANTITY);
+};
+
+// FIXED: a set list of component variants (expanded or merged by the cart transform).
+// MIX_AND_MATCH: "build your own box" — shoppers fill slots ("any 3 from collection X")
+// in the storefront builder and the cart transform merges the picks after checking them.
+export const BUNDLE_TYPES = [
+  { label: "Fixed components", value: "FIXED" },
+  { label: "Mix and match (choice slots)", value: "MIX_AND_MATCH" },
+];
+
+// How the bundle is priced relative to its components (stored as bundle_config.discount).
+// NONE keeps the bundle variant's own price; the others are recomputed from component prices.
+export const DISCOUNT_TYPES = [
+  { label: "Use bundle price as entered", value: "NONE" },
+  { label: "Percentage off components", value: "PERCENTAGE" },
+  { label: "Amount off components", value: "AMOUNT" },
+  { label: "Fixed bundle total", value: "FIXED_PRICE" },
+];
+
+const toPrice = (value) => {
+  const n = parseFloat(String(value ?? ""));
+  return Number.isFinite(n) && n >= 0 ? n.toFixed(2) : null;
+};
+
+const isVariantGid = (id) => typeof id === "string" && id.startsWith("gid://");
+
+/**
+ * Normalise user/stored input into `[{ variantId, quantity, price?, substitutes?, choices? }]`.
+ * Accepts GID strings, `{ id }`, `{ variantId, quantity, price, substitutes, choices }`;
+ * duplicate variants are summed. `substitutes` is an ordered list of variant GIDs used in
+ * place of an out-of-stock component; a variant can stand in for one component only and
+ * never for another component of the same bundle. `choices` are the other variants a
+ * shopper may pick for the component in the storefront (the component's own variant is
+ * always allowed and is the default).
+ */
+export function normalizeComponents(list) {
+  if (!Array.isArray(list)) return [];
+
+  const byId = new Map();
+  for (const item of list) {
+    const variantId =
+      typeof item === "string" ? item : item?.variantId || item?.id || null;
+    if (typeof variantId !== "string" || !variantId.startsWith("gid://")) continue;
+
+    const quantity = typeof item === "string" ? 1 : toQuantity(item?.quantity);
+    const price = typeof item === "string" ? null : toPrice(item?.price);
+    const substitutes = typeof item === "string" || !Array.isArray(item?.substitutes) ? [] : item.substitutes;
+    const choices = typeof item === "string" || !Array.isArray(item?.choices) ? [] : item.choices;
+    const prev = byId.get(variantId);
+    byId.set(variantId, {
+      variantId,
+      quantity: prev ? toQuantity(prev.quantity + quantity) : quantity,
+      ...((prev?.price ?? price) != null ? { price: prev?.price ?? price } : {}),
+      substitutes: [...(prev?.substitutes ?? []), ...substitutes],
+      choices: [...(prev?.choices ?? []), ...choices],
+    });
+  }
+
+  const toId = (item) => (typeof item === "string" ? item : item?.variantId || item?.id);
+  const taken = new Set(byId.keys());
+  return [...byId.values()].map(({ substitutes, choices, ...component }) => {
+    const list = [];
+    for (const sub of substitutes) {
+      const id = toId(sub);
+      if (!isVariantGid(id) || taken.has(id) || list.length >= MAX_SUBSTITUTES) continue;
+      taken.add(id);
+      list.push(id);
+    }
+    // Choices only have to differ from the component itself
+    const allowed = [];
+    for (const choice of choices) {
+      const id = toId(choice);
+      if (!isVariantGid(id) || id === component.variantId || allowed.includes(id) || allowed.length >= MAX_CHOICES) continue;
+      allowed.push(id);
+    }
+    return {
+      ...component,
+      ...(list.length ? { substitutes: list } : {}),
+      ...(allowed.length ? { choices: allowed } : {}),
+    };
+  });
+}
+
+/**
+ * Normalise bundle_config.contents (the picks of a bundle that nests other bundles):
+ * components plus `bundle: true` on picks that are bundles.
+ */
+export function normalizeContents(list) {
+  const bundles = new Set(
+    (Array.isArray(list) ? list : []).filter((c) => c?.bundle).map((c) => c.variantId || c.id),
+  );
+  return normalizeComponents(list).map((c) => (bundles.has(c.variantId) ? { ...c, bundle: true } : c));
+}
+
+/** Every variant a bundle's components can resolve to: components first, then substitutes and choices. */
+export function componentVariantIds(components) {
+  const ids = components.map((c) => c.variantId);
+  for (const c of components) ids.push(...(c.substitutes ?? []), ...(c.choices ?? []));
+  return [...new Set(ids)];
+}
+
+/**
+ * Normalise slot definitions to
+ * `[{ id, label, quantity, collectionId, collectionHandle?, collectionTitle? }]`.
+ * Slots without a collection are dropped.
+ */
+export function normalizeSlots(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((slot) => typeof slot?.collectionId === "string" && slot.collectionId.startsWith("gid://"))
+    .map((slot, i) => ({
+      id: String(slot.id || `slot-${i + 1}`),
+      label: String(slot.label || "").trim() || `Choose ${toQuantity(slot.quantity)}`,
+      quantity: toQuantity(slot.quantity),
+      collectionId: slot.collectionId,
+      ...(slot.collectionHandle ? { collectionHandle: slot.collectionHandle } : {}),
+      ...(slot.collectionTitle ? { collectionTitle: slot.collectionTitle } : {}),
+    }));
+}
+
+/** Validation message for a slot list, or null when valid. */
+export function validateSlots(list) {
+  if (!Array.isArray(list) || list.length === 0) return "Add at least one slot.";
+  const missing = list.findIndex((slot) => !slot?.collectionId);
+  if (missing !== -1) return `Choose a collection for slot ${missing + 1}.`;
+  return null;
+}
+
+/**
+ * Validation message for bundle options `{ name, values: [{ name, components }] }` (one
+ * product option whose values each map to their own components), or null when valid.
+ */
+export function validateBundleOptions(options) {
+  const values = Array.isArray(options?.values) ? options.values : [];
+  if (!String(options?.name ?? "").trim()) return "Enter an option name, e.g. Size.";
+  if (values.length === 0) return "Add at least one option value.";
+  if (values.length > MAX_OPTION_VALUES) return `A bundle can have at most ${MAX_OPTION_VALUES} option values.`;
+
+  const seen = new Set();
+  for (const [i, value] of values.entries()) {
+    const name = String(value?.name ?? "").trim();
+    if (!name) return `Enter a name for option value ${i + 1}.`;
+    if (seen.has(name.toLowerCase())) return `Option values must be unique (“${name}” is used twice).`;
+    seen.add(name.toLowerCase());
+    if (normalizeComponents(value?.components).length === 0) return `Pick at least one component for “${name}”.`;
+  }
+  return null;
+}
+
+/**
+ * Normalise a discount to `{ type, value }`, or null for NONE/invalid input.
+ * Percentages are clamped to 0–100; amounts must be non-negative.
+ */
+export function normalizeDiscount(discount) {
+  const type = String(discount?.type || "NONE").toUpperCase();
+  if (!DISCOUNT_TYPES.some((t) => t.value === type) || type === "NONE") return null;
+
+  const value = parseFloat(String(discount?.value ?? ""));
+  if (!Number.isFinite(value) || value < 0) return null;
+  if (type === "PERCENTAGE") return { type, value: String(Math.min(value, 100)) };
+  return { type, value: value.toFixed(2) };
+}
+
+/** Validation message for a discount form value, or null when valid. */
+export function validateDiscount(type, value) {
+  if (!type || type === "NONE") return null;
+  const n = parseFloat(String(value ?? ""));
+  if (!Number.isFinite(n) || n < 0) return "Enter a discount value of 0 or more.";
+  if (type === "PERCENTAGE" && n > 100) return "A percentage discount can't exceed 100.";
+  return null;
+}
+
+/**
+ * Bundle price for a component list total (same currency) under a discount.
+ * Returns `componentTotal` unchanged when there is no discount.
+ */
+export function applyDiscount(componentTotal, discount) {
+  const total = Number(componentTotal) || 0;
+  const d = normalizeDiscount(discount);
+  if (!d) return total;
+
+  const value = parseFloat(d.value);
+  switch (d.type) {
+    case "PERCENTAGE":  return Math.max(0, total * (1 - value / 100));
+    case "AMOUNT":      return Math.max(0, total - value);
+    case "FIXED_PRICE": return value;
+    default:            return total;
+  }
+}
+
+/**
+ * Build the JSON stored in custom.bundle_config.
+ * `priceById` maps component variant GID -> current list price (shop currency).
+ */
+export function buildBundleConfig({
+  components,
+  priceById,
+  title,
+  image,
+  currencyCode,
+  discount,
+  autoMerge,
+  inventorySync,
+  bundleType,
+  slots,
+  contents,
+}) {
+  const normalizedSlots = bundleType === "MIX_AND_MATCH" ? normalizeSlots(slots) : [];
+  // Slot bundles have no fixed components (the cart transform would otherwise expand them)
+  const list = normalizedSlots.length ? [] : normalizeComponents(components).map((c) => {
+    const price = toPrice(priceById?.get?.(c.variantId) ?? c.price);
+    return {
+      variantId: c.variantId,
+      quantity: c.quantity,
+      ...(price != null ? { price } : {}),
+      ...(c.substitutes ? { substitutes: c.substitutes } : {}),
+      ...(c.choices ? { choices: c.choices } : {}),
+    };
+  });
+
+  return {
+    version: BUNDLE_CONFIG_VERSION,
+    type: normalizedSlots.length ? "MIX_AND_MATCH" : "FIXED",
+    ...(title ? { title } : {}),
+    ...(image ? { image } : {}),
+    ...(currencyCode ? { currencyCode } : {}),
+    ...(normalizeDiscount(discount) ? { discount: normalizeDiscount(discount) } : {}),
+    // Also merge separately added component lines into this bundle (cart transform linesMerge).
+    // Mix-and-match bundles are only ever assembled by merging.
+    autoMerge: Boolean(autoMerge) || normalizedSlots.length > 0,
+    // Keep the bundle variant's inventory at what its components can fill (fixed bundles only)
+    ...(inventorySync && !normalizedSlots.length ? { inventorySync: true } : {}),
+    components: list,
+    ...(normalizedSlots.length ? { slots: normalizedSlots } : {}),
+    // As picked, when some picks were bundles themselves (components are then their leaves)
+    ...(!normalizedSlots.length && contents?.length ? { contents: normalizeContents(contents) } : {}),
+  };
+}
+
+/**
+ * Read a bundle's components from its metafields.
+ * `configJson` is the parsed custom.bundle_config (may be null);
+ * `referenceIds` are the GIDs from custom.component_reference (legacy bundles).
+ */
+export function readBundleComponents(configJson, referenceIds = []) {
+  const fromConfig = normalizeComponents(configJson?.components);
+  if (fromConfig.length) return fromConfig;
+  return normalizeComponents(referenceIds);
+}
+
+/**
+ * How many bundles the components can fill: the minimum over components of
+ * floor(stock / quantity). `components` are BundleComponent-shaped
+ * `[{ variantId, quantity, inventoryQuantity, missing?, substituteFor? }]` where a null
+ * inventoryQuantity means the variant isn't limited (untracked, or it keeps selling when
+ * out of stock). A component with substitutes counts its best-stocked alternative, since
+ * one of them is used for the whole cart line. Returns null when nothing limits the bundle.
+ */
+export function bundleAvailability(components) {
+  const byComponent = new Map(); // component variant -> best fit (Infinity: not limited)
+  for (const c of components ?? []) {
+    const fits = c.missing
+      ? 0
+      : c.inventoryQuantity == null
+        ? Infinity
+        : Math.floor(Math.max(0, c.inventoryQuantity) / toQuantity(c.quantity));
+    const key = c.substituteFor || c.variantId;
+    byComponent.set(key, Math.max(byComponent.get(key) ?? 0, fits));
+  }
+
+  const available = Math.min(...byComponent.values());
+  return Number.isFinite(available) ? available : null;
+}
+
+/**
+ * Metafield inputs for `metafieldsSet` that persist a bundle definition on `ownerId`.
+ * `details` is passed through to buildBundleConfig (priceById, title, image, currencyCode,
+ * discount, autoMerge, inventorySync, bundleType, slots, contents). Mix-and-match bundles have no reference list.
+ */
+export function bundleMetafieldsInput(ownerId, components, details = {}) {
+  const config = buildBundleConfig({ ...details, components });
+  return [
+    config.components.length > 0 && {
+      ownerId,
+      namespace: BUNDLE_NAMESPACE,
+      key: COMPONENT_REFERENCE_KEY,
+      type: "list.variant_reference",
+      value: JSON.stringify([
+        ...new Set([...componentVariantIds(config.components), ...(config.contents ?? []).map((c) => c.variantId)]),
+      ]),
+    },
+    {
+      ownerId,
+      namespace: BUNDLE_NAMESPACE,
+      key: BUNDLE_CONFIG_KEY,
+      type: "json",
+      value: JSON.stringify(config),
+    },
+  ].filter(Boolean);
+}
@@ -0,0 +1,277 @@
+// app/models/bundle-creation.server.js
+//
+// Creating a bundle takes several Admin API calls (product, option variants, price and
+// weight, metafields), and any of them can fail after the product exists. Creation is
+// therefore run as named steps recorded on a BundleCreation row: a step that fails stops
+// the run and is reported by name, and the creation can then be resumed from that step
+// or rolled back, which deletes the half-made product (its variants and metafields go
+// with it). Steps are safe to run again, so resuming never duplicates work; a run that
+// stopped without failing (the server went down) is listed as failed once it's stale.
+//
+// What happens after the steps (local record, availability, auto-bundling sync, Online
+// Store publishing) is not part of the transaction: it can be redone from Settings.
+import db from "../db.server";
+import { MAX_OPTION_VALUES } from "./bundle-config";
+import {
+  createBundleProduct,
+  saveBundleMetafields,
+  updateBundleVariant,
+  userErrorsMessage,
+} from "./bundle-product.server";
+
+export const CREATION_STEPS = [
+  { key: "product", label: "Create the product" },
+  { key: "variants", label: "Create the option values’ variants" },
+  { key: "prices", label: "Set price, weight and SKU" },
+  { key: "metafields", label: "Save the bundle’s components" },
+];
+
+// A run still IN_PROGRESS after this long has stopped: no step takes minutes
+const STALE_CREATION_MS = 10 * 60 * 1000;
+
+const stepLabel = (key) => CREATION_STEPS.find((s) => s.key === key)?.label ?? key;
+
+/* ---------------- GraphQL ---------------- */
+
+const PRODUCT_VARIANTS = `#graphql
+  query BundleCreationVariants($id: ID!) {
+    product(id: $id) {
+      id
+      variants(first: ${MAX_OPTION_VALUES}) { nodes { id selectedOptions { name value } } }
+    }
+  }
+`;
+
+// The variants for the remaining option values
+const VARIANTS_CREATE = `#graphql
+  mutation CreateBundleVariants($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkCreate(productId: $productId, variants: $variants) {
+      productVariants { id selectedOptions { name value } }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_DELETE = `#graphql
+  mutation RollBackBundleProduct($input: ProductDeleteInput!) {
+    productDelete(input: $input) {
+      deletedProductId
+      userErrors { field message }
+    }
+  }
+`;
+
+/* ---------------- Steps ---------------- */
+
+// Each step reads the plan, adds what it made to `state` and returns an error message or null
+// (`checkpoint` saves `state` at once, for ids that must survive a crash mid-step)
+const STEP_RUNNERS = {
+  async product(admin, plan, state, checkpoint) {
+    // Made by an earlier run that then failed or stopped: carry on with it
+    if (state.productId) {
+      const resp = await admin.graphql(PRODUCT_VARIANTS, { variables: { id: state.productId } });
+      const data = await resp.json();
+      const product = data?.data?.product;
+      if (!product) return "The partly created product no longer exists. Roll back and create the bundle again.";
+      const nodes = product.variants?.nodes ?? [];
+      const first = nodes.find((v) => v.selectedOptions?.[0]?.value === plan.targets[0]?.optionValue) ?? nodes[0];
+      state.variantIds = [first?.id ?? null];
+      return state.variantIds[0] ? null : "The new product has no variant to save the bundle on.";
+    }
+
+    const created = await createBundleProduct(admin, plan.productInput);
+    if (created.error) return created.error;
+    state.productId = created.product?.id ?? null;
+    state.variantIds = [created.product?.variants?.nodes?.[0]?.id ?? null];
+    if (!state.productId) return "Shopify didn’t return the new product.";
+    await checkpoint();
+    if (!state.variantIds[0]) return "The new product has no variant to save the bundle on.";
+    return null;
+  },
+
+  // Shopify only creates the first option value's variant; add the others that don't exist yet
+  async variants(admin, plan, state) {
+    if (plan.targets.length < 2) return null;
+    const resp = await admin.graphql(PRODUCT_VARIANTS, { variables: { id: state.productId } });
+    const data = await resp.json();
+    const byValue = new Map(
+      (data?.data?.product?.variants?.nodes ?? []).map((v) => [v.selectedOptions?.[0]?.value, v.id]),
+    );
+
+    const missing = plan.targets.slice(1).filter((t) => !byValue.has(t.optionValue));
+    if (missing.length) {
+      const varResp = await admin.graphql(VARIANTS_CREATE, {
+        variables: {
+          productId: state.productId,
+          variants: missing.map((t) => ({ optionValues: [{ optionName: plan.optionName, name: t.optionValue }] })),
+        },
+      });
+      const varJson = await varResp.json();
+      const varErr = userErrorsMessage(varJson?.data?.productVariantsBulkCreate?.userErrors);
+      if (varErr) return varErr;
+      for (const v of varJson?.data?.productVariantsBulkCreate?.productVariants ?? []) {
+        byValue.set(v.selectedOptions?.[0]?.value, v.id);
+      }
+    }
+
+    state.variantIds = plan.targets.map((t, i) => (i === 0 ? state.variantIds[0] : byValue.get(t.optionValue) ?? null));
+    const lost = plan.targets.find((t, i) => !state.variantIds[i]);
+    return lost ? `No variant was created for “${lost.optionValue}”.` : null;
+  },
+
+  async prices(admin, plan, state) {
+    for (const [i, target] of plan.targets.entries()) {
+      const error = await updateBundleVariant(admin, state.productId, state.variantIds[i], target.variant);
+      if (error) return plan.targets.length > 1 ? `${target.optionValue}: ${error}` : error;
+    }
+    return null;
+  },
+
+  async metafields(admin, plan, state) {
+    const priceById = new Map(plan.priceById);
+    for (const [i, target] of plan.targets.entries()) {
+      const error = await saveBundleMetafields(admin, state.variantIds[i], target.components, {
+        ...target.metafields,
+        priceById,
+        currencyCode: plan.currencyCode,
+      });
+      if (error) return plan.targets.length > 1 ? `${target.optionValue}: ${error}` : error;
+    }
+    return null;
+  },
+};
+
+/* ---------------- Runs ---------------- */
+
+/** A BundleCreation row as the create page shows it. */
+function toCreationView(row) {
+  const plan = JSON.parse(row.plan);
+  const state = JSON.parse(row.state || "{}");
+  const completed = JSON.parse(row.completed || "[]");
+  return {
+    id: row.id,
+    title: plan.productInput?.title ?? "",
+    status: row.status,
+    productId: state.productId ?? null,
+    variantIds: state.variantIds ?? [],
+    completed: completed.map(stepLabel),
+    failedStep: row.failedStep,
+    failedStepLabel: row.failedStep ? stepLabel(row.failedStep) : null,
+    error: row.error,
+    updatedAt: row.updatedAt,
+  };
+}
+
+async function runSteps(admin, row) {
+  const plan = JSON.parse(row.plan);
+  const state = JSON.parse(row.state || "{}");
+  const completed = JSON.parse(row.completed || "[]");
+  const save = (data) => db.bundleCreation.update({ where: { id: row.id }, data });
+  const checkpoint = () => save({ state: JSON.stringify(state) });
+
+  for (const step of CREATION_STEPS) {
+    if (completed.includes(step.key)) continue;
+    let error = null;
+    try {
+      error = await STEP_RUNNERS[step.key](admin, plan, state, checkpoint);
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+    if (error) {
+      const failed = await save({ status: "FAILED", failedStep: step.key, error, state: JSON.stringify(state) });
+      return { ok: false, plan, creation: toCreationView(failed) };
+    }
+    completed.push(step.key);
+    await save({ completed: JSON.stringify(completed), state: JSON.stringify(state), failedStep: null, error: null });
+  }
+
+  const done = await save({ status: "COMPLETED" });
+  return { ok: true, plan, creation: toCreationView(done) };
+}
+
+/**
+ * Create a bundle from `plan`:
+ * `{ productInput, optionName, priceById: [[variantId, price]], currencyCode, targets }`
+ * where each target is `{ optionValue, variant: { price, weight, weightUnit, sku },
+ * components, metafields }` (metafields: saveBundleMetafields details without prices).
+ * With `rollBackOnFailure` a failed creation is undone at once (when nobody is there to
+ * choose). Returns `{ ok, plan, creation }`; a failed `creation` names the step.
+ */
+export async function startBundleCreation(admin, shop, plan, { rollBackOnFailure = false } = {}) {
+  const row = await db.bundleCreation.create({ data: { shop, plan: JSON.stringify(plan) } });
+  const result = await runSteps(admin, row);
+  if (!result.ok && rollBackOnFailure) {
+    const rollbackError = await rollBackBundleCreation(admin, shop, row.id);
+    return {
+      ...result,
+      creation: { ...result.creation, status: rollbackError ? "FAILED" : "ROLLED_BACK", rollbackError },
+    };
+  }
+  return result;
+}
+
+/**
+ * Run a failed creation again from the step that failed. The row is claimed first, so a
+ * second resume of the same creation (a double submit) finds nothing to do. Returns what
+ * startBundleCreation does.
+ */
+export async function resumeBundleCreation(admin, shop, id) {
+  const { count } = await db.bundleCreation.updateMany({
+    where: { id, shop, status: "FAILED" },
+    data: { status: "IN_PROGRESS" },
+  });
+  if (count === 0) return { ok: false, message: "This bundle creation can’t be resumed." };
+  const row = await db.bundleCreation.findUnique({ where: { id } });
+  return runSteps(admin, row);
+}
+
+/**
+ * Undo a failed creation: delete the product it made, if any. Returns an error message
+ * or null.
+ */
+export async function rollBackBundleCreation(admin, shop, id) {
+  const row = await db.bundleCreation.findFirst({ where: { id, shop, status: "FAILED" } });
+  if (!row) return "This bundle creation can’t be rolled back.";
+  const { productId } = JSON.parse(row.state || "{}");
+
+  if (productId) {
+    const delResp = await admin.graphql(PRODUCT_DELETE, { variables: { input: { id: productId } } });
+    const delJson = await delResp.json();
+    const delErr = userErrorsMessage(delJson?.data?.productDelete?.userErrors);
+    // Already gone (deleted by hand) counts as rolled back
+    if (delErr && delJson?.data?.productDelete?.deletedProductId == null && !/not exist|not found/i.test(delErr)) {
+      return `Deleting the partly created product failed: ${delErr}`;
+    }
+  }
+  await db.bundleCreation.update({ where: { id }, data: { status: "ROLLED_BACK" } });
+  return null;
+}
+
+/**
+ * Mark the shop's creations that stopped part-way without failing (the server went down
+ * mid-run) as failed at their next step, so they can be resumed or rolled back like any other.
+ */
+async function failStaleCreations(shop) {
+  const rows = await db.bundleCreation.findMany({
+    where: { shop, status: "IN_PROGRESS", updatedAt: { lt: new Date(Date.now() - STALE_CREATION_MS) } },
+  });
+  for (const row of rows) {
+    const completed = JSON.parse(row.completed || "[]");
+    const step = CREATION_STEPS.find((s) => !completed.includes(s.key));
+    await db.bundleCreation.updateMany({
+      // Unless a run picked it up meanwhile
+      where: { id: row.id, status: "IN_PROGRESS", updatedAt: row.updatedAt },
+      data: { status: "FAILED", failedStep: step?.key ?? null, error: "The creation stopped before it finished." },
+    });
+  }
+}
+
+/** The shop's creations that failed or stopped part-way, waiting to be resumed or rolled back. */
+export async function listFailedCreations(shop) {
+  await failStaleCreations(shop);
+  const rows = await db.bundleCreation.findMany({
+    where: { shop, status: "FAILED" },
+    orderBy: { updatedAt: "desc" },
+  });
+  return rows.map(toCreationView);
+}
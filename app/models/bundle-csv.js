@@ -0,0 +1,210 @@
+// app/models/bundle-csv.js
+//
+// CSV layout for bundle export and import: one row per component, rows of the same bundle
+// next to each other. A bundle is keyed by its variant GID (bundle_variant_id) or SKU
+// (bundle_sku); components by component_variant_id or component_sku. Bundle fields
+// (title, status, price, weight) may be repeated on every row or only given on the first.
+//
+// Only fixed bundles take part; mix-and-match bundles have no component list. Settings the
+// CSV doesn't carry (pricing rule, auto-bundling, substitutes, choices) are kept on update.
+import { toQuantity } from "./bundle-config";
+
+export const CSV_COLUMNS = [
+  "bundle_variant_id",
+  "bundle_sku",
+  "title",
+  "status",
+  "price",
+  "weight",
+  "weight_unit",
+  "component_variant_id",
+  "component_sku",
+  "component_quantity",
+];
+
+const BUNDLE_FIELDS = ["title", "status", "price", "weight", "weight_unit"];
+const STATUSES = ["ACTIVE", "DRAFT", "ARCHIVED"];
+const WEIGHT_UNITS = ["GRAMS", "KILOGRAMS", "POUNDS", "OUNCES"];
+
+const isVariantGid = (value) => /^gid:\/\/shopify\/ProductVariant\/\d+$/.test(value);
+
+/* ---------------- Reading and writing ---------------- */
+
+/** Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into rows of cells. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Spreadsheets run a cell starting with one of these as a formula; such cells are written
+// with a leading ' (which spreadsheets show as text) and read back without it
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  const text = value == null ? "" : String(value);
+  const s = FORMULA_START.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** A cell as written, without the ' escapeCell put before a formula-like value. */
+const unescapeCell = (value) => (value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+
+/** CSV text for `records` (objects keyed by `columns`), header first, safe to open in a spreadsheet. */
+export function toCsv(records, columns = CSV_COLUMNS) {
+  return [columns, ...records.map((r) => columns.map((c) => r[c]))]
+    .map((row) => row.map(escapeCell).join(","))
+    .join("\r\n");
+}
+
+/** Hand CSV text to the browser as a file download (client only). */
+export function downloadCsv(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv;charset=utf-8" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/* ---------------- Grouping and validation ---------------- */
+
+/**
+ * Turn parsed rows into bundles. Returns `{ error }` when the header is unusable, else
+ * `{ bundles, rowErrors }`: bundles are
+ * `{ key, rows, bundleVariantId, bundleSku, title, status, price, weight, weightUnit,
+ * components: [{ row, variantId, sku, quantity }], errors }` and rowErrors
+ * `[{ row, message }]` for rows that don't belong to any bundle. `row` is the line number
+ * in the file (the header is line 1).
+ */
+export function groupImportRows(rows) {
+  const [header, ...data] = rows;
+  const columns = (header ?? []).map((c) => c.trim().toLowerCase());
+  const has = (...names) => names.some((name) => columns.includes(name));
+  const missing = [
+    !has("bundle_variant_id", "bundle_sku") && "bundle_variant_id or bundle_sku",
+    !has("component_variant_id", "component_sku") && "component_variant_id or component_sku",
+  ].filter(Boolean);
+  if (missing.length) return { error: `The file is missing columns: ${missing.join(", ")}.` };
+
+  const bundles = new Map();
+  const rowErrors = [];
+  data.forEach((cells, i) => {
+    const row = i + 2;
+    const get = (name) => {
+      const index = columns.indexOf(name);
+      return index === -1 ? "" : unescapeCell(String(cells[index] ?? "").trim());
+    };
+
+    const bundleVariantId = get("bundle_variant_id");
+    const bundleSku = get("bundle_sku");
+    if (!bundleVariantId && !bundleSku) {
+      rowErrors.push({ row, message: "Enter a bundle_variant_id or bundle_sku." });
+      return;
+    }
+    if (bundleVariantId && !isVariantGid(bundleVariantId)) {
+      rowErrors.push({ row, message: `“${bundleVariantId}” is not a variant GID.` });
+      return;
+    }
+
+    const key = bundleVariantId || `sku:${bundleSku}`;
+    const bundle = bundles.get(key) ?? {
+      key,
+      rows: [],
+      bundleVariantId: bundleVariantId || null,
+      bundleSku: bundleSku || null,
+      title: "",
+      status: "",
+      price: "",
+      weight: "",
+      weightUnit: "",
+      components: [],
+      errors: [],
+    };
+    bundles.set(key, bundle);
+    bundle.rows.push(row);
+    const fail = (message) => bundle.errors.push({ row, message });
+
+    // Bundle fields: the first value wins, a different one later is a conflict
+    for (const field of BUNDLE_FIELDS) {
+      const value = get(field);
+      const prop = field === "weight_unit" ? "weightUnit" : field;
+      if (!value) continue;
+      if (!bundle[prop]) bundle[prop] = value;
+      else if (bundle[prop] !== value) fail(`${field} “${value}” differs from “${bundle[prop]}” on an earlier row.`);
+    }
+
+    const componentVariantId = get("component_variant_id");
+    const componentSku = get("component_sku");
+    const rawQuantity = get("component_quantity") || "1";
+    if (!componentVariantId && !componentSku) return fail("Enter a component_variant_id or component_sku.");
+    if (componentVariantId && !isVariantGid(componentVariantId)) {
+      return fail(`“${componentVariantId}” is not a variant GID.`);
+    }
+    if (!/^\d+$/.test(rawQuantity) || Number(rawQuantity) < 1) {
+      return fail(`Quantity “${rawQuantity}” must be a whole number of 1 or more.`);
+    }
+    const duplicate = bundle.components.find(
+      (c) => (componentVariantId && c.variantId === componentVariantId) || (componentSku && c.sku === componentSku),
+    );
+    if (duplicate) return fail(`${componentVariantId || componentSku} is listed twice (first on line ${duplicate.row}).`);
+
+    bundle.components.push({
+      row,
+      variantId: componentVariantId || null,
+      sku: componentSku || null,
+      quantity: toQuantity(rawQuantity),
+    });
+  });
+
+  for (const bundle of bundles.values()) {
+    const first = bundle.rows[0];
+    const fail = (message) => bundle.errors.push({ row: first, message });
+    bundle.status = bundle.status.toUpperCase();
+    bundle.weightUnit = bundle.weightUnit.toUpperCase();
+    if (bundle.status && !STATUSES.includes(bundle.status)) fail(`Status must be one of ${STATUSES.join(", ")}.`);
+    if (bundle.price && !(parseFloat(bundle.price) >= 0)) fail(`Price “${bundle.price}” is not a valid amount.`);
+    if (bundle.weight && !(parseFloat(bundle.weight) >= 0)) fail(`Weight “${bundle.weight}” is not a valid number.`);
+    if (bundle.weightUnit && !WEIGHT_UNITS.includes(bundle.weightUnit)) {
+      fail(`Weight unit must be one of ${WEIGHT_UNITS.join(", ")}.`);
+    }
+  }
+
+  return { bundles: [...bundles.values()], rowErrors };
+}
@@ -0,0 +1,436 @@
+// app/models/bundle-csv.server.js
+//
+// CSV export and import of fixed bundles (file layout in ./bundle-csv). An import is
+// checked in full before anything is written (planBundleImport resolves every SKU and
+// GID and reports each row's problems), then applied one bundle at a time
+// (applyBundleImport, from the import job in ./bundle-jobs.server) through the same
+// writers as the create and edit routes, so each bundle gets its own result.
+import db from "../db.server";
+import { MAX_OPTION_VALUES, normalizeComponents, normalizeContents, readBundleComponents } from "./bundle-config";
+import { CSV_COLUMNS, groupImportRows, parseCsv, toCsv } from "./bundle-csv";
+import { updateBundleAvailability } from "./bundle-inventory.server";
+import { flattenNestedBundles, refreshParentBundles } from "./bundle-nesting.server";
+import { startBundleCreation } from "./bundle-creation.server";
+import {
+  bundleVariantPrice,
+  fetchVariantDetails,
+  publishToOnlineStore,
+  saveBundleMetafields,
+  updateBundleProduct,
+  updateBundleVariant,
+} from "./bundle-product.server";
+import { attachComponentReferences, refreshBundleRecord } from "./bundle-store.server";
+
+export { CSV_COLUMNS };
+
+// nodes(ids:) accepts up to 250 ids; SKU searches are kept short enough for the query string
+const NODES_PAGE_SIZE = 250;
+const SKU_PAGE_SIZE = 50;
+// Bundle products per export query: each brings up to MAX_OPTION_VALUES variants
+const EXPORT_PAGE_SIZE = 10;
+
+/* ---------------- GraphQL ---------------- */
+
+const BUNDLES_FOR_EXPORT = `#graphql
+  query BundlesForExport($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on Product {
+        id
+        title
+        status
+        variants(first: ${MAX_OPTION_VALUES}) {
+          nodes {
+            id
+            sku
+            price
+            inventoryItem { measurement { weight { value unit } } }
+            bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+            # Components are read by attachComponentReferences, per page of products
+            metafield(namespace: "custom", key: "component_reference") { value }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const IMPORT_VARIANT_FIELDS = `#graphql
+  fragment ImportVariant on ProductVariant {
+    id
+    sku
+    title
+    product { id title tags }
+    bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+  }
+`;
+
+const VARIANTS_BY_SKU = `#graphql
+  query ImportVariantsBySku($query: String!) {
+    productVariants(first: 250, query: $query) {
+      nodes { ...ImportVariant }
+    }
+  }
+  ${IMPORT_VARIANT_FIELDS}
+`;
+
+const VARIANTS_BY_ID = `#graphql
+  query ImportVariantsById($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant { ...ImportVariant }
+    }
+  }
+  ${IMPORT_VARIANT_FIELDS}
+`;
+
+/* ---------------- Helpers ---------------- */
+
+const isBundleVariant = (node) =>
+  Boolean(node?.bundleConfig?.jsonValue) || (node?.product?.tags ?? []).includes("bundle-app");
+
+const isMixAndMatch = (config) => Array.isArray(config?.slots) && config.slots.length > 0;
+
+const variantLabel = (node) =>
+  `${node.product?.title ?? "Product"}${node.title && node.title !== "Default Title" ? ` — ${node.title}` : ""}`;
+
+/** `sku -> [variant]` for the given SKUs (exact matches only; Shopify's search is looser). */
+async function findVariantsBySku(admin, skus) {
+  const bySku = new Map();
+  for (let i = 0; i < skus.length; i += SKU_PAGE_SIZE) {
+    const page = skus.slice(i, i + SKU_PAGE_SIZE);
+    const query = page.map((sku) => `sku:"${sku.replace(/(["\\])/g, "\\$1")}"`).join(" OR ");
+    const resp = await admin.graphql(VARIANTS_BY_SKU, { variables: { query } });
+    const data = await resp.json();
+    for (const node of data?.data?.productVariants?.nodes ?? []) {
+      if (!page.includes(node.sku)) continue;
+      bySku.set(node.sku, [...(bySku.get(node.sku) ?? []), node]);
+    }
+  }
+  return bySku;
+}
+
+/** `id -> variant` for the given variant GIDs (unknown ids are left out). */
+async function findVariantsById(admin, ids) {
+  const byId = new Map();
+  for (let i = 0; i < ids.length; i += NODES_PAGE_SIZE) {
+    const resp = await admin.graphql(VARIANTS_BY_ID, { variables: { ids: ids.slice(i, i + NODES_PAGE_SIZE) } });
+    const data = await resp.json();
+    for (const node of data?.data?.nodes ?? []) if (node?.id) byId.set(node.id, node);
+  }
+  return byId;
+}
+
+/* ---------------- Export ---------------- */
+
+/**
+ * Every fixed bundle of the shop (its Bundle records, by title) as CSV, one row per
+ * component (a bundle with options: per variant). Bundles that nest other bundles are
+ * exported as picked. Returns `{ csv, count, skipped }`; `skipped` counts mix-and-match
+ * bundles.
+ */
+export async function exportBundlesCsv(admin, shop) {
+  const records = [];
+  let count = 0;
+  let skipped = 0;
+  let cursor = null;
+  for (;;) {
+    const rows = await db.bundle.findMany({
+      where: { shop },
+      select: { id: true, productId: true },
+      orderBy: [{ title: "asc" }, { id: "asc" }],
+      take: EXPORT_PAGE_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].id;
+
+    const resp = await admin.graphql(BUNDLES_FOR_EXPORT, { variables: { ids: rows.map((r) => r.productId) } });
+    const data = await resp.json();
+    const products = (data?.data?.nodes ?? []).filter((n) => n?.__typename === "Product");
+    await attachComponentReferences(admin, products);
+    for (const product of products) {
+      for (const variant of product.variants?.nodes ?? []) {
+        const config = variant.bundleConfig?.jsonValue ?? null;
+        const refs = (variant.metafield?.references?.nodes ?? []).filter((n) => n?.id);
+        if (isMixAndMatch(config)) {
+          skipped += 1;
+          continue;
+        }
+        const contents = normalizeContents(config?.contents);
+        const components = contents.length ? contents : readBundleComponents(config, refs.map((n) => n.id));
+        if (!components.length) continue;
+
+        const skuById = new Map(refs.map((n) => [n.id, n.sku]));
+        const weight = variant.inventoryItem?.measurement?.weight;
+        count += 1;
+        components.forEach((c, i) => {
+          records.push({
+            bundle_variant_id: variant.id,
+            bundle_sku: variant.sku ?? "",
+            // Bundle fields on the first row only, so edits happen in one place
+            ...(i === 0
+              ? {
+                title: product.title,
+                status: product.status,
+                price: variant.price,
+                weight: weight?.value ?? "",
+                weight_unit: weight?.value != null ? weight.unit : "",
+              }
+              : {}),
+            component_variant_id: c.variantId,
+            component_sku: skuById.get(c.variantId) ?? "",
+            component_quantity: c.quantity,
+          });
+        });
+      }
+    }
+  }
+
+  return { csv: toCsv(records), count, skipped };
+}
+
+/* ---------------- Import: dry run ---------------- */
+
+/**
+ * Check a CSV import without writing anything. Returns `{ error }` for an unusable file,
+ * else `{ bundles, rowErrors }` where each bundle is
+ * `{ key, rows, action: "create" | "update", label, productId, variantId, sku, title,
+ * status, price, weight, weightUnit, components: [{ variantId, quantity }], errors }`;
+ * a bundle with errors must not be applied.
+ */
+export async function planBundleImport(admin, text) {
+  const grouped = groupImportRows(parseCsv(text));
+  if (grouped.error) return { error: grouped.error };
+  if (!grouped.bundles.length && !grouped.rowErrors.length) return { error: "The file has no bundle rows." };
+
+  const skus = new Set();
+  const ids = new Set();
+  for (const bundle of grouped.bundles) {
+    if (bundle.bundleVariantId) ids.add(bundle.bundleVariantId);
+    else skus.add(bundle.bundleSku);
+    for (const c of bundle.components) {
+      if (c.variantId) ids.add(c.variantId);
+      else skus.add(c.sku);
+    }
+  }
+  const bySku = await findVariantsBySku(admin, [...skus]);
+  const byId = await findVariantsById(admin, [...ids]);
+
+  const claimed = new Map(); // bundle variant -> first line it was listed on
+  const bundles = [];
+  for (const bundle of grouped.bundles) {
+    const first = bundle.rows[0];
+    const errors = [...bundle.errors];
+    const fail = (message, row = first) => errors.push({ row, message });
+
+    // Which bundle the rows are for: a known bundle variant is updated, a new SKU created
+    let target = null;
+    if (bundle.bundleVariantId) {
+      target = byId.get(bundle.bundleVariantId) ?? null;
+      if (!target) fail(`Bundle variant ${bundle.bundleVariantId} doesn’t exist.`);
+    } else {
+      const matches = bySku.get(bundle.bundleSku) ?? [];
+      if (matches.length > 1) fail(`Bundle SKU “${bundle.bundleSku}” is used by ${matches.length} variants.`);
+      else target = matches[0] ?? null;
+    }
+    if (target && !isBundleVariant(target)) {
+      fail(`${variantLabel(target)} isn’t a bundle.`);
+      target = null;
+    } else if (target && isMixAndMatch(target.bundleConfig?.jsonValue)) {
+      fail(`${variantLabel(target)} is a mix-and-match bundle; those can’t be imported.`);
+      target = null;
+    }
+    if (target) {
+      if (claimed.has(target.id)) fail(`This bundle is also listed on line ${claimed.get(target.id)}.`);
+      else claimed.set(target.id, first);
+    }
+    const action = target || bundle.bundleVariantId ? "update" : "create";
+    if (action === "create" && !bundle.title) fail("Enter a title for the new bundle.");
+
+    const components = [];
+    for (const c of bundle.components) {
+      let node = null;
+      if (c.variantId) {
+        node = byId.get(c.variantId) ?? null;
+        if (!node) fail(`Component variant ${c.variantId} doesn’t exist.`, c.row);
+      } else {
+        const matches = bySku.get(c.sku) ?? [];
+        if (!matches.length) fail(`Unknown SKU “${c.sku}”.`, c.row);
+        else if (matches.length > 1) fail(`SKU “${c.sku}” is used by ${matches.length} variants.`, c.row);
+        else node = matches[0];
+      }
+      if (!node) continue;
+      if (target && node.id === target.id) {
+        fail("A bundle can’t contain itself.", c.row);
+      } else if (components.some((x) => x.variantId === node.id)) {
+        fail(`${variantLabel(node)} is listed twice.`, c.row);
+      } else {
+        components.push({ variantId: node.id, quantity: c.quantity });
+      }
+    }
+    if (!bundle.components.length) fail("The bundle has no components.");
+
+    // Nested bundles are expanded as when saving, so cycles, depth and mix-and-match
+    // children are reported now rather than when the import is applied
+    if (components.length) {
+      const nesting = await flattenNestedBundles(admin, components, { selfProductId: target?.product?.id ?? null });
+      if (nesting.error) fail(nesting.error);
+    }
+
+    bundles.push({
+      key: bundle.key,
+      rows: bundle.rows,
+      action,
+      label: bundle.title || (target ? target.product.title : bundle.bundleSku || bundle.bundleVariantId),
+      productId: target?.product?.id ?? null,
+      variantId: target?.id ?? null,
+      sku: bundle.bundleSku,
+      title: bundle.title,
+      status: bundle.status,
+      price: bundle.price,
+      weight: bundle.weight,
+      weightUnit: bundle.weightUnit,
+      components,
+      errors: errors.sort((a, b) => a.row - b.row),
+    });
+  }
+
+  return { bundles, rowErrors: grouped.rowErrors };
+}
+
+/* ---------------- Import: apply ---------------- */
+
+/**
+ * Create or update one bundle of a checked import (a `planBundleImport` bundle).
+ * Returns `{ ok, productId, variantId, message }`; `message` names the step that failed.
+ */
+export async function applyBundleImport(admin, shop, bundle) {
+  const requested = normalizeComponents(bundle.components);
+  if (!requested.length) return { ok: false, message: "The bundle has no components." };
+  return bundle.action === "update"
+    ? updateFromImport(admin, shop, bundle, requested)
+    : createFromImport(admin, shop, bundle, requested);
+}
+
+const componentTotal = (components, priceById) =>
+  components.reduce((sum, c) => sum + (parseFloat(priceById.get(c.variantId) ?? "0") || 0) * c.quantity, 0);
+
+async function createFromImport(admin, shop, bundle, requested) {
+  const nesting = await flattenNestedBundles(admin, requested);
+  if (nesting.error) return { ok: false, message: nesting.error };
+  const details = await fetchVariantDetails(admin, nesting.components.map((c) => c.variantId));
+
+  // Recorded step by step; a failed creation is rolled back so no orphaned product is left
+  const result = await startBundleCreation(admin, shop, {
+    productInput: { title: bundle.title, status: bundle.status || "DRAFT", tags: ["bundle-app"] },
+    optionName: null,
+    priceById: [...details.priceById],
+    currencyCode: details.currencyCode,
+    targets: [{
+      optionValue: null,
+      variant: {
+        // Without a price the bundle costs what its components do
+        price: bundle.price ? parseFloat(bundle.price) : componentTotal(nesting.components, details.priceById),
+        weight: bundle.weight ? parseFloat(bundle.weight) : undefined,
+        weightUnit: bundle.weightUnit || "GRAMS",
+        sku: bundle.sku || undefined,
+      },
+      components: nesting.components,
+      metafields: { title: bundle.title, autoMerge: true, bundleType: "FIXED", contents: nesting.contents },
+    }],
+  }, { rollBackOnFailure: true });
+  if (!result.ok) {
+    const { creation } = result;
+    return {
+      ok: false,
+      message: `${creation.failedStepLabel} failed: ${creation.error}` +
+        (creation.rollbackError ? ` ${creation.rollbackError}` : creation.productId ? " The partly created product was deleted." : ""),
+    };
+  }
+  const { productId, variantIds: [variantId] } = result.creation;
+
+  const notes = await refreshLocalRecord(admin, shop, productId);
+  const pubErr = await publishToOnlineStore(admin, productId);
+  if (pubErr) notes.push(`Publishing to Online Store returned: ${pubErr}`);
+  return { ok: true, productId, variantId, message: ["Created.", ...notes].join(" ") };
+}
+
+async function updateFromImport(admin, shop, bundle, requested) {
+  const [current] = [...(await findVariantsById(admin, [bundle.variantId])).values()];
+  if (!current) return { ok: false, message: "The bundle variant no longer exists." };
+  const productId = current.product.id;
+  const config = current.bundleConfig?.jsonValue ?? {};
+
+  // Substitutes and choices aren't in the CSV: components that stay keep theirs
+  const previous = new Map(
+    [...normalizeContents(config.contents), ...readBundleComponents(config)].map((c) => [c.variantId, c]),
+  );
+  const components = requested.map((c) => ({
+    ...c,
+    substitutes: previous.get(c.variantId)?.substitutes,
+    choices: previous.get(c.variantId)?.choices,
+  }));
+
+  const nesting = await flattenNestedBundles(admin, components, { selfProductId: productId });
+  if (nesting.error) return { ok: false, productId, message: nesting.error };
+  const details = await fetchVariantDetails(admin, nesting.components.map((c) => c.variantId));
+
+  if (bundle.title || bundle.status) {
+    const updErr = await updateBundleProduct(admin, {
+      id: productId,
+      ...(bundle.title ? { title: bundle.title } : {}),
+      ...(bundle.status ? { status: bundle.status } : {}),
+    });
+    if (updErr) return { ok: false, productId, message: `Updating the product failed: ${updErr}` };
+  }
+
+  // A pricing rule keeps deriving the price from the components, as in the edit form
+  const discount = config.discount ?? null;
+  const price = discount || bundle.price
+    ? bundleVariantPrice({ components: nesting.components, discount, isMixAndMatch: false, priceStr: bundle.price }, details.priceById)
+    : undefined;
+  const variantErr = await updateBundleVariant(admin, productId, bundle.variantId, {
+    price,
+    weight: bundle.weight ? parseFloat(bundle.weight) : undefined,
+    weightUnit: bundle.weightUnit || "GRAMS",
+    sku: bundle.sku && bundle.sku !== current.sku ? bundle.sku : undefined,
+  });
+  if (variantErr) {
+    return { ok: false, productId, variantId: bundle.variantId, message: `Setting price, weight and SKU failed: ${variantErr}` };
+  }
+
+  const mfErr = await saveBundleMetafields(admin, bundle.variantId, nesting.components, {
+    priceById: details.priceById,
+    title: bundle.title || config.title || current.product.title,
+    image: config.image,
+    currencyCode: details.currencyCode,
+    discount,
+    autoMerge: Boolean(config.autoMerge),
+    inventorySync: Boolean(config.inventorySync),
+    bundleType: "FIXED",
+    contents: nesting.contents,
+  });
+  if (mfErr) {
+    return { ok: false, productId, variantId: bundle.variantId, message: `Saving the components failed: ${mfErr}` };
+  }
+
+  const notes = await refreshLocalRecord(admin, shop, productId);
+  try {
+    const parents = await refreshParentBundles(admin, shop, productId, [bundle.variantId]);
+    if (!parents.ok) notes.push(`Bundles containing this one weren’t all updated: ${parents.errors.join(" ")}`);
+  } catch (_) {
+    notes.push("Bundles containing this one weren’t updated; save them again.");
+  }
+  return { ok: true, productId, variantId: bundle.variantId, message: ["Updated.", ...notes].join(" ") };
+}
+
+/** Local record and available quantity, as after a save in the app; returns notes for the result. */
+async function refreshLocalRecord(admin, shop, productId) {
+  try {
+    await refreshBundleRecord(admin, shop, productId);
+    const availability = await updateBundleAvailability(admin, shop, { productId }, { force: true });
+    return availability.ok ? [] : [`Bundle availability wasn’t set: ${availability.errors.join(" ")}`];
+  } catch (_) {
+    return ["The app’s record of this bundle wasn’t updated; reconcile from Settings."];
+  }
+}
@@ -0,0 +1,215 @@
+// app/models/bundle-definitions.server.js
+//
+// The cart transform's linesMerge mode can't look bundles up by itself: it only sees
+// the cart. So we publish every auto-merge bundle as one JSON document on the
+// CartTransform object's app-owned metafield ($app:bundles.definitions), which the
+// function reads in its input query. Re-run the sync whenever a bundle changes.
+//
+// Mix-and-match slots are checked with `product.inCollections(ids: $slotCollectionIds)`;
+// that variable comes from the input_variables metafield written next to the definitions.
+//
+// The same sync publishes which component variants can't be sold right now
+// ($app:bundles.availability), so the function leaves bundles using them unexpanded.
+//
+// Bundles are the shop's active Bundle records (./bundle-store.server), not products
+// tagged bundle-app: a tag edited away in Shopify admin must not drop a bundle.
+import db from "../db.server";
+import { MAX_OPTION_VALUES, componentVariantIds, normalizeSlots, readBundleComponents } from "./bundle-config";
+
+export const DEFINITIONS_NAMESPACE = "$app:bundles";
+export const DEFINITIONS_KEY = "definitions";
+export const INPUT_VARIABLES_KEY = "input_variables";
+export const AVAILABILITY_KEY = "availability";
+
+// nodes(ids:) accepts up to 250 ids
+const VARIANTS_PAGE_SIZE = 250;
+// Bundle products per page: each carries MAX_OPTION_VALUES variants with two metafields,
+// which keeps a page under the Admin API's single-query cost limit
+const PRODUCTS_PAGE_SIZE = 10;
+
+/* ---------------- GraphQL ---------------- */
+
+const BUNDLE_DEFINITIONS = `#graphql
+  query BundleDefinitions($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on Product {
+        id
+        title
+        status
+        featuredImage { url }
+        variants(first: ${MAX_OPTION_VALUES}) {
+          nodes {
+            id
+            bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+            bundleRefs: metafield(namespace: "custom", key: "component_reference") { jsonValue }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Deleted variants come back as null nodes
+const COMPONENT_AVAILABILITY = `#graphql
+  query ComponentAvailability($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        availableForSale
+        product { status }
+      }
+    }
+  }
+`;
+
+const CURRENT_TRANSFORM = `#graphql
+  query CurrentCartTransform {
+    cartTransforms(first: 1) {
+      nodes { id }
+    }
+  }
+`;
+
+const DEFINITIONS_SET = `#graphql
+  mutation SaveMergeDefinitions($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+/** Shape one bundle variant into the compact definition the function reads. */
+function toVariantDefinition(product, variant) {
+  const config = variant?.bundleConfig?.jsonValue;
+  const slots = normalizeSlots(config?.slots).map(({ id, quantity, collectionId }) => ({ id, quantity, collectionId }));
+  if (!variant?.id || (!config?.autoMerge && !slots.length)) return null;
+
+  // Lines of a component's choices count as that component when merging
+  const components = slots.length
+    ? []
+    : readBundleComponents(config).map(({ variantId, quantity, choices }) => ({
+        variantId,
+        quantity,
+        ...(choices ? { choices } : {}),
+      }));
+  if (!components.length && !slots.length) return null;
+
+  return {
+    parentVariantId: variant.id,
+    title: config.title || product.title,
+    ...(config.image || product.featuredImage?.url ? { image: config.image || product.featuredImage.url } : {}),
+    ...(config.discount ? { discount: config.discount } : {}),
+    components,
+    ...(slots.length ? { slots } : {}),
+  };
+}
+
+/** The definitions of one bundle product: one per variant (a bundle with options has several). */
+export function toMergeDefinitions(product) {
+  return (product?.variants?.nodes ?? []).map((variant) => toVariantDefinition(product, variant)).filter(Boolean);
+}
+
+/**
+ * Component, substitute and choice variants of the given bundle products that can't be sold:
+ * deleted, on a product that isn't active, or out of stock without overselling.
+ */
+async function findUnavailableComponents(admin, products) {
+  const ids = new Set();
+  for (const variant of products.flatMap((p) => p?.variants?.nodes ?? [])) {
+    const refs = Array.isArray(variant?.bundleRefs?.jsonValue) ? variant.bundleRefs.jsonValue : [];
+    const components = readBundleComponents(variant?.bundleConfig?.jsonValue, refs);
+    for (const id of componentVariantIds(components)) ids.add(id);
+  }
+
+  const list = [...ids];
+  const unavailable = [];
+  for (let i = 0; i < list.length; i += VARIANTS_PAGE_SIZE) {
+    const page = list.slice(i, i + VARIANTS_PAGE_SIZE);
+    const resp = await admin.graphql(COMPONENT_AVAILABILITY, { variables: { ids: page } });
+    const data = await resp.json();
+    const nodes = data?.data?.nodes ?? [];
+    page.forEach((id, j) => {
+      const node = nodes[j];
+      if (!node?.id || !node.availableForSale || node.product?.status !== "ACTIVE") unavailable.push(id);
+    });
+  }
+  return unavailable;
+}
+
+/** The shop's active bundle products (from its Bundle records), read in pages. */
+async function fetchActiveBundles(admin, shop) {
+  const rows = await db.bundle.findMany({
+    where: { shop, status: "ACTIVE" },
+    select: { productId: true },
+    orderBy: { createdAt: "asc" },
+  });
+  const ids = rows.map((r) => r.productId);
+  const products = [];
+  for (let i = 0; i < ids.length; i += PRODUCTS_PAGE_SIZE) {
+    const resp = await admin.graphql(BUNDLE_DEFINITIONS, { variables: { ids: ids.slice(i, i + PRODUCTS_PAGE_SIZE) } });
+    const data = await resp.json();
+    // The record's status can lag behind Shopify's
+    products.push(...(data?.data?.nodes ?? []).filter((n) => n?.__typename === "Product" && n.status === "ACTIVE"));
+  }
+  return products;
+}
+
+/**
+ * Rebuild the merge definitions from all of the shop's active auto-merge bundles, and the
+ * list of unavailable components of all its active bundles, and store them on the shop's
+ * cart transform. Returns `{ ok, count, message? }`; a missing cart transform is not an
+ * error (definitions are written again when it gets enabled).
+ */
+export async function syncMergeDefinitions(admin, shop) {
+  const tResp = await admin.graphql(CURRENT_TRANSFORM);
+  const tJson = await tResp.json();
+  const cartTransformId = tJson?.data?.cartTransforms?.nodes?.[0]?.id;
+  if (!cartTransformId) {
+    return { ok: true, count: 0, message: "Cart transform is not enabled; nothing to sync." };
+  }
+
+  const products = await fetchActiveBundles(admin, shop);
+  const bundles = products.flatMap(toMergeDefinitions);
+
+  const slotCollectionIds = [
+    ...new Set(bundles.flatMap((b) => (b.slots ?? []).map((slot) => slot.collectionId))),
+  ];
+  const unavailable = await findUnavailableComponents(admin, products);
+
+  const mfResp = await admin.graphql(DEFINITIONS_SET, {
+    variables: {
+      metafields: [
+        {
+          ownerId: cartTransformId,
+          namespace: DEFINITIONS_NAMESPACE,
+          key: DEFINITIONS_KEY,
+          type: "json",
+          value: JSON.stringify({ version: 1, bundles }),
+        },
+        {
+          ownerId: cartTransformId,
+          namespace: DEFINITIONS_NAMESPACE,
+          key: INPUT_VARIABLES_KEY,
+          type: "json",
+          value: JSON.stringify({ slotCollectionIds }),
+        },
+        {
+          ownerId: cartTransformId,
+          namespace: DEFINITIONS_NAMESPACE,
+          key: AVAILABILITY_KEY,
+          type: "json",
+          value: JSON.stringify({ version: 1, unavailable }),
+        },
+      ],
+    },
+  });
+  const mfJson = await mfResp.json();
+  const mfErr = mfJson?.data?.metafieldsSet?.userErrors?.[0]?.message;
+  if (mfErr) return { ok: false, count: 0, message: mfErr };
+
+  return { ok: true, count: bundles.length };
+}
@@ -0,0 +1,345 @@
+// app/models/bundle-health.server.js
+//
+// Diagnostics for bundle products: things that make a bundle unsellable, unbundleable
+// or priced wrong, each with an automatic fix where one is safe to apply.
+//
+// diagnoseBundle is pure (product node in, issues out); checkBundleHealth loads the
+// nodes, looking each component variant up by id, and fixBundleIssue applies one fix and
+// re-syncs the local row and definitions. A bundle with options is checked on its first
+// variant.
+import { normalizeContents, readBundleComponents } from "./bundle-config";
+import { syncMergeDefinitions } from "./bundle-definitions.server";
+import { flattenNestedBundles } from "./bundle-nesting.server";
+import {
+  fetchVariantDetails,
+  findOnlineStorePublication,
+  publishToOnlineStore,
+  saveBundleMetafields,
+  updateBundleVariant,
+} from "./bundle-product.server";
+import { attachComponentReferences, refreshBundleRecord } from "./bundle-store.server";
+
+// Products per health query. Their component references are looked up afterwards, id by
+// id (attachComponentReferences), which keeps each query under the Admin API's
+// single-query cost limit and tells a deleted component from one a connection left out
+const HEALTH_PAGE_SIZE = 25;
+
+// Automatic fixes, keyed by the code stored on an issue
+export const HEALTH_FIXES = {
+  REBUILD_CONFIG: "Rebuild bundle settings",
+  REMOVE_MISSING: "Remove deleted components",
+  PUBLISH_COMPONENTS: "Publish components to Online Store",
+  PUBLISH_BUNDLE: "Publish bundle to Online Store",
+  MATCH_COMPONENT_TOTAL: "Set price to component total",
+  FLATTEN_NESTED: "Expand nested bundles",
+};
+
+/* ---------------- GraphQL ---------------- */
+
+// $checkPublication is false when the shop has no Online Store publication
+const BUNDLE_HEALTH = `#graphql
+  query BundleHealth($ids: [ID!]!, $pubId: ID!, $checkPublication: Boolean!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on Product {
+        id
+        title
+        status
+        onlineStore: publishedOnPublication(publicationId: $pubId) @include(if: $checkPublication)
+        variants(first: 1) {
+          nodes {
+            id
+            price
+            bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+            metafield(namespace: "custom", key: "component_reference") { value }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// The component variants of the bundles above; deleted ones come back as null nodes
+const HEALTH_COMPONENTS = `#graphql
+  query BundleHealthComponents($ids: [ID!]!, $pubId: ID!, $checkPublication: Boolean!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on ProductVariant {
+        id
+        title
+        price
+        inventoryQuantity
+        inventoryPolicy
+        inventoryItem { tracked }
+        nestedConfig: metafield(namespace: "custom", key: "bundle_config") { id }
+        product {
+          id
+          title
+          status
+          onlineStore: publishedOnPublication(publicationId: $pubId) @include(if: $checkPublication)
+        }
+      }
+    }
+  }
+`;
+
+/* ---------------- Diagnostics ---------------- */
+
+const issue = (code, severity, message, fix = null) => ({
+  code,
+  severity, // "critical" | "warning"
+  message,
+  ...(fix ? { fix: { code: fix, label: HEALTH_FIXES[fix] } } : {}),
+});
+
+// Tracked, not oversold, and without stock for `quantity`
+const isShort = (ref, quantity) =>
+  Boolean(ref.inventoryItem?.tracked) && ref.inventoryPolicy !== "CONTINUE" && (ref.inventoryQuantity ?? 0) < quantity;
+
+const variantLabel = (ref) =>
+  `${ref.product?.title ?? "Product"}${ref.title && ref.title !== "Default Title" ? ` — ${ref.title}` : ""}`;
+
+/**
+ * Issues for one bundle product node (BundleHealth shape, with the component variants
+ * that exist in `metafield.references.nodes`), most severe first.
+ * `onlineStore` fields are undefined when the publication check was skipped.
+ */
+export function diagnoseBundle(product) {
+  const issues = [];
+  const variant = product?.variants?.nodes?.[0];
+  if (!variant) return [issue("NO_VARIANT", "critical", "The bundle product has no variant.")];
+
+  const config = variant.bundleConfig?.jsonValue ?? null;
+  const refs = (variant.metafield?.references?.nodes ?? []).filter((n) => n?.id);
+  const refById = new Map(refs.map((n) => [n.id, n]));
+  const isMixAndMatch = Array.isArray(config?.slots) && config.slots.length > 0;
+  const components = readBundleComponents(config, refs.map((n) => n.id));
+
+  if (!config) {
+    issues.push(issue(
+      "MISSING_CONFIG",
+      "critical",
+      "The bundle variant has no bundle_config metafield, so the cart transform can’t read its quantities or pricing.",
+      refs.length ? "REBUILD_CONFIG" : null,
+    ));
+  }
+  if (!isMixAndMatch && components.length === 0) {
+    issues.push(issue("NO_COMPONENTS", "critical", "The bundle has no components."));
+  }
+
+  // Without the reference list there is nothing to resolve components against
+  const hasRefList = Boolean(variant.metafield);
+  if (!isMixAndMatch && config && components.length && !hasRefList) {
+    issues.push(issue(
+      "MISSING_REFERENCES",
+      "warning",
+      "The bundle variant has no component_reference metafield, so components can’t be checked.",
+      "REBUILD_CONFIG",
+    ));
+  }
+
+  const deleted = hasRefList ? components.filter((c) => !refById.has(c.variantId)) : [];
+  if (!isMixAndMatch && deleted.length) {
+    const remaining = components.length - deleted.length;
+    issues.push(issue(
+      "COMPONENT_DELETED",
+      "critical",
+      `${deleted.length} component variant${deleted.length === 1 ? " was" : "s were"} deleted.`,
+      remaining > 0 ? "REMOVE_MISSING" : null,
+    ));
+  }
+
+  // A substitute that is active and has stock for one bundle stands in for its component
+  const canStandIn = (id, quantity) => {
+    const ref = refById.get(id);
+    return ref?.product?.status === "ACTIVE" && !isShort(ref, quantity);
+  };
+
+  for (const c of components) {
+    const ref = refById.get(c.variantId);
+    if (!ref) continue;
+    const name = variantLabel(ref);
+    const status = ref.product?.status;
+    const substitute = (c.substitutes ?? []).find((id) => canStandIn(id, c.quantity));
+    const note = substitute ? ` ${variantLabel(refById.get(substitute))} is used instead.` : "";
+
+    if (status === "ARCHIVED") {
+      issues.push(issue("COMPONENT_ARCHIVED", substitute ? "warning" : "critical", `${name} is archived.${note}`));
+    } else if (status === "DRAFT") {
+      issues.push(issue(
+        "COMPONENT_UNPUBLISHED",
+        substitute ? "warning" : "critical",
+        `${name} is a draft, so it can’t be sold.${note}`,
+      ));
+    } else if (ref.product?.onlineStore === false) {
+      issues.push(issue(
+        "COMPONENT_NOT_ON_ONLINE_STORE",
+        "warning",
+        `${name} isn’t published to the Online Store.`,
+        "PUBLISH_COMPONENTS",
+      ));
+    }
+
+    // Saved before nesting was flattened: the function would expand only the outer level
+    if (ref.nestedConfig) {
+      issues.push(issue(
+        "COMPONENT_IS_BUNDLE",
+        "critical",
+        `${name} is a bundle itself, but its components aren’t part of this bundle.`,
+        "FLATTEN_NESTED",
+      ));
+    }
+
+    if (isShort(ref, c.quantity) && !substitute) {
+      issues.push(issue(
+        "COMPONENT_OUT_OF_STOCK",
+        "warning",
+        `${name} has ${Math.max(0, ref.inventoryQuantity ?? 0)} in stock; the bundle needs ${c.quantity}.`,
+      ));
+    }
+  }
+
+  if (product.status === "ACTIVE" && product.onlineStore === false) {
+    issues.push(issue("BUNDLE_NOT_ON_ONLINE_STORE", "warning", "The bundle isn’t published to the Online Store.", "PUBLISH_BUNDLE"));
+  }
+
+  // A pricing rule derives the price from the components; only a typed price can be off
+  if (!isMixAndMatch && !config?.discount && hasRefList && components.length && deleted.length === 0) {
+    const total = components.reduce(
+      (sum, c) => sum + (parseFloat(refById.get(c.variantId)?.price ?? "0") || 0) * c.quantity,
+      0,
+    );
+    const price = parseFloat(variant.price ?? "0") || 0;
+    if (price > total + 0.005) {
+      issues.push(issue(
+        "PRICE_ABOVE_COMPONENTS",
+        "warning",
+        `The bundle costs ${price.toFixed(2)}, more than its components bought separately (${total.toFixed(2)}).`,
+        "MATCH_COMPONENT_TOTAL",
+      ));
+    }
+  }
+
+  const rank = { critical: 0, warning: 1 };
+  return issues.sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
+
+/* ---------------- Admin API ---------------- */
+
+async function loadHealthNodes(admin, productIds) {
+  const publicationId = await findOnlineStorePublication(admin);
+  const publication = {
+    pubId: publicationId ?? "gid://shopify/Publication/0",
+    checkPublication: Boolean(publicationId),
+  };
+  const byId = new Map();
+  for (let i = 0; i < productIds.length; i += HEALTH_PAGE_SIZE) {
+    const resp = await admin.graphql(BUNDLE_HEALTH, {
+      variables: { ...publication, ids: productIds.slice(i, i + HEALTH_PAGE_SIZE) },
+    });
+    const data = await resp.json();
+    for (const node of data?.data?.nodes ?? []) {
+      if (node?.__typename === "Product") byId.set(node.id, node);
+    }
+  }
+  // Only a component Shopify has no variant for is reported (and removed) as deleted
+  await attachComponentReferences(admin, [...byId.values()], { query: HEALTH_COMPONENTS, variables: publication });
+  return byId;
+}
+
+/** Issues per bundle: `{ [productId]: issue[] }` (deleted products are left out). */
+export async function checkBundleHealth(admin, productIds) {
+  const nodes = await loadHealthNodes(admin, productIds);
+  return Object.fromEntries([...nodes].map(([id, product]) => [id, diagnoseBundle(product)]));
+}
+
+/**
+ * Apply one automatic fix to a bundle. Returns `{ ok, message }`.
+ * Fixes are re-checked against current data first, so a stale "Fix" click is harmless.
+ */
+export async function fixBundleIssue(admin, shop, productId, fixCode) {
+  const product = (await loadHealthNodes(admin, [productId])).get(productId);
+  if (!product) return { ok: false, message: "Bundle not found." };
+  const issues = diagnoseBundle(product);
+  if (!issues.some((i) => i.fix?.code === fixCode)) {
+    return { ok: true, message: "Nothing to fix; the issue is already resolved." };
+  }
+
+  const variant = product.variants.nodes[0];
+  const config = variant.bundleConfig?.jsonValue ?? null;
+  const refs = (variant.metafield?.references?.nodes ?? []).filter((n) => n?.id);
+  const refById = new Map(refs.map((n) => [n.id, n]));
+  const components = readBundleComponents(config, refs.map((n) => n.id));
+  let error = null;
+
+  switch (fixCode) {
+    case "REBUILD_CONFIG":
+    case "REMOVE_MISSING": {
+      const kept = variant.metafield ? components.filter((c) => refById.has(c.variantId)) : components;
+      error = await saveBundleMetafields(admin, variant.id, kept, {
+        priceById: new Map(refs.map((n) => [n.id, n.price])),
+        title: config?.title || product.title,
+        image: config?.image,
+        currencyCode: config?.currencyCode,
+        discount: config?.discount,
+        autoMerge: config?.autoMerge,
+        inventorySync: config?.inventorySync,
+        bundleType: config?.type,
+        slots: config?.slots,
+        contents: config?.contents,
+      });
+      break;
+    }
+    case "FLATTEN_NESTED": {
+      const picked = normalizeContents(config?.contents);
+      const nesting = await flattenNestedBundles(admin, picked.length ? picked : components, { selfProductId: productId });
+      if (nesting.error) return { ok: false, message: nesting.error };
+      const details = await fetchVariantDetails(admin, nesting.components.map((c) => c.variantId));
+      error = await saveBundleMetafields(admin, variant.id, nesting.components, {
+        priceById: details.priceById,
+        title: config?.title || product.title,
+        image: config?.image,
+        currencyCode: details.currencyCode,
+        discount: config?.discount,
+        autoMerge: config?.autoMerge,
+        inventorySync: config?.inventorySync,
+        bundleType: config?.type,
+        contents: nesting.contents,
+      });
+      break;
+    }
+    case "PUBLISH_COMPONENTS": {
+      const productIds = new Set(
+        components
+          .map((c) => refById.get(c.variantId)?.product)
+          .filter((p) => p && p.status === "ACTIVE" && p.onlineStore === false)
+          .map((p) => p.id),
+      );
+      for (const id of productIds) {
+        error = (await publishToOnlineStore(admin, id)) || error;
+      }
+      break;
+    }
+    case "PUBLISH_BUNDLE":
+      error = await publishToOnlineStore(admin, productId);
+      break;
+    case "MATCH_COMPONENT_TOTAL": {
+      const total = components.reduce(
+        (sum, c) => sum + (parseFloat(refById.get(c.variantId)?.price ?? "0") || 0) * c.quantity,
+        0,
+      );
+      error = await updateBundleVariant(admin, productId, variant.id, { price: total });
+      break;
+    }
+    default:
+      return { ok: false, message: `Unknown fix "${fixCode}".` };
+  }
+  if (error) return { ok: false, message: error };
+
+  await refreshBundleRecord(admin, shop, productId);
+  if (["REBUILD_CONFIG", "REMOVE_MISSING", "FLATTEN_NESTED"].includes(fixCode)) {
+    const sync = await syncMergeDefinitions(admin, shop);
+    if (!sync.ok) return { ok: true, message: `Fixed, but auto-bundling definitions were not updated: ${sync.message}` };
+  }
+  return { ok: true, message: `${HEALTH_FIXES[fixCode]}: done.` };
+}
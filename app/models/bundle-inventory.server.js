@@ -0,0 +1,187 @@
+// app/models/bundle-inventory.server.js
+//
+// Bundle availability: how many bundles the components' stock can fill right now
+// (bundleAvailability in bundle-config.js), computed from the BundleComponent rows that
+// the inventory webhooks keep current.
+//
+// The number is published on the bundle variant as custom.bundle_availability, which the
+// storefront blocks read to stop selling a bundle that can't be fulfilled. A bundle with
+// bundle_config.inventorySync also gets its own tracked inventory set to that number (at
+// its first inventory location), so Shopify itself marks it sold out on every channel.
+// A bundle with options gets a number per variant, each from that variant's components.
+import db from "../db.server";
+import { BUNDLE_AVAILABILITY_KEY, BUNDLE_NAMESPACE, bundleAvailability } from "./bundle-config";
+
+/* ---------------- GraphQL ---------------- */
+
+const AVAILABILITY_SET = `#graphql
+  mutation SetBundleAvailability($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const AVAILABILITY_DELETE = `#graphql
+  mutation ClearBundleAvailability($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const BUNDLE_VARIANT_INVENTORY = `#graphql
+  query BundleVariantInventory($id: ID!) {
+    productVariant(id: $id) {
+      id
+      inventoryPolicy
+      inventoryItem {
+        id
+        tracked
+        inventoryLevels(first: 1) {
+          nodes { location { id } }
+        }
+      }
+    }
+  }
+`;
+
+const TRACK_BUNDLE_INVENTORY = `#graphql
+  mutation TrackBundleInventory($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const SET_BUNDLE_INVENTORY = `#graphql
+  mutation SetBundleInventory($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      userErrors { field message }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+/** Write (or clear, when nothing limits the bundle) custom.bundle_availability. */
+async function writeAvailabilityMetafield(admin, variantId, available) {
+  if (available == null) {
+    const resp = await admin.graphql(AVAILABILITY_DELETE, {
+      variables: { metafields: [{ ownerId: variantId, namespace: BUNDLE_NAMESPACE, key: BUNDLE_AVAILABILITY_KEY }] },
+    });
+    const data = await resp.json();
+    return data?.data?.metafieldsDelete?.userErrors?.[0]?.message || null;
+  }
+
+  const resp = await admin.graphql(AVAILABILITY_SET, {
+    variables: {
+      metafields: [{
+        ownerId: variantId,
+        namespace: BUNDLE_NAMESPACE,
+        key: BUNDLE_AVAILABILITY_KEY,
+        type: "number_integer",
+        value: String(available),
+      }],
+    },
+  });
+  const data = await resp.json();
+  return data?.data?.metafieldsSet?.userErrors?.[0]?.message || null;
+}
+
+/**
+ * Set the bundle variant's own stock to `quantity`, turning on tracking (and "stop selling
+ * when out of stock") first if needed. Returns an error message or null.
+ */
+async function setBundleInventory(admin, productId, variantId, quantity) {
+  const resp = await admin.graphql(BUNDLE_VARIANT_INVENTORY, { variables: { id: variantId } });
+  const data = await resp.json();
+  const variant = data?.data?.productVariant;
+  if (!variant?.inventoryItem) return "The bundle variant was not found.";
+
+  if (!variant.inventoryItem.tracked || variant.inventoryPolicy !== "DENY") {
+    const trackResp = await admin.graphql(TRACK_BUNDLE_INVENTORY, {
+      variables: {
+        productId,
+        variants: [{ id: variant.id, inventoryPolicy: "DENY", inventoryItem: { tracked: true } }],
+      },
+    });
+    const trackJson = await trackResp.json();
+    const trackErr = trackJson?.data?.productVariantsBulkUpdate?.userErrors?.[0]?.message;
+    if (trackErr) return trackErr;
+  }
+
+  const locationId = variant.inventoryItem.inventoryLevels?.nodes?.[0]?.location?.id;
+  if (!locationId) return "The bundle isn’t stocked at any location, so its inventory can’t be set.";
+
+  const setResp = await admin.graphql(SET_BUNDLE_INVENTORY, {
+    variables: {
+      input: {
+        name: "available",
+        reason: "correction",
+        ignoreCompareQuantity: true,
+        quantities: [{ inventoryItemId: variant.inventoryItem.id, locationId, quantity }],
+      },
+    },
+  });
+  const setJson = await setResp.json();
+  return setJson?.data?.inventorySetQuantities?.userErrors?.[0]?.message || null;
+}
+
+/** Availability of each bundle variant of a row, from its component rows. */
+function availabilityByVariant(bundle) {
+  const byVariant = new Map();
+  for (const c of bundle.components) {
+    const id = c.bundleVariantId || bundle.variantId;
+    byVariant.set(id, [...(byVariant.get(id) ?? []), c]);
+  }
+  return Object.fromEntries([...byVariant].map(([id, rows]) => [id, bundleAvailability(rows)]));
+}
+
+/* ---------------- Availability ---------------- */
+
+/**
+ * Recompute availability for the shop's fixed bundles matching `where` (a Prisma Bundle
+ * filter) and publish the variants whose number changed; `force` republishes unchanged
+ * ones too. Returns `{ ok, updated, errors }`; a failed bundle keeps its old numbers so
+ * it is retried.
+ */
+export async function updateBundleAvailability(admin, shop, where = {}, { force = false } = {}) {
+  const bundles = await db.bundle.findMany({
+    where: { ...where, shop, type: "FIXED" },
+    include: { components: true },
+  });
+
+  const errors = [];
+  let updated = 0;
+  for (const bundle of bundles) {
+    const next = availabilityByVariant(bundle);
+    const previous = JSON.parse(bundle.variantAvailability || "{}");
+    const changed = Object.keys(next).filter((id) => force || next[id] !== (previous[id] ?? null));
+    if (!changed.length) continue;
+
+    let error = null;
+    for (const variantId of changed) {
+      const available = next[variantId];
+      error = await writeAvailabilityMetafield(admin, variantId, available);
+      if (!error && bundle.inventorySync && available != null) {
+        error = await setBundleInventory(admin, bundle.productId, variantId, available);
+      }
+      if (error) break;
+    }
+    if (error) {
+      errors.push(`${bundle.title}: ${error}`);
+      continue;
+    }
+
+    // The row's number is the best any variant can do (null: some variant isn't limited)
+    const values = Object.values(next);
+    const availableQuantity = values.some((n) => n == null) ? null : Math.max(...values);
+    await db.bundle.update({
+      where: { id: bundle.id },
+      data: { availableQuantity, variantAvailability: JSON.stringify(next) },
+    });
+    updated += 1;
+  }
+  return { ok: errors.length === 0, updated, errors };
+}
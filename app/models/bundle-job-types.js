@@ -0,0 +1,21 @@
+// app/models/bundle-job-types.js
+//
+// Background job types (handlers in ./bundle-jobs.server) and their names in the admin.
+
+export const JOB_TYPES = {
+  IMPORT: "bundle-import",
+  REPRICE: "bundle-reprice",
+  SYNC: "sync-definitions",
+  RECONCILE: "reconcile-bundles",
+  BACKFILL: "analytics-backfill",
+};
+
+const JOB_LABELS = {
+  [JOB_TYPES.IMPORT]: "Import bundles",
+  [JOB_TYPES.REPRICE]: "Re-price bundles",
+  [JOB_TYPES.SYNC]: "Sync auto-bundling definitions",
+  [JOB_TYPES.RECONCILE]: "Reconcile bundle records",
+  [JOB_TYPES.BACKFILL]: "Backfill bundle analytics",
+};
+
+export const jobLabel = (type) => JOB_LABELS[type] ?? type;
@@ -0,0 +1,164 @@
+// app/models/bundle-jobs.server.js
+//
+// The app's background jobs (types in ./bundle-job-types), run by ./job-queue.server:
+// applying a CSV import (checked again in the job), re-pricing bundles from their
+// components' current prices (also queued by the products/update webhook when a
+// component's price changes), syncing auto-bundling definitions and reconciling the local
+// bundle records, and reading past orders into the bundle analytics. queueBundleJob queues
+// one and wakes the worker.
+import db from "../db.server";
+import { countOrdersSince, fetchOrderIdsPage, loadBundleIndex, recordOrder } from "./bundle-analytics.server";
+import { JOB_TYPES } from "./bundle-job-types";
+import { applyBundleImport, planBundleImport } from "./bundle-csv.server";
+import { syncMergeDefinitions } from "./bundle-definitions.server";
+import { updateBundleAvailability } from "./bundle-inventory.server";
+import { ensureBundleDefinitions, refreshBundlePrices } from "./bundle-product.server";
+import { reconcileBundles, refreshBundleRecord } from "./bundle-store.server";
+import { enqueueJob, retryJob, startJobWorker } from "./job-queue.server";
+
+/* ---------------- Handlers ---------------- */
+
+/**
+ * Create or update the bundles of a CSV import (payload `{ csv }`). The file is checked
+ * again here (planBundleImport), so only what the server planned is written: a bundle with
+ * errors is reported as failed, not applied, as is one that fails to apply; neither is
+ * retried. The state is the plan and the results so far, so a retry continues with the
+ * next bundle of the same plan.
+ */
+async function importBundles({ admin, shop, payload, state, progress }) {
+  let bundles = state?.bundles;
+  const results = state?.results ?? [];
+  if (!bundles) {
+    const plan = await planBundleImport(admin, String(payload?.csv ?? ""));
+    if (plan.error) throw new Error(plan.error);
+    bundles = plan.bundles;
+    await progress(0, bundles.length, { bundles, results });
+  }
+  if (!results.length) await ensureBundleDefinitions(admin);
+
+  for (let i = results.length; i < bundles.length; i += 1) {
+    const bundle = bundles[i];
+    const result = bundle.errors.length
+      ? { ok: false, message: bundle.errors.map((e) => `Line ${e.row}: ${e.message}`).join(" ") }
+      : await applyBundleImport(admin, shop, bundle);
+    results.push({
+      key: bundle.key,
+      label: bundle.label,
+      action: bundle.action,
+      ok: result.ok,
+      message: result.message,
+      productId: result.productId ?? null,
+    });
+    await progress(i + 1, bundles.length, { bundles, results });
+  }
+
+  const sync = await syncMergeDefinitions(admin, shop);
+  return {
+    results,
+    failed: results.filter((r) => !r.ok).length,
+    syncError: sync.ok ? null : sync.message,
+  };
+}
+
+/**
+ * Refresh the component prices saved on every fixed bundle and re-price the variants with
+ * a pricing rule (refreshBundlePrices); payload `{ productIds }` limits it to those
+ * bundles. The state is the bundles done so far.
+ */
+async function repriceBundles({ admin, shop, payload, state, progress }) {
+  const productIds = payload?.productIds ?? [];
+  const rows = await db.bundle.findMany({
+    where: { shop, type: "FIXED", ...(productIds.length ? { productId: { in: productIds } } : {}) },
+    orderBy: { createdAt: "asc" },
+  });
+  const done = state?.done ?? [];
+  const errors = state?.errors ?? [];
+  let repriced = state?.repriced ?? 0;
+
+  for (const row of rows) {
+    if (done.includes(row.productId)) continue;
+    const result = await refreshBundlePrices(admin, row);
+    errors.push(...result.errors);
+    repriced += result.repriced;
+    await refreshBundleRecord(admin, shop, row.productId);
+    done.push(row.productId);
+    await progress(done.length, rows.length, { done, errors, repriced });
+  }
+
+  return { repriced, errors };
+}
+
+/** Publish the auto-bundling definitions; a failed sync is retried. */
+async function syncDefinitions({ admin, shop, progress }) {
+  const sync = await syncMergeDefinitions(admin, shop);
+  if (!sync.ok) throw new Error(sync.message);
+  await progress(1, 1);
+  return { count: sync.count, message: sync.message ?? null };
+}
+
+/** Re-read every bundle into the local records and republish availability. */
+async function reconcile({ admin, shop, progress }) {
+  const result = await reconcileBundles(admin, shop);
+  await progress(1, 2);
+  const availability = await updateBundleAvailability(admin, shop, {}, { force: true });
+  await progress(2, 2);
+  return { count: result.count, removed: result.removed, errors: availability.errors };
+}
+
+/**
+ * Record past orders for the bundle analytics (payload `{ since }`, YYYY-MM-DD). The state
+ * is the page of orders to read next, so a retry re-reads at most one page.
+ */
+async function backfillAnalytics({ admin, shop, payload, state, progress }) {
+  const since = payload?.since ?? null;
+  const total = state?.total ?? (await countOrdersSince(admin, since));
+  const index = await loadBundleIndex(shop);
+  let { after = null, orders = 0, sales = 0, unreadable = 0 } = state ?? {};
+
+  do {
+    const page = await fetchOrderIdsPage(admin, { since, after });
+    for (const id of page.ids) {
+      const found = await recordOrder(admin, shop, id, index);
+      if (found == null) unreadable += 1;
+      else sales += found;
+      orders += 1;
+    }
+    after = page.endCursor;
+    await progress(orders, total, { total, after, orders, sales, unreadable });
+  } while (after);
+
+  return { orders, sales, unreadable };
+}
+
+const JOB_HANDLERS = {
+  [JOB_TYPES.IMPORT]: importBundles,
+  [JOB_TYPES.REPRICE]: repriceBundles,
+  [JOB_TYPES.SYNC]: syncDefinitions,
+  [JOB_TYPES.RECONCILE]: reconcile,
+  [JOB_TYPES.BACKFILL]: backfillAnalytics,
+};
+
+/* ---------------- Queueing ---------------- */
+
+/** Start the job worker (on server start, so queued jobs resume after a restart). */
+export function startBundleJobs() {
+  startJobWorker(JOB_HANDLERS);
+}
+
+/**
+ * Queue a bundle job and wake the worker. Sync, reconcile and whole-shop re-pricing
+ * aren't queued twice: an identical job still waiting is returned instead.
+ */
+export async function queueBundleJob(shop, type, payload = null, { total = null } = {}) {
+  if (!JOB_HANDLERS[type]) throw new Error(`Unknown job type “${type}”.`);
+  const job = await enqueueJob(shop, type, payload, { total, unique: type !== JOB_TYPES.IMPORT && payload == null });
+  startJobWorker(JOB_HANDLERS);
+  return job;
+}
+
+/** Retry a failed or cancelled job now. Returns an error message or null. */
+export async function retryBundleJob(shop, id) {
+  const error = await retryJob(shop, id);
+  if (!error) startJobWorker(JOB_HANDLERS);
+  return error;
+}
@@ -0,0 +1,229 @@
+// app/models/bundle-lifecycle.server.js
+//
+// Archive and delete bundle products. Both take a list of Product GIDs so the list's
+// bulk actions and the edit page share one code path, and both re-sync the cart
+// transform's merge definitions so shoppers can no longer be merged into the bundle.
+//
+// Deleting a product also deletes its variant's bundle metafields and its publications,
+// so a delete needs no separate metafield cleanup. Archive keeps the product (and its
+// bundle definition, so it can be restored) but takes it off every sales channel.
+import { syncMergeDefinitions } from "./bundle-definitions.server";
+import { removeBundleRecords, setBundleRecordStatus } from "./bundle-store.server";
+
+// Open orders scanned for references before a delete (25 orders per page)
+const MAX_ORDER_PAGES = 4;
+
+/* ---------------- GraphQL ---------------- */
+
+const PRODUCT_PUBLICATIONS = `#graphql
+  query BundlePublications($id: ID!) {
+    product(id: $id) {
+      id
+      tags
+      variants(first: 1) {
+        nodes { bundleConfig: metafield(namespace: "custom", key: "bundle_config") { id } }
+      }
+      resourcePublications(first: 50, onlyPublished: true) {
+        nodes { publication { id } }
+      }
+    }
+  }
+`;
+
+const PRODUCT_ARCHIVE = `#graphql
+  mutation ArchiveBundle($product: ProductUpdateInput!) {
+    productUpdate(product: $product) {
+      product { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_UNPUBLISH = `#graphql
+  mutation UnpublishBundle($id: ID!, $input: [PublicationInput!]!) {
+    publishableUnpublish(id: $id, input: $input) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_DELETE = `#graphql
+  mutation DeleteBundle($input: ProductDeleteInput!) {
+    productDelete(input: $input) {
+      deletedProductId
+      userErrors { field message }
+    }
+  }
+`;
+
+// Bundles sold through the cart transform show up as a line item group on the order
+const OPEN_ORDERS = `#graphql
+  query OpenOrdersForBundles($after: String) {
+    orders(first: 25, after: $after, query: "status:open", sortKey: CREATED_AT, reverse: true) {
+      nodes {
+        id
+        name
+        createdAt
+        lineItems(first: 20) {
+          nodes {
+            product { id }
+            lineItemGroup { productId }
+          }
+        }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+/** Load a product and check it is one of ours (bundle_config, or the legacy tag). */
+async function loadBundleProduct(admin, productId) {
+  const resp = await admin.graphql(PRODUCT_PUBLICATIONS, { variables: { id: productId } });
+  const data = await resp.json();
+  const product = data?.data?.product;
+  const hasConfig = Boolean(product?.variants?.nodes?.[0]?.bundleConfig);
+  return hasConfig || product?.tags?.includes("bundle-app") ? product : null;
+}
+
+/** Re-sync after removing bundles; a failure is reported, not thrown. */
+async function resyncNote(admin, shop) {
+  try {
+    const sync = await syncMergeDefinitions(admin, shop);
+    return sync.ok ? "" : ` Auto-bundling definitions were not updated: ${sync.message}`;
+  } catch (_) {
+    return " Auto-bundling definitions were not updated; sync them from Settings.";
+  }
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/** Product GIDs from the form's `ids` JSON field. */
+export function readProductIds(form) {
+  let ids;
+  try {
+    ids = JSON.parse(String(form.get("ids") || "[]"));
+  } catch (_) {
+    return [];
+  }
+  return Array.isArray(ids)
+    ? [...new Set(ids.filter((id) => typeof id === "string" && id.startsWith("gid://shopify/Product/")))]
+    : [];
+}
+
+/**
+ * Open orders that still contain any of the given bundle products, newest first:
+ * `{ orders: [{ id, name, createdAt, productIds }], scanned, complete }`.
+ * Only the most recent open orders are scanned (see MAX_ORDER_PAGES); carts can't be
+ * read through the Admin API at all.
+ */
+export async function findOrderReferences(admin, productIds) {
+  const wanted = new Set(productIds);
+  const orders = [];
+  let scanned = 0;
+  let after = null;
+  let page = 0;
+
+  do {
+    const resp = await admin.graphql(OPEN_ORDERS, { variables: { after } });
+    const data = await resp.json();
+    const conn = data?.data?.orders;
+    for (const order of conn?.nodes ?? []) {
+      scanned += 1;
+      const hits = new Set();
+      for (const li of order.lineItems?.nodes ?? []) {
+        for (const id of [li.product?.id, li.lineItemGroup?.productId]) {
+          if (id && wanted.has(id)) hits.add(id);
+        }
+      }
+      if (hits.size) orders.push({ id: order.id, name: order.name, createdAt: order.createdAt, productIds: [...hits] });
+    }
+    after = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+    page += 1;
+  } while (after && page < MAX_ORDER_PAGES);
+
+  return { orders, scanned, complete: !after };
+}
+
+/**
+ * Archive bundles: status ARCHIVED and unpublished from every publication.
+ * Returns `{ ok, message, archived: string[] }`.
+ */
+export async function archiveBundles(admin, shop, productIds) {
+  const archived = [];
+  const errors = [];
+
+  for (const productId of productIds) {
+    const product = await loadBundleProduct(admin, productId);
+    if (!product) {
+      errors.push(`${productId} is not a bundle product.`);
+      continue;
+    }
+
+    const updResp = await admin.graphql(PRODUCT_ARCHIVE, {
+      variables: { product: { id: productId, status: "ARCHIVED" } },
+    });
+    const updJson = await updResp.json();
+    const updErr = updJson?.data?.productUpdate?.userErrors?.[0]?.message;
+    if (updErr) {
+      errors.push(updErr);
+      continue;
+    }
+
+    const input = (product.resourcePublications?.nodes ?? []).map((n) => ({ publicationId: n.publication.id }));
+    if (input.length) {
+      const pubResp = await admin.graphql(PRODUCT_UNPUBLISH, { variables: { id: productId, input } });
+      const pubJson = await pubResp.json();
+      const pubErr = pubJson?.data?.publishableUnpublish?.userErrors?.[0]?.message;
+      if (pubErr) errors.push(`Archived, but unpublishing returned: ${pubErr}`);
+    }
+    archived.push(productId);
+  }
+
+  await setBundleRecordStatus(shop, archived, "ARCHIVED");
+  const syncNote = archived.length ? await resyncNote(admin, shop) : "";
+  return {
+    ok: errors.length === 0,
+    archived,
+    message: errors.length
+      ? `Archived ${plural(archived.length, "bundle")}. ${errors.join(" ")}${syncNote}`
+      : `Archived ${plural(archived.length, "bundle")} and removed ${archived.length === 1 ? "it" : "them"} from all sales channels.${syncNote}`,
+  };
+}
+
+/**
+ * Delete bundle products (their variant metafields and publications go with them).
+ * Returns `{ ok, message, deleted: string[] }`.
+ */
+export async function deleteBundles(admin, shop, productIds) {
+  const deleted = [];
+  const errors = [];
+
+  for (const productId of productIds) {
+    const product = await loadBundleProduct(admin, productId);
+    if (!product) {
+      errors.push(`${productId} is not a bundle product.`);
+      continue;
+    }
+
+    const delResp = await admin.graphql(PRODUCT_DELETE, { variables: { input: { id: productId } } });
+    const delJson = await delResp.json();
+    const delErr = delJson?.data?.productDelete?.userErrors?.[0]?.message;
+    if (delErr) {
+      errors.push(delErr);
+      continue;
+    }
+    deleted.push(productId);
+  }
+
+  await removeBundleRecords(shop, deleted);
+  const syncNote = deleted.length ? await resyncNote(admin, shop) : "";
+  return {
+    ok: errors.length === 0,
+    deleted,
+    message: errors.length
+      ? `Deleted ${plural(deleted.length, "bundle")}. ${errors.join(" ")}${syncNote}`
+      : `Deleted ${plural(deleted.length, "bundle")}.${syncNote}`,
+  };
+}
@@ -0,0 +1,80 @@
+// app/models/bundle-list.js
+//
+// The bundle list's search, filters, sort and page, as kept in the URL of the app's index
+// page: ?query=&status=ACTIVE,DRAFT&components=3-5&health=sold-out&sort=updated desc
+// &after=<id> (or &before=<id>). The loader and the page read them with the same function,
+// and ./bundle-store.server turns them into a query.
+
+export const BUNDLE_STATUS_CHOICES = [
+  { label: "Active", value: "ACTIVE" },
+  { label: "Draft", value: "DRAFT" },
+  { label: "Archived", value: "ARCHIVED" },
+];
+
+export const COMPONENT_COUNT_CHOICES = [
+  { label: "1–2 components", value: "1-2" },
+  { label: "3–5 components", value: "3-5" },
+  { label: "6 or more", value: "6+" },
+];
+
+export const HEALTH_CHOICES = [
+  { label: "Missing components", value: "missing-components" },
+  { label: "Sold out", value: "sold-out" },
+  { label: "Healthy", value: "healthy" },
+];
+
+// Polaris IndexFilters sort options ("<field> <direction>")
+export const BUNDLE_SORT_OPTIONS = [
+  { label: "Created", value: "created desc", directionLabel: "Newest first" },
+  { label: "Created", value: "created asc", directionLabel: "Oldest first" },
+  { label: "Updated", value: "updated desc", directionLabel: "Most recent first" },
+  { label: "Updated", value: "updated asc", directionLabel: "Least recent first" },
+];
+
+export const DEFAULT_BUNDLE_SORT = "created desc";
+export const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const readList = (params, key, choices) => {
+  const allowed = new Set(choices.map((c) => c.value));
+  return String(params.get(key) || "").split(",").filter((v) => allowed.has(v));
+};
+
+/**
+ * The list params in `searchParams` (URLSearchParams), with unknown values dropped:
+ * `{ query, statuses, componentCounts, health, sort, first, after, before }`.
+ */
+export function readBundleListParams(searchParams) {
+  const sort = searchParams.get("sort");
+  const first = Number(searchParams.get("first"));
+  return {
+    query: String(searchParams.get("query") || "").trim(),
+    statuses: readList(searchParams, "status", BUNDLE_STATUS_CHOICES),
+    componentCounts: readList(searchParams, "components", COMPONENT_COUNT_CHOICES),
+    health: readList(searchParams, "health", HEALTH_CHOICES),
+    sort: BUNDLE_SORT_OPTIONS.some((o) => o.value === sort) ? sort : DEFAULT_BUNDLE_SORT,
+    first: Number.isInteger(first) && first > 0 ? Math.min(first, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    after: searchParams.get("after") || null,
+    before: searchParams.get("before") || null,
+  };
+}
+
+/**
+ * `searchParams` with `changes` applied ({ key: value }; null, "" or [] removes the key).
+ * Any change other than paging starts from the first page again.
+ */
+export function withBundleListParams(searchParams, changes) {
+  const next = new URLSearchParams(searchParams);
+  const paging = Object.keys(changes).every((k) => k === "after" || k === "before");
+  if (!paging) {
+    next.delete("after");
+    next.delete("before");
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    const text = Array.isArray(value) ? value.join(",") : value == null ? "" : String(value);
+    if (text) next.set(key, text);
+    else next.delete(key);
+  }
+  if (next.get("sort") === DEFAULT_BUNDLE_SORT) next.delete("sort");
+  return next;
+}
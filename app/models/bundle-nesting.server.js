@@ -0,0 +1,211 @@
+// app/models/bundle-nesting.server.js
+//
+// Nested bundles ("a gift box holding two kits"). The cart transform only sees the bundle
+// line's own metafields, so nesting is resolved at save time: bundle_config.components is
+// always the flat list of leaf variants (quantities multiplied through each level), and
+// bundle_config.contents keeps what the merchant picked, child bundles included, so the
+// edit form shows it and the parent can be flattened again when a child changes.
+//
+// The reference list carries the leaves, their substitutes and the child bundle variants.
+import db from "../db.server";
+import { normalizeComponents } from "./bundle-config";
+import { updateBundleAvailability } from "./bundle-inventory.server";
+import {
+  bundleVariantPrice,
+  fetchVariantDetails,
+  saveBundleMetafields,
+  updateBundleVariant,
+} from "./bundle-product.server";
+import { readVariantConfigs, refreshBundleRecord } from "./bundle-store.server";
+
+// Bundles inside bundles inside bundles… Set BUNDLE_MAX_NESTING_DEPTH to change it
+export const MAX_NESTING_DEPTH = Math.max(1, parseInt(process.env.BUNDLE_MAX_NESTING_DEPTH ?? "", 10) || 3);
+
+/* ---------------- GraphQL ---------------- */
+
+const NESTED_DEFINITIONS = `#graphql
+  query NestedBundleDefinitions($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        title
+        product { id title }
+        bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+        bundleRefs: metafield(namespace: "custom", key: "component_reference") { jsonValue }
+      }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+const variantName = (node) =>
+  node ? `${node.product?.title ?? "Product"}${node.title && node.title !== "Default Title" ? ` — ${node.title}` : ""}` : "a deleted variant";
+
+/** What a picked variant contains: its authored contents, else its (flat) components, else nothing. */
+function childList(node) {
+  const config = node?.bundleConfig?.jsonValue ?? null;
+  if (Array.isArray(config?.slots) && config.slots.length) return { slots: true, list: [] };
+  const authored = normalizeComponents(config?.contents);
+  if (authored.length) return { slots: false, list: authored };
+  const flat = normalizeComponents(config?.components);
+  if (flat.length) return { slots: false, list: flat };
+  const refs = Array.isArray(node?.bundleRefs?.jsonValue) ? node.bundleRefs.jsonValue : [];
+  return { slots: false, list: normalizeComponents(refs) };
+}
+
+/* ---------------- Flattening ---------------- */
+
+/**
+ * Expand any bundle variants among `components` into their leaf components.
+ * `selfProductId` is the bundle being saved (null while creating), so a child that
+ * contains it is refused as a cycle. Returns `{ error }` or
+ * `{ components, contents, nestedIds }`: the flat leaves, the authored list (null when
+ * nothing was nested) and the variant GIDs of the child bundles.
+ */
+export async function flattenNestedBundles(admin, components, { selfProductId = null } = {}) {
+  const cache = new Map();
+  const load = async (ids) => {
+    const missing = ids.filter((id) => !cache.has(id));
+    if (missing.length) {
+      const resp = await admin.graphql(NESTED_DEFINITIONS, { variables: { ids: missing } });
+      const data = await resp.json();
+      const nodes = data?.data?.nodes ?? [];
+      missing.forEach((id, i) => cache.set(id, nodes[i]?.id ? nodes[i] : null));
+    }
+  };
+
+  const nestedIds = new Set();
+  // `path` is the chain of bundles above `list` (`{ id, name }`), outermost first
+  const expand = async (list, path, depth) => {
+    await load(list.map((c) => c.variantId));
+    const leaves = [];
+    for (const item of list) {
+      const node = cache.get(item.variantId);
+      const productId = node?.product?.id;
+      if (productId && path.some((p) => p.id === productId)) {
+        const chain = [...path.map((p) => p.name), variantName(node)].join(" → ");
+        return { error: `Bundles can’t contain themselves: ${chain}.` };
+      }
+
+      const child = childList(node);
+      if (child.slots) return { error: `${variantName(node)} is a mix-and-match bundle and can’t be nested.` };
+      if (!child.list.length) {
+        leaves.push(item);
+        continue;
+      }
+      if (depth >= MAX_NESTING_DEPTH) {
+        return { error: `Bundles can be nested at most ${MAX_NESTING_DEPTH} levels deep (${variantName(node)}).` };
+      }
+
+      nestedIds.add(item.variantId);
+      const inner = await expand(child.list, [...path, { id: productId, name: variantName(node) }], depth + 1);
+      if (inner.error) return inner;
+      for (const leaf of inner.leaves) leaves.push({ ...leaf, quantity: leaf.quantity * item.quantity });
+    }
+    return { leaves };
+  };
+
+  const self = selfProductId ? [{ id: selfProductId, name: "this bundle" }] : [];
+  const result = await expand(components, self, 0);
+  if (result.error) return { error: result.error };
+
+  // Leaf prices are re-snapshotted by the caller; nested leaves keep their own substitutes
+  // and choices
+  const leaves = normalizeComponents(result.leaves.map((leaf) => ({
+    variantId: leaf.variantId,
+    quantity: leaf.quantity,
+    substitutes: leaf.substitutes,
+    choices: leaf.choices,
+  })));
+  const contents = nestedIds.size
+    ? components.map((c) => (nestedIds.has(c.variantId) ? { ...c, bundle: true } : c))
+    : null;
+  return { components: leaves, contents, nestedIds: [...nestedIds] };
+}
+
+/** Stored bundles (other than `productId`) whose config mentions one of the given variants. */
+async function findParentBundles(shop, productId, variantIds) {
+  return db.bundle.findMany({
+    where: {
+      shop,
+      productId: { not: productId },
+      OR: variantIds.flatMap((id) => [
+        { config: { contains: `"${id}"` } },
+        { variantConfigs: { contains: `"${id}"` } },
+      ]),
+    },
+    select: { productId: true, variantId: true, title: true, config: true, variantConfigs: true },
+  });
+}
+
+/**
+ * Flatten again every bundle that contains one of the given (just saved) bundle variants,
+ * and their parents in turn, so their components follow the child's new contents.
+ * Returns `{ ok, count, errors }`.
+ */
+export async function refreshParentBundles(admin, shop, productId, variantIds) {
+  const errors = [];
+  const done = new Set([productId]);
+  const queue = [{ productId, variantIds }];
+  let count = 0;
+
+  while (queue.length) {
+    const child = queue.shift();
+    for (const parent of await findParentBundles(shop, child.productId, child.variantIds)) {
+      if (done.has(parent.productId)) continue;
+      // Each variant of a bundle with options has its own contents
+      const affected = Object.entries(readVariantConfigs(parent)).filter(([, config]) =>
+        normalizeComponents(config?.contents).some((c) => child.variantIds.includes(c.variantId)),
+      );
+      if (!affected.length) continue;
+      done.add(parent.productId);
+
+      const saved = [];
+      for (const [variantId, config] of affected) {
+        const authored = normalizeComponents(config.contents);
+        const flat = await flattenNestedBundles(admin, authored, { selfProductId: parent.productId });
+        if (flat.error) {
+          errors.push(`${parent.title}: ${flat.error}`);
+          continue;
+        }
+        const details = await fetchVariantDetails(admin, flat.components.map((c) => c.variantId));
+        // A pricing rule prices the parent from its leaves, which just changed
+        if (config.discount) {
+          const price = bundleVariantPrice(
+            { components: flat.components, discount: config.discount, isMixAndMatch: false },
+            details.priceById,
+          );
+          const priceErr = await updateBundleVariant(admin, parent.productId, variantId, { price });
+          if (priceErr) {
+            errors.push(`${parent.title}: ${priceErr}`);
+            continue;
+          }
+        }
+        const error = await saveBundleMetafields(admin, variantId, flat.components, {
+          priceById: details.priceById,
+          title: config.title,
+          image: config.image,
+          currencyCode: details.currencyCode,
+          discount: config.discount,
+          autoMerge: config.autoMerge,
+          inventorySync: config.inventorySync,
+          bundleType: config.type,
+          contents: flat.contents,
+        });
+        if (error) {
+          errors.push(`${parent.title}: ${error}`);
+          continue;
+        }
+        saved.push(variantId);
+      }
+      if (!saved.length) continue;
+
+      await refreshBundleRecord(admin, shop, parent.productId);
+      await updateBundleAvailability(admin, shop, { productId: parent.productId }, { force: true });
+      count += 1;
+      queue.push({ productId: parent.productId, variantIds: saved });
+    }
+  }
+  return { ok: errors.length === 0, count, errors };
+}
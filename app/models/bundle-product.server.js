@@ -0,0 +1,447 @@
+// app/models/bundle-product.server.js
+//
+// Admin API calls shared by the create and edit routes and the CSV import: creating and
+// updating the bundle product, reading component variants, writing the bundle variant's
+// price/weight and bundle metafields, and publishing.
+// Each writer returns an error message (string) or null, so routes can answer with
+// `json({ ok: false, message }, { status: 400 })` the same way everywhere.
+import {
+  BUNDLE_NAMESPACE,
+  COMPONENT_REFERENCE_KEY,
+  applyDiscount,
+  bundleMetafieldsInput,
+  normalizeComponents,
+  normalizeDiscount,
+  normalizeSlots,
+  validateBundleOptions,
+  validateDiscount,
+  validateSlots,
+} from "./bundle-config";
+import { readVariantConfigs } from "./bundle-store.server";
+
+/* ---------------- GraphQL ---------------- */
+
+// Metafield definitions on PRODUCT VARIANT: list.variant_reference + json config (quantities)
+// + the bundle's available quantity (read by the storefront blocks)
+const METAFIELD_DEF_CREATE = `#graphql
+  mutation EnsureVariantListRefDef {
+    refs: metafieldDefinitionCreate(definition: {
+      name: "Bundle Components"
+      key: "component_reference"
+      namespace: "custom"
+      ownerType: PRODUCTVARIANT
+      type: "list.variant_reference"
+      access: { admin: READ_WRITE, storefront: NONE }
+    }) {
+      createdDefinition { id }
+      userErrors { field message }
+    }
+    config: metafieldDefinitionCreate(definition: {
+      name: "Bundle Configuration"
+      key: "bundle_config"
+      namespace: "custom"
+      ownerType: PRODUCTVARIANT
+      type: "json"
+      access: { admin: READ_WRITE, storefront: NONE }
+    }) {
+      createdDefinition { id }
+      userErrors { field message }
+    }
+    availability: metafieldDefinitionCreate(definition: {
+      name: "Bundle Availability"
+      key: "bundle_availability"
+      namespace: "custom"
+      ownerType: PRODUCTVARIANT
+      type: "number_integer"
+      access: { admin: READ_WRITE, storefront: PUBLIC_READ }
+    }) {
+      createdDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Create product; Shopify creates a default variant (with options: the first value's variant)
+const PRODUCT_CREATE = `#graphql
+  mutation CreateBundleProduct($product: ProductCreateInput!) {
+    productCreate(product: $product) {
+      product {
+        id
+        title
+        handle
+        status
+        variants(first: 1) { nodes { id title } }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_UPDATE = `#graphql
+  mutation UpdateBundleProduct($product: ProductUpdateInput!, $media: [CreateMediaInput!]) {
+    productUpdate(product: $product, media: $media) {
+      product { id title status }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Update default variant price + weight (weight is nested in inventoryItem.measurement.weight)
+const VARIANT_BULK_UPDATE = `#graphql
+  mutation UpdateDefaultVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants {
+        id
+        price
+        inventoryItem { measurement { weight { value unit } } }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Save the list.variant_reference + bundle_config json on the default variant
+const METAFIELDS_SET = `#graphql
+  mutation SaveBundleMetafield($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Drop the reference list when a bundle no longer has fixed components
+const METAFIELDS_DELETE = `#graphql
+  mutation DeleteBundleMetafields($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields { key }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Read variant price + weight correctly (weight is on inventoryItem.measurement.weight)
+const VARIANT_DETAILS = `#graphql
+  query VariantDetails($ids: [ID!]!) {
+    shop { currencyCode }
+    nodes(ids: $ids) {
+      __typename
+      ... on ProductVariant {
+        id
+        title
+        price
+        inventoryItem {
+          measurement {
+            weight { value unit }
+          }
+        }
+        product { title }
+      }
+    }
+  }
+`;
+
+// Publications (to find "Online Store")
+const PUBLICATIONS_QUERY = `#graphql
+  query Pubs {
+    publications(first: 50) {
+      nodes { id name }
+    }
+  }
+`;
+
+// ✅ Current publish mutation (array input); include $pubId so we can confirm in selection set
+const PUBLISH_PRODUCT = `#graphql
+  mutation PublishProduct($id: ID!, $input: [PublicationInput!]!, $pubId: ID!) {
+    publishablePublish(id: $id, input: $input) {
+      publishable {
+        ... on Product {
+          publishedOnPublication(publicationId: $pubId)
+        }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+/* ---------------- Form ---------------- */
+
+/**
+ * Read and validate the bundle fields shared by the create and edit forms.
+ * Returns `{ error }` or `{ values }`.
+ */
+export function readBundleForm(form) {
+  const values = {
+    title: (form.get("title") || "").toString().trim(),
+    description: (form.get("description") || "").toString(),
+    status: (form.get("status") || "DRAFT").toString(), // DRAFT | ACTIVE
+    imageUrl: (form.get("imageUrl") || "").toString().trim(),
+    components: normalizeComponents(JSON.parse(form.get("components") || "[]")),
+    priceStr: (form.get("price") || "").toString().trim(),
+    weightStr: (form.get("weight") || "").toString().trim(),
+    weightUnit: (form.get("weightUnit") || "GRAMS").toString(),
+    autoMerge: form.get("autoMerge") === "true",
+    inventorySync: form.get("inventorySync") === "true",
+    bundleType: (form.get("bundleType") || "FIXED").toString(), // FIXED | MIX_AND_MATCH
+  };
+  const rawSlots = JSON.parse(form.get("slots") || "[]");
+  // { name, values: [{ name, variantId?, components, price, weight }] } for a bundle with options
+  const rawOptions = JSON.parse(form.get("options") || "null");
+  const discountType = (form.get("discountType") || "NONE").toString();
+  const discountValue = (form.get("discountValue") || "").toString().trim();
+  values.isMixAndMatch = values.bundleType === "MIX_AND_MATCH";
+
+  if (!values.title) return { error: "Enter a product title." };
+  if (values.isMixAndMatch) {
+    if (rawOptions) return { error: "Mix-and-match bundles can’t have options." };
+    const slotErr = validateSlots(rawSlots);
+    if (slotErr) return { error: slotErr };
+  } else if (rawOptions) {
+    const optionErr = validateBundleOptions(rawOptions);
+    if (optionErr) return { error: optionErr };
+  } else if (values.components.length === 0) {
+    return { error: "Pick at least one component variant." };
+  }
+  const discountErr = validateDiscount(discountType, discountValue);
+  if (discountErr) return { error: discountErr };
+
+  values.slots = values.isMixAndMatch ? normalizeSlots(rawSlots) : [];
+  values.discount = normalizeDiscount({ type: discountType, value: discountValue });
+  values.options = rawOptions && !values.isMixAndMatch
+    ? {
+      name: String(rawOptions.name).trim(),
+      values: rawOptions.values.map((v) => ({
+        name: String(v.name).trim(),
+        variantId: v.variantId || null,
+        components: normalizeComponents(v.components),
+        priceStr: String(v.price ?? "").trim(),
+        weightStr: String(v.weight ?? "").trim(),
+      })),
+    }
+    : null;
+  return { values };
+}
+
+/**
+ * The bundle variants a validated form saves: one per option value, else the single
+ * (default) variant. Each carries the form values with its own components, price and
+ * weight, so bundleVariantPrice and the writers take it as is.
+ */
+export function bundleVariantTargets(values, defaultVariantId = null) {
+  if (!values.options) return [{ ...values, variantId: defaultVariantId, optionValue: null }];
+  return values.options.values.map((v) => ({
+    ...values,
+    variantId: v.variantId,
+    optionValue: v.name,
+    components: v.components,
+    priceStr: v.priceStr,
+    weightStr: v.weightStr,
+  }));
+}
+
+/* ---------------- Admin API ---------------- */
+
+/** Every user error of a mutation as one message (Shopify often reports several), or null. */
+export function userErrorsMessage(userErrors) {
+  const messages = [...new Set((userErrors ?? []).map((e) => e?.message).filter(Boolean))];
+  return messages.length ? messages.join(" ") : null;
+}
+
+/** Create the bundle product. Returns `{ product }` or `{ error }`. */
+export async function createBundleProduct(admin, productInput) {
+  const createResp = await admin.graphql(PRODUCT_CREATE, { variables: { product: productInput } });
+  const createJson = await createResp.json();
+  const createErr = userErrorsMessage(createJson?.data?.productCreate?.userErrors);
+  if (createErr) return { error: createErr };
+  return { product: createJson?.data?.productCreate?.product };
+}
+
+/** Update the bundle product's own fields (and add `media`). Returns an error message or null. */
+export async function updateBundleProduct(admin, product, media) {
+  const updResp = await admin.graphql(PRODUCT_UPDATE, { variables: { product, media } });
+  const updJson = await updResp.json();
+  return userErrorsMessage(updJson?.data?.productUpdate?.userErrors);
+}
+
+/** Create the variant metafield definitions (no-op when they already exist). */
+export async function ensureBundleDefinitions(admin) {
+  try {
+    const defResp = await admin.graphql(METAFIELD_DEF_CREATE);
+    await defResp.json();
+  } catch (_) {}
+}
+
+/**
+ * Current price/weight of the given variants plus the shop currency.
+ * Returns `{ currencyCode, nodes, priceById }`.
+ */
+export async function fetchVariantDetails(admin, ids) {
+  const resp = await admin.graphql(VARIANT_DETAILS, { variables: { ids } });
+  const data = await resp.json();
+  const nodes = (data?.data?.nodes ?? []).filter(Boolean);
+  return {
+    currencyCode: data?.data?.shop?.currencyCode,
+    nodes,
+    priceById: new Map(nodes.map((n) => [n.id, n.price])),
+  };
+}
+
+const toGrams = (value, unit) => {
+  const v = value == null ? 0 : Number(value);
+  if (!v) return 0;
+  switch (unit) {
+    case "KILOGRAMS": return v * 1000;
+    case "POUNDS":    return v * 453.59237;
+    case "OUNCES":    return v * 28.349523125;
+    default:          return v; // GRAMS
+  }
+};
+
+/** Price and weight (grams) of the components × quantities, for auto-filling the form. */
+export async function resolveComponentTotals(admin, components) {
+  const qtyById = new Map(components.map((c) => [c.variantId, c.quantity]));
+  const { nodes } = await fetchVariantDetails(admin, components.map((c) => c.variantId));
+
+  let totalPrice = 0;
+  let totalGrams = 0;
+  for (const v of nodes) {
+    const qty = qtyById.get(v.id) ?? 1;
+    const priceNum = parseFloat(v?.price ?? "0");
+    totalPrice += isFinite(priceNum) ? priceNum * qty : 0;
+    const w = v?.inventoryItem?.measurement?.weight;
+    totalGrams += w ? toGrams(w.value, w.unit) * qty : 0;
+  }
+
+  return {
+    totals: { price: Number(totalPrice.toFixed(2)), grams: Math.round(totalGrams) },
+    variants: nodes,
+  };
+}
+
+/**
+ * The price to store on the bundle variant. With a discount rule a fixed bundle's price
+ * is derived from its components, not the typed value (mix-and-match keeps the typed
+ * price as the storefront "from" price).
+ */
+export function bundleVariantPrice(values, priceById) {
+  const { components, discount, isMixAndMatch, priceStr } = values;
+  if (discount && !isMixAndMatch) {
+    const componentTotal = components.reduce(
+      (sum, c) => sum + (parseFloat(priceById.get(c.variantId) ?? "0") || 0) * c.quantity,
+      0,
+    );
+    return applyDiscount(componentTotal, discount);
+  }
+  return priceStr ? parseFloat(priceStr) : undefined;
+}
+
+/**
+ * Update the bundle variant's price/weight (weight via inventoryItem.measurement.weight)
+ * and, when given, its SKU.
+ */
+export async function updateBundleVariant(admin, productId, variantId, { price, weight, weightUnit, sku }) {
+  const hasPrice = price != null && isFinite(price);
+  const hasWeight = weight != null && isFinite(weight);
+  if (!hasPrice && !hasWeight && !sku) return null;
+
+  const variants = [{
+    id: variantId,
+    price: hasPrice ? price.toFixed(2) : undefined,
+    inventoryItem: hasWeight || sku ? {
+      ...(hasWeight ? { measurement: { weight: { value: weight, unit: weightUnit } } } : {}),
+      ...(sku ? { sku } : {}),
+    } : undefined,
+  }];
+
+  const updResp = await admin.graphql(VARIANT_BULK_UPDATE, { variables: { productId, variants } });
+  const updJson = await updResp.json();
+  return userErrorsMessage(updJson?.data?.productVariantsBulkUpdate?.userErrors);
+}
+
+/**
+ * Write list.variant_reference + bundle_config on the bundle variant. `details` is passed
+ * to bundleMetafieldsInput; a stale reference list is removed when there are no components.
+ */
+export async function saveBundleMetafields(admin, variantId, components, details) {
+  const metafields = bundleMetafieldsInput(variantId, components, details);
+  const mfResp = await admin.graphql(METAFIELDS_SET, { variables: { metafields } });
+  const mfJson = await mfResp.json();
+  const mfErr = userErrorsMessage(mfJson?.data?.metafieldsSet?.userErrors);
+  if (mfErr) return mfErr;
+
+  if (!metafields.some((m) => m.key === COMPONENT_REFERENCE_KEY)) {
+    const delResp = await admin.graphql(METAFIELDS_DELETE, {
+      variables: {
+        metafields: [{ ownerId: variantId, namespace: BUNDLE_NAMESPACE, key: COMPONENT_REFERENCE_KEY }],
+      },
+    });
+    const delJson = await delResp.json();
+    return userErrorsMessage(delJson?.data?.metafieldsDelete?.userErrors);
+  }
+  return null;
+}
+
+/**
+ * Bring a stored fixed bundle (Bundle row) in line with its components' current prices:
+ * every configured variant's bundle_config gets the prices again (the cart transform
+ * splits and discounts the bundle price with them), and variants with a pricing rule are
+ * re-priced. Returns `{ repriced, errors }`, repriced counting the variants given a price.
+ */
+export async function refreshBundlePrices(admin, row) {
+  let repriced = 0;
+  const errors = [];
+  for (const [variantId, config] of Object.entries(readVariantConfigs(row))) {
+    if (Array.isArray(config?.slots) && config.slots.length) continue;
+    const components = normalizeComponents(config?.components);
+    if (!components.length) continue;
+
+    const details = await fetchVariantDetails(admin, components.map((c) => c.variantId));
+    if (config.discount) {
+      const price = bundleVariantPrice({ components, discount: config.discount, isMixAndMatch: false }, details.priceById);
+      const priceErr = await updateBundleVariant(admin, row.productId, variantId, { price });
+      if (priceErr) {
+        errors.push(`${row.title}: ${priceErr}`);
+        continue;
+      }
+      repriced += 1;
+    }
+    const mfErr = await saveBundleMetafields(admin, variantId, components, {
+      priceById: details.priceById,
+      title: config.title,
+      image: config.image,
+      currencyCode: details.currencyCode,
+      discount: config.discount,
+      autoMerge: config.autoMerge,
+      inventorySync: config.inventorySync,
+      bundleType: config.type,
+      contents: config.contents,
+    });
+    if (mfErr) errors.push(`${row.title}: ${mfErr}`);
+  }
+  return { repriced, errors };
+}
+
+/** GID of the shop's Online Store publication, or null. */
+export async function findOnlineStorePublication(admin) {
+  try {
+    const pubsResp = await admin.graphql(PUBLICATIONS_QUERY);
+    const pubsJson = await pubsResp.json();
+    const pubs = pubsJson?.data?.publications?.nodes ?? [];
+    const online = pubs.find((p) => p.name === "Online Store") || pubs.find((p) => /online/i.test(p.name || ""));
+    return online?.id || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Publish a product to the Online Store. Returns an error message or null. */
+export async function publishToOnlineStore(admin, productId) {
+  const publicationId = await findOnlineStorePublication(admin);
+  if (!publicationId) return null;
+
+  const pubResp = await admin.graphql(PUBLISH_PRODUCT, {
+    variables: { id: productId, input: [{ publicationId }], pubId: publicationId },
+  });
+  const pubJson = await pubResp.json();
+  return userErrorsMessage(pubJson?.data?.publishablePublish?.userErrors);
+}
@@ -0,0 +1,420 @@
+// app/models/bundle-store.server.js
+//
+// Local Bundle / BundleComponent rows (prisma/schema.prisma), one per bundle product
+// per shop. Shopify stays the source of truth: every write here is a copy of what was
+// just read back from the product and its variant's bundle metafields, so a row can
+// always be rebuilt with refreshBundleRecord / reconcileBundles.
+//
+// A product counts as a bundle when one of its variants carries custom.bundle_config or
+// custom.component_reference. A bundle with options has a definition per variant: the row
+// keeps the first one's settings, and each component row records which bundle variant it
+// belongs to. The `bundle-app` tag is only used to discover bundles that were created
+// before these tables existed.
+import db from "../db.server";
+import { MAX_OPTION_VALUES, normalizeDiscount, readBundleComponents } from "./bundle-config";
+
+// Bundle products per query: each carries MAX_OPTION_VALUES variants with two metafields,
+// which keeps a page under the Admin API's single-query cost limit (1000)
+const NODES_PAGE_SIZE = 10;
+// Referenced component variants per query (about 3 points each)
+const REFERENCES_PAGE_SIZE = 100;
+
+/* ---------------- GraphQL ---------------- */
+
+const BUNDLE_PRODUCT_FIELDS = `#graphql
+  fragment BundleRecordProduct on Product {
+    id
+    title
+    handle
+    status
+    variants(first: ${MAX_OPTION_VALUES}) {
+      nodes {
+        id
+        bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+        # References are read by attachComponentReferences; a references(first: 250)
+        # connection per variant would cost far more than one query may
+        metafield(namespace: "custom", key: "component_reference") { value }
+      }
+    }
+  }
+`;
+
+const BUNDLE_PRODUCTS_BY_ID = `#graphql
+  query BundleRecordProducts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      ...BundleRecordProduct
+    }
+  }
+  ${BUNDLE_PRODUCT_FIELDS}
+`;
+
+// Deleted variants come back as null nodes
+const REFERENCED_VARIANTS = `#graphql
+  query BundleReferencedVariants($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on ProductVariant {
+        id
+        title
+        sku
+        price
+        inventoryQuantity
+        inventoryPolicy
+        inventoryItem { id tracked }
+        product { id title }
+      }
+    }
+  }
+`;
+
+const TAGGED_BUNDLE_IDS = `#graphql
+  query TaggedBundleIds($after: String) {
+    products(first: 250, after: $after, query: "tag:bundle-app") {
+      nodes { id }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+/** Variant GIDs in a component_reference metafield read as `{ value }`. */
+function referenceIds(metafield) {
+  try {
+    const list = JSON.parse(metafield?.value ?? "[]");
+    return Array.isArray(list) ? list.filter((id) => typeof id === "string") : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Fill in `metafield.references.nodes` on the variants of `products` whose
+ * component_reference metafield was read as `{ value }`: the referenced variants with
+ * their title, SKU, price, stock and product, loaded in pages. Variants that no longer
+ * exist are left out, as a references connection would leave them out. Returns `products`.
+ *
+ * Components and substitutes in bundle_config are looked up too, so one missing from the
+ * list only counts as deleted when Shopify has no such variant. Callers that need other
+ * fields pass their own `query` (a `nodes(ids: $ids)` query, with any other `variables`).
+ */
+export async function attachComponentReferences(admin, products, { query = REFERENCED_VARIANTS, variables = {} } = {}) {
+  const variants = products.flatMap((p) => p?.variants?.nodes ?? []).filter((v) => v?.metafield);
+  const idsOf = (v) => [
+    ...new Set([
+      ...referenceIds(v.metafield),
+      ...readBundleComponents(v.bundleConfig?.jsonValue).flatMap((c) => [c.variantId, ...(c.substitutes ?? [])]),
+    ]),
+  ];
+  const ids = [...new Set(variants.flatMap(idsOf))];
+
+  const byId = new Map();
+  for (let i = 0; i < ids.length; i += REFERENCES_PAGE_SIZE) {
+    const resp = await admin.graphql(query, {
+      variables: { ...variables, ids: ids.slice(i, i + REFERENCES_PAGE_SIZE) },
+    });
+    const data = await resp.json();
+    for (const node of data?.data?.nodes ?? []) {
+      if (node?.__typename === "ProductVariant") byId.set(node.id, node);
+    }
+  }
+
+  for (const variant of variants) {
+    const nodes = idsOf(variant).map((id) => byId.get(id)).filter(Boolean);
+    variant.metafield = { ...variant.metafield, references: { nodes } };
+  }
+  return products;
+}
+
+/**
+ * A component variant's stock as far as bundles are concerned: null when it doesn't
+ * limit them (inventory not tracked, or it keeps selling when out of stock).
+ */
+export function limitingQuantity(variant) {
+  if (!variant?.inventoryItem?.tracked || variant.inventoryPolicy === "CONTINUE") return null;
+  return variant.inventoryQuantity ?? 0;
+}
+
+/** "Product — Variant" for a referenced component variant (just the product for a default variant). */
+function componentTitle(variant) {
+  if (!variant?.product?.title) return variant?.title ?? null;
+  if (!variant.title || variant.title === "Default Title") return variant.product.title;
+  return `${variant.product.title} — ${variant.title}`;
+}
+
+/**
+ * Row data for a Shopify product node (BundleRecordProduct shape), or null when the
+ * product is not a bundle.
+ */
+export function toBundleRecord(product) {
+  const variants = (product?.variants?.nodes ?? []).filter((v) => {
+    const refs = (v?.metafield?.references?.nodes ?? []).filter((n) => n?.id);
+    return v?.id && (v.bundleConfig?.jsonValue || refs.length > 0);
+  });
+  if (!product?.id || variants.length === 0) return null;
+
+  // Substitutes get rows of their own (substituteFor = the component's variant) so the
+  // inventory webhooks keep their stock current too
+  const components = [];
+  for (const variant of variants) {
+    const config = variant.bundleConfig?.jsonValue ?? null;
+    const refs = (variant.metafield?.references?.nodes ?? []).filter((n) => n?.id);
+    const refById = new Map(refs.map((n) => [n.id, n]));
+    // Deleted variants drop out of the looked-up references (attachComponentReferences),
+    // so a configured component without one is gone (mix-and-match bundles have no references)
+    const hasRefList = Boolean(variant.metafield);
+    const addRow = (variantId, component, substituteFor) => {
+      const ref = refById.get(variantId);
+      components.push({
+        bundleVariantId: variant.id,
+        variantId,
+        productId: ref?.product?.id ?? null,
+        title: componentTitle(ref),
+        sku: ref?.sku || null,
+        quantity: component.quantity,
+        price: substituteFor ? null : component.price ?? null,
+        position: components.length,
+        missing: hasRefList && !ref,
+        substituteFor,
+        inventoryItemId: ref?.inventoryItem?.id ?? null,
+        inventoryQuantity: limitingQuantity(ref),
+      });
+    };
+    for (const c of readBundleComponents(config, refs.map((n) => n.id))) {
+      addRow(c.variantId, c, null);
+      for (const sub of c.substitutes ?? []) addRow(sub, c, c.variantId);
+    }
+  }
+
+  // Settings shared by all variants are read from the first one
+  const [variant, ...others] = variants;
+  const config = variant.bundleConfig?.jsonValue ?? null;
+  const discount = normalizeDiscount(config?.discount);
+  const isMixAndMatch = Array.isArray(config?.slots) && config.slots.length > 0;
+  const variantConfigs = Object.fromEntries(
+    others.filter((v) => v.bundleConfig?.jsonValue).map((v) => [v.id, v.bundleConfig.jsonValue]),
+  );
+
+  return {
+    productId: product.id,
+    variantId: variant.id,
+    title: product.title,
+    handle: product.handle ?? null,
+    status: product.status ?? "DRAFT",
+    type: isMixAndMatch ? "MIX_AND_MATCH" : "FIXED",
+    discountType: discount?.type ?? null,
+    discountValue: discount?.value ?? null,
+    autoMerge: Boolean(config?.autoMerge),
+    inventorySync: Boolean(config?.inventorySync),
+    config: config ? JSON.stringify(config) : null,
+    variantConfigs: others.length ? JSON.stringify(variantConfigs) : null,
+    hasMissingComponents: components.some((c) => c.missing && !c.substituteFor),
+    componentCount: isMixAndMatch
+      ? config.slots.length
+      : components.filter((c) => c.bundleVariantId === variant.id && !c.substituteFor).length,
+    components,
+  };
+}
+
+/** `{ variantId: bundle_config }` for every configured variant of a stored bundle row. */
+export function readVariantConfigs(row) {
+  return {
+    ...(row.config ? { [row.variantId]: JSON.parse(row.config) } : {}),
+    ...JSON.parse(row.variantConfigs || "{}"),
+  };
+}
+
+/** Insert or replace the row (and its components) for one bundle. */
+export async function upsertBundleRecord(shop, record) {
+  const { components, ...fields } = record;
+  const data = { ...fields, syncedAt: new Date() };
+  return db.bundle.upsert({
+    where: { shop_productId: { shop, productId: record.productId } },
+    create: { ...data, shop, components: { create: components } },
+    update: { ...data, components: { deleteMany: {}, create: components } },
+  });
+}
+
+/** Remove rows for products that were deleted (or are no longer bundles). */
+export async function removeBundleRecords(shop, productIds) {
+  if (!productIds.length) return 0;
+  const { count } = await db.bundle.deleteMany({ where: { shop, productId: { in: productIds } } });
+  return count;
+}
+
+/** Mirror a status change without another Admin API round trip (e.g. after archiving). */
+export async function setBundleRecordStatus(shop, productIds, status) {
+  if (!productIds.length) return;
+  await db.bundle.updateMany({
+    where: { shop, productId: { in: productIds } },
+    data: { status, syncedAt: new Date() },
+  });
+}
+
+async function fetchBundleProducts(admin, ids) {
+  const byId = new Map();
+  for (let i = 0; i < ids.length; i += NODES_PAGE_SIZE) {
+    const resp = await admin.graphql(BUNDLE_PRODUCTS_BY_ID, {
+      variables: { ids: ids.slice(i, i + NODES_PAGE_SIZE) },
+    });
+    const data = await resp.json();
+    for (const node of data?.data?.nodes ?? []) {
+      if (node?.__typename === "Product") byId.set(node.id, node);
+    }
+  }
+  await attachComponentReferences(admin, [...byId.values()]);
+  return byId;
+}
+
+/**
+ * Re-read one product from Shopify and update its row: upserted when it is a bundle,
+ * removed when it is gone or no longer a bundle. Returns the row data or null.
+ */
+export async function refreshBundleRecord(admin, shop, productId) {
+  const products = await fetchBundleProducts(admin, [productId]);
+  const record = toBundleRecord(products.get(productId));
+  if (!record) {
+    await removeBundleRecords(shop, [productId]);
+    return null;
+  }
+  await upsertBundleRecord(shop, record);
+  return record;
+}
+
+/**
+ * Bring the shop's rows in line with Shopify: every stored bundle is re-read (and
+ * removed if it no longer exists), and tagged bundles without a row are imported.
+ * Returns `{ ok, count, removed }`.
+ */
+export async function reconcileBundles(admin, shop) {
+  const stored = await db.bundle.findMany({ where: { shop }, select: { productId: true } });
+  const ids = new Set(stored.map((b) => b.productId));
+
+  let after = null;
+  do {
+    const resp = await admin.graphql(TAGGED_BUNDLE_IDS, { variables: { after } });
+    const data = await resp.json();
+    const conn = data?.data?.products;
+    for (const node of conn?.nodes ?? []) ids.add(node.id);
+    after = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (after);
+
+  const products = await fetchBundleProducts(admin, [...ids]);
+  const gone = [];
+  let count = 0;
+  for (const id of ids) {
+    const record = toBundleRecord(products.get(id));
+    if (!record) {
+      gone.push(id);
+      continue;
+    }
+    await upsertBundleRecord(shop, record);
+    count += 1;
+  }
+  const removed = await removeBundleRecords(shop, gone);
+
+  return { ok: true, count, removed };
+}
+
+/* ---------------- Bundle list ---------------- */
+
+// Prisma filters for the list's component count and health filter values (./bundle-list)
+const COMPONENT_COUNT_WHERE = {
+  "1-2": { componentCount: { gte: 1, lte: 2 } },
+  "3-5": { componentCount: { gte: 3, lte: 5 } },
+  "6+": { componentCount: { gte: 6 } },
+};
+const HEALTH_WHERE = {
+  "missing-components": { hasMissingComponents: true },
+  "sold-out": { availableQuantity: 0 },
+  healthy: {
+    hasMissingComponents: false,
+    OR: [{ availableQuantity: null }, { availableQuantity: { gt: 0 } }],
+  },
+};
+
+/** Prisma `where` for the shop's rows matching the list params (see readBundleListParams). */
+function bundleListWhere(shop, { query, statuses, componentCounts, health }) {
+  const and = [];
+  if (query) {
+    and.push({
+      OR: [
+        { title: { contains: query } },
+        { components: { some: { OR: [{ title: { contains: query } }, { sku: { contains: query } }] } } },
+      ],
+    });
+  }
+  if (statuses.length) and.push({ status: { in: statuses } });
+  const counts = componentCounts.map((v) => COMPONENT_COUNT_WHERE[v]).filter(Boolean);
+  if (counts.length) and.push({ OR: counts });
+  const healths = health.map((v) => HEALTH_WHERE[v]).filter(Boolean);
+  if (healths.length) and.push({ OR: healths });
+  return { shop, ...(and.length ? { AND: and } : {}) };
+}
+
+/**
+ * A page of the shop's bundle rows matching `params` (search, filters and sort as read by
+ * readBundleListParams), with components. `after` / `before` are the id of the last row
+ * of the previous page / the first row of the next one. Returns `{ rows, pageInfo, count }`,
+ * count being every matching row.
+ */
+export async function listBundleRecords(shop, params) {
+  const { first, after, before, sort } = params;
+  const where = bundleListWhere(shop, params);
+  const [field, direction] = sort.split(" ");
+  const backward = Boolean(before) && !after;
+  const cursor = after || before;
+
+  const findPage = (withCursor) =>
+    db.bundle.findMany({
+      where,
+      orderBy: [{ [field === "updated" ? "updatedAt" : "createdAt"]: direction }, { id: direction }],
+      take: backward && withCursor ? -(first + 1) : first + 1,
+      ...(withCursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      include: { components: { orderBy: { position: "asc" } } },
+    });
+
+  let rows = cursor ? await findPage(true) : [];
+  // No cursor, or its row is gone (deleted since the link was made): start over
+  const fromStart = !cursor || (rows.length === 0 && !(await db.bundle.count({ where: { id: cursor, shop } })));
+  if (fromStart) rows = await findPage(false);
+
+  let page;
+  let hasNextPage;
+  let hasPreviousPage;
+  if (backward && !fromStart) {
+    hasPreviousPage = rows.length > first;
+    page = hasPreviousPage ? rows.slice(1) : rows;
+    hasNextPage = true;
+  } else {
+    hasNextPage = rows.length > first;
+    page = rows.slice(0, first);
+    hasPreviousPage = !fromStart;
+  }
+
+  return {
+    rows: page,
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage,
+      startCursor: page[0]?.id ?? null,
+      endCursor: page[page.length - 1]?.id ?? null,
+    },
+    count: await db.bundle.count({ where }),
+  };
+}
+
+/**
+ * Whether rows were stored before component titles were (they are needed for searching by
+ * component), so the bundles should be read from Shopify again.
+ */
+export async function needsComponentTitles(shop) {
+  const untitled = await db.bundleComponent.count({ where: { bundle: { shop }, title: null, missing: false } });
+  return untitled > 0;
+}
+
+/** Whether the shop has any bundle rows yet (none means reconcile has never run). */
+export async function hasBundleRecords(shop) {
+  return (await db.bundle.count({ where: { shop } })) > 0;
+}
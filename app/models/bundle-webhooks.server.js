@@ -0,0 +1,196 @@
+// app/models/bundle-webhooks.server.js
+//
+// Keeps the local Bundle rows in step with changes made outside the app
+// (products/update, products/delete, inventory_levels/update), and republishes the
+// availability of bundles whose components changed (bundle-inventory.server.js). A
+// component's price change queues re-pricing of the bundles that saved its old price.
+//
+// Shopify delivers at least once, so every handler is safe to run twice: bundle rows are
+// rebuilt from what Shopify returns now rather than patched from the payload, and
+// component flags are recomputed, never toggled. handleOnce also skips a delivery whose
+// X-Shopify-Webhook-Id was already handled.
+import db from "../db.server";
+import { syncMergeDefinitions } from "./bundle-definitions.server";
+import { JOB_TYPES } from "./bundle-job-types";
+import { queueBundleJob } from "./bundle-jobs.server";
+import { updateBundleAvailability } from "./bundle-inventory.server";
+import { limitingQuantity, refreshBundleRecord, removeBundleRecords } from "./bundle-store.server";
+
+// Handled delivery ids are kept this long (Shopify retries for up to 48 hours)
+const DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/* ---------------- GraphQL ---------------- */
+
+const INVENTORY_ITEM_QUANTITY = `#graphql
+  query BundleComponentInventory($id: ID!) {
+    inventoryItem(id: $id) {
+      id
+      tracked
+      variant { id inventoryQuantity inventoryPolicy }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+const toGid = (type, id, gid) => gid || `gid://shopify/${type}/${id}`;
+
+/**
+ * Run `handler` unless this delivery was handled before. The id is recorded only after
+ * the handler succeeds, so a failed delivery is processed again when Shopify retries.
+ * Returns false when the delivery was skipped.
+ */
+export async function handleOnce({ webhookId, shop, topic }, handler) {
+  if (webhookId && (await db.webhookDelivery.findUnique({ where: { id: webhookId } }))) {
+    return false;
+  }
+
+  await handler();
+
+  if (webhookId) {
+    await db.webhookDelivery.upsert({
+      where: { id: webhookId },
+      create: { id: webhookId, shop, topic },
+      update: {},
+    });
+    await db.webhookDelivery.deleteMany({
+      where: { shop, receivedAt: { lt: new Date(Date.now() - DELIVERY_RETENTION_MS) } },
+    });
+  }
+  return true;
+}
+
+/** Recompute Bundle.hasMissingComponents (substitutes don't count) for the given bundle row ids. */
+async function refreshMissingFlags(bundleIds) {
+  for (const id of new Set(bundleIds)) {
+    const missing = await db.bundleComponent.count({ where: { bundleId: id, missing: true, substituteFor: null } });
+    await db.bundle.update({ where: { id }, data: { hasMissingComponents: missing > 0 } });
+  }
+}
+
+/**
+ * Flag components that belong to `productId`: a component is missing when its variant
+ * is not in `variantIds` (pass an empty set when the whole product was deleted).
+ */
+async function flagComponentsOfProduct(shop, productId, variantIds) {
+  const rows = await db.bundleComponent.findMany({
+    where: { productId, bundle: { shop } },
+    select: { id: true, bundleId: true, variantId: true, missing: true },
+  });
+
+  const changed = [];
+  for (const row of rows) {
+    const missing = !variantIds.has(row.variantId);
+    if (missing === row.missing) continue;
+    await db.bundleComponent.update({ where: { id: row.id }, data: { missing } });
+    changed.push(row.bundleId);
+  }
+  await refreshMissingFlags(changed);
+  return changed.length;
+}
+
+/** Returns how many bundles' availability changed. */
+async function republishAvailability(admin, shop, where) {
+  try {
+    const result = await updateBundleAvailability(admin, shop, where);
+    if (!result.ok) console.error("Could not update bundle availability", result.errors);
+    return result.updated;
+  } catch (error) {
+    console.error("Could not update bundle availability", error);
+    return 0;
+  }
+}
+
+/**
+ * Fixed bundles whose saved price for one of `priceById`'s variants (bundle_config, read
+ * by the cart transform) differs from its price now, as product GIDs.
+ */
+async function bundlesWithStalePrices(shop, priceById) {
+  const rows = await db.bundleComponent.findMany({
+    where: { variantId: { in: [...priceById.keys()] }, substituteFor: null, bundle: { shop, type: "FIXED" } },
+    select: { variantId: true, price: true, bundle: { select: { productId: true } } },
+  });
+  const stale = rows.filter((r) => {
+    const price = Number(priceById.get(r.variantId));
+    return Number.isFinite(price) && (r.price == null || Number(r.price) !== price);
+  });
+  return [...new Set(stale.map((r) => r.bundle.productId))];
+}
+
+async function resyncDefinitions(admin, shop) {
+  try {
+    await syncMergeDefinitions(admin, shop);
+  } catch (error) {
+    console.error("Could not re-sync auto-bundling definitions", error);
+  }
+}
+
+/* ---------------- Handlers ---------------- */
+
+/**
+ * products/update: re-read the product when it is one of our bundles (its bundle
+ * metafields may have been edited in Shopify admin), flag bundles whose component
+ * variants were removed from it, and re-price bundles when a component's price changed.
+ */
+export async function handleProductUpdate(admin, shop, payload) {
+  const productId = toGid("Product", payload?.id, payload?.admin_graphql_api_id);
+  const variantIds = new Set(
+    (payload?.variants ?? []).map((v) => toGid("ProductVariant", v.id, v.admin_graphql_api_id)),
+  );
+
+  const stored = await db.bundle.findUnique({ where: { shop_productId: { shop, productId } } });
+  const tagged = String(payload?.tags ?? "").split(",").map((t) => t.trim()).includes("bundle-app");
+  if ((stored || tagged) && admin) await refreshBundleRecord(admin, shop, productId);
+
+  await flagComponentsOfProduct(shop, productId, variantIds);
+  if (!admin) return;
+
+  const priceById = new Map(
+    (payload?.variants ?? []).map((v) => [toGid("ProductVariant", v.id, v.admin_graphql_api_id), v.price]),
+  );
+  const stale = await bundlesWithStalePrices(shop, priceById);
+  if (stale.length) await queueBundleJob(shop, JOB_TYPES.REPRICE, { productIds: stale }, { total: stale.length });
+
+  await republishAvailability(admin, shop, { OR: [{ productId }, { components: { some: { productId } } }] });
+
+  // Status, title or definition may have changed; a component's status decides whether
+  // bundles using it can still be expanded
+  const isComponent = (await db.bundleComponent.count({ where: { productId, bundle: { shop } } })) > 0;
+  if (stored || tagged || isComponent) await resyncDefinitions(admin, shop);
+}
+
+/** products/delete: drop the bundle row if it was a bundle; flag bundles that used it. */
+export async function handleProductDelete(admin, shop, payload) {
+  const productId = toGid("Product", payload?.id, payload?.admin_graphql_api_id);
+
+  const removed = await removeBundleRecords(shop, [productId]);
+  const flagged = await flagComponentsOfProduct(shop, productId, new Set());
+  if (!admin) return;
+  await republishAvailability(admin, shop, { components: { some: { productId } } });
+  if (removed || flagged) await resyncDefinitions(admin, shop);
+}
+
+/**
+ * inventory_levels/update: refresh the stored quantity of every bundle component using
+ * this inventory item, then the availability of those bundles. The payload only covers
+ * one location, so the total is re-read.
+ */
+export async function handleInventoryLevelUpdate(admin, shop, payload) {
+  const inventoryItemId = toGid("InventoryItem", payload?.inventory_item_id);
+  const where = { inventoryItemId, bundle: { shop } };
+  const before = admin ? await db.bundleComponent.findFirst({ where, select: { inventoryQuantity: true } }) : null;
+  if (!before) return;
+
+  const resp = await admin.graphql(INVENTORY_ITEM_QUANTITY, { variables: { id: inventoryItemId } });
+  const data = await resp.json();
+  const item = data?.data?.inventoryItem;
+  if (!item?.variant) return;
+
+  const quantity = limitingQuantity({ ...item.variant, inventoryItem: { tracked: item.tracked } });
+  await db.bundleComponent.updateMany({ where, data: { inventoryQuantity: quantity } });
+  const changed = await republishAvailability(admin, shop, { components: { some: { inventoryItemId } } });
+  // Selling out (or restocking) a component or substitute changes which variants the
+  // function may expand bundles into (null stock never sells out)
+  const inStock = (q) => q == null || q > 0;
+  if (changed || inStock(before.inventoryQuantity) !== inStock(quantity)) await resyncDefinitions(admin, shop);
+}
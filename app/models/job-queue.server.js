@@ -0,0 +1,304 @@
+// app/models/job-queue.server.js
+//
+// A small job queue on the Job table, for work too long or too call-heavy to finish inside
+// one admin request (bulk import, re-pricing, sync). Jobs run one at a time in the app
+// process: the worker polls for due jobs and also starts right after a job is queued.
+//
+// A handler gets `{ admin, shop, payload, state, progress }`. It reports progress with
+// `progress(done, total, state)`; the state is saved with it, and a retried job gets the
+// last saved state back, so it resumes instead of starting over. A handler returns the
+// job's result or throws:
+//   - a Shopify rate limit (cost throttling or HTTP 429) is waited out in place a few times,
+//     then the job is put back until the bucket has refilled, without using an attempt (up
+//     to MAX_THROTTLES times; after that a rate limit counts like any other error);
+//   - any other error uses an attempt and the job is retried with exponential backoff,
+//     until maxAttempts, when it is FAILED (and can be retried from the jobs page);
+//   - a job left RUNNING by a process that stopped (crashed, perhaps because of the job)
+//     uses an attempt when it is picked up again, so it too ends FAILED.
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+
+const POLL_INTERVAL_MS = 10 * 1000;
+// A RUNNING job whose lock wasn't refreshed for this long was left by a stopped process
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const THROTTLE_RETRIES = 3;
+// Times a job may be put back for throttling before a rate limit uses an attempt
+const MAX_THROTTLES = 20;
+// Finished jobs are kept this long for the jobs page
+const JOB_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parse = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/* ---------------- Throttling ---------------- */
+
+/**
+ * How long to wait before calling Shopify again when `error` is a rate limit, else null.
+ * Cost throttling comes back as a THROTTLED GraphQL error with the bucket's state in
+ * `extensions.cost`; the request rate limit as an HTTP 429 with Retry-After.
+ */
+export function throttleDelay(error) {
+  if (!error) return null;
+  if (error.response?.code === 429) return Math.max(1, Number(error.response.retryAfter) || 2) * 1000;
+  const graphQLErrors = error.body?.errors?.graphQLErrors ?? [];
+  if (!graphQLErrors.some((e) => e?.extensions?.code === "THROTTLED")) return null;
+
+  const cost = error.body?.extensions?.cost;
+  const requested = Number(cost?.requestedQueryCost) || 0;
+  const available = Number(cost?.throttleStatus?.currentlyAvailable) || 0;
+  const restoreRate = Number(cost?.throttleStatus?.restoreRate) || 50;
+  return Math.max(1000, Math.ceil(((requested - available) / restoreRate) * 1000));
+}
+
+/** `admin` whose graphql() waits out rate limits (up to THROTTLE_RETRIES times per call). */
+function throttleAware(admin) {
+  return {
+    ...admin,
+    graphql: async (query, options) => {
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          return await admin.graphql(query, options);
+        } catch (error) {
+          const wait = throttleDelay(error);
+          if (wait == null || attempt >= THROTTLE_RETRIES) throw error;
+          await sleep(wait);
+        }
+      }
+    },
+  };
+}
+
+/* ---------------- Queue ---------------- */
+
+/**
+ * Queue a job. With `unique`, a job of the same type still waiting to run is returned
+ * instead of queueing another. Returns the Job row.
+ */
+export async function enqueueJob(shop, type, payload = null, { total = null, maxAttempts = 5, unique = false } = {}) {
+  if (unique) {
+    const waiting = await db.job.findFirst({ where: { shop, type, status: "QUEUED", attempts: 0 } });
+    if (waiting) return waiting;
+  }
+  return db.job.create({
+    data: { shop, type, payload: payload == null ? null : JSON.stringify(payload), total, maxAttempts },
+  });
+}
+
+/** A Job row as the jobs pages show it (JSON columns parsed). */
+export function toJobView(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    total: job.total,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    state: parse(job.state),
+    result: parse(job.result),
+    runAt: job.runAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    createdAt: job.createdAt,
+  };
+}
+
+/** The shop's most recent jobs, newest first. */
+export async function listJobs(shop, { first = 50 } = {}) {
+  const jobs = await db.job.findMany({ where: { shop }, orderBy: { createdAt: "desc" }, take: first });
+  return jobs.map(toJobView);
+}
+
+/** One of the shop's jobs, or null. */
+export async function getJob(shop, id) {
+  const job = await db.job.findFirst({ where: { id, shop } });
+  return job ? toJobView(job) : null;
+}
+
+/**
+ * Run a FAILED or CANCELLED job again, from its last checkpoint and with a fresh set of
+ * attempts. Returns an error message or null.
+ */
+export async function retryJob(shop, id) {
+  const { count } = await db.job.updateMany({
+    where: { id, shop, status: { in: ["FAILED", "CANCELLED"] } },
+    data: { status: "QUEUED", attempts: 0, throttles: 0, error: null, runAt: new Date(), finishedAt: null },
+  });
+  return count ? null : "Only failed or cancelled jobs can be retried.";
+}
+
+/** Cancel a job that hasn't started (or is waiting to retry). Returns an error message or null. */
+export async function cancelJob(shop, id) {
+  const { count } = await db.job.updateMany({
+    where: { id, shop, status: "QUEUED" },
+    data: { status: "CANCELLED", finishedAt: new Date() },
+  });
+  return count ? null : "Only queued jobs can be cancelled; a running job finishes its current step first.";
+}
+
+/* ---------------- Worker ---------------- */
+
+/**
+ * Claim the next due job: QUEUED with runAt passed, or RUNNING with a stale lock. The
+ * conditional update makes the claim safe if another process polls the same database.
+ * A stale job's interrupted run counts as an attempt; one with none left is FAILED
+ * instead of claimed.
+ */
+async function claimNextJob() {
+  const now = new Date();
+  const candidate = await db.job.findFirst({
+    where: {
+      OR: [
+        { status: "QUEUED", runAt: { lte: now } },
+        { status: "RUNNING", lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    orderBy: { runAt: "asc" },
+  });
+  if (!candidate) return null;
+
+  const stale = candidate.status === "RUNNING";
+  const attempts = candidate.attempts + (stale ? 1 : 0);
+  const interrupted = "The job stopped before it finished (the app was restarted or crashed).";
+  if (attempts >= candidate.maxAttempts) {
+    await db.job.updateMany({
+      where: { id: candidate.id, status: candidate.status, updatedAt: candidate.updatedAt },
+      data: { status: "FAILED", attempts, error: interrupted, lockedAt: null, finishedAt: now },
+    });
+    return claimNextJob();
+  }
+
+  const { count } = await db.job.updateMany({
+    where: { id: candidate.id, status: candidate.status, updatedAt: candidate.updatedAt },
+    data: {
+      status: "RUNNING",
+      attempts,
+      lockedAt: now,
+      startedAt: candidate.startedAt ?? now,
+      ...(stale ? { error: interrupted } : {}),
+    },
+  });
+  return count ? { ...candidate, attempts } : claimNextJob();
+}
+
+async function runJob(job, handlers) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    await db.job.update({
+      where: { id: job.id },
+      data: { status: "FAILED", error: `Unknown job type “${job.type}”.`, lockedAt: null, finishedAt: new Date() },
+    });
+    return;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(job.shop);
+    const result = await handler({
+      admin: throttleAware(admin),
+      shop: job.shop,
+      payload: parse(job.payload),
+      state: parse(job.state),
+      progress: (done, total, state) =>
+        db.job.update({
+          where: { id: job.id },
+          data: {
+            progress: done,
+            ...(total != null ? { total } : {}),
+            ...(state !== undefined ? { state: JSON.stringify(state) } : {}),
+            lockedAt: new Date(),
+          },
+        }),
+    });
+    await db.job.update({
+      where: { id: job.id },
+      data: {
+        status: "SUCCEEDED",
+        result: result == null ? null : JSON.stringify(result),
+        error: null,
+        lockedAt: null,
+        finishedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    const message = error?.message || String(error);
+    const wait = throttleDelay(error);
+    if (wait != null && job.throttles < MAX_THROTTLES) {
+      // Rate limited: not the job's fault, so no attempt is used
+      await db.job.update({
+        where: { id: job.id },
+        data: {
+          status: "QUEUED",
+          throttles: job.throttles + 1,
+          error: message,
+          lockedAt: null,
+          runAt: new Date(Date.now() + wait),
+        },
+      });
+      return;
+    }
+
+    const attempts = job.attempts + 1;
+    const failed = attempts >= job.maxAttempts;
+    const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+    console.error(`Job ${job.id} (${job.type}) attempt ${attempts} failed:`, error);
+    await db.job.update({
+      where: { id: job.id },
+      data: {
+        status: failed ? "FAILED" : "QUEUED",
+        attempts,
+        error: message,
+        lockedAt: null,
+        ...(failed ? { finishedAt: new Date() } : { runAt: new Date(Date.now() + backoff) }),
+      },
+    });
+  }
+}
+
+/**
+ * Run due jobs until none are left. Only one pass runs at a time per process; a call
+ * while one is running is a no-op (that pass picks the new job up).
+ */
+async function runDueJobs() {
+  const worker = global.jobWorkerGlobal;
+  if (worker.busy) return;
+  worker.busy = true;
+  try {
+    for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+      await runJob(job, worker.handlers);
+    }
+    await db.job.deleteMany({
+      where: {
+        status: { in: ["SUCCEEDED", "CANCELLED"] },
+        finishedAt: { lt: new Date(Date.now() - JOB_RETENTION_MS) },
+      },
+    });
+  } catch (error) {
+    console.error("Job worker failed:", error);
+  } finally {
+    worker.busy = false;
+  }
+}
+
+/**
+ * Start polling for due jobs (once per process) and run a pass now. `handlers` maps job
+ * type to handler; the latest ones passed are used, so a dev reload picks up edits.
+ */
+export function startJobWorker(handlers) {
+  if (!global.jobWorkerGlobal) {
+    global.jobWorkerGlobal = { busy: false, handlers };
+    const timer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+    timer.unref?.();
+  }
+  global.jobWorkerGlobal.handlers = handlers;
+  runDueJobs();
+}
@@ -1,7 +1,12 @@
-// app/routes/bundles._index.jsx
+// app/routes/app._index.jsx
+//
+// The bundle list: the app's bundle records, searched (by bundle or component title or
+// SKU), filtered, sorted and paged in the database, with live product data and health
+// checks for the page shown. Search, filters, sort and page live in the URL
+// (../models/bundle-list), so a reload or a shared link shows the same list.
 import { json } from "@remix-run/node";
-import { useLoaderData } from "@remix-run/react";
-import { useMemo } from "react";
+import { useFetcher, useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   Page,
   Layout,
@@ -14,111 +19,480 @@ import {
   Box,
   Link,
   Banner,
+  ChoiceList,
+  IndexFilters,
+  IndexTable,
+  Select,
+  useIndexResourceState,
+  useSetIndexFiltersMode,
 } from "@shopify/polaris";
-import { TitleBar } from "@shopify/app-bridge-react";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { MAX_OPTION_VALUES, normalizeSlots, readBundleComponents } from "../models/bundle-config";
+import {
+  archiveBundles,
+  deleteBundles,
+  findOrderReferences,
+  readProductIds,
+} from "../models/bundle-lifecycle.server";
+import {
+  BUNDLE_SORT_OPTIONS,
+  BUNDLE_STATUS_CHOICES,
+  COMPONENT_COUNT_CHOICES,
+  HEALTH_CHOICES,
+  readBundleListParams,
+  withBundleListParams,
+} from "../models/bundle-list";
+import {
+  attachComponentReferences,
+  hasBundleRecords,
+  listBundleRecords,
+  needsComponentTitles,
+  reconcileBundles,
+} from "../models/bundle-store.server";
+import { checkBundleHealth, fixBundleIssue } from "../models/bundle-health.server";
+import { BundleRemovalModal } from "../components/BundleRemovalModal";
 
 /** ---------------- GraphQL ---------------- **/
 
-// List products tagged "bundle-app"; read the bundle metafield on the default (first) variant
+// Live product data for stored bundles, LIST_PAGE_SIZE at a time to stay under the query
+// cost limit; component references are loaded by attachComponentReferences
+const LIST_PAGE_SIZE = 10;
 const LIST_BUNDLES = `#graphql
-  query ListBundles($first: Int!, $after: String) {
-    products(first: $first, after: $after, query: "tag:bundle-app") {
-      edges {
-        cursor
-        node {
-          id
-          title
-          status
-          handle
-          createdAt
-          updatedAt
-          featuredImage { url altText }
-          variants(first: 1) {
-            nodes {
-              id
-              metafield(namespace: "custom", key: "component_reference") {
-                references(first: 250) {
-                  nodes {
-                    __typename
-                    ... on ProductVariant {
-                      id
-                      title
-                      product { title }
-                    }
-                  }
-                }
-              }
-            }
+  query ListBundles($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on Product {
+        id
+        title
+        status
+        handle
+        featuredImage { url altText }
+        variants(first: ${MAX_OPTION_VALUES}) {
+          nodes {
+            id
+            title
+            bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+            metafield(namespace: "custom", key: "component_reference") { value }
           }
         }
       }
-      pageInfo { hasNextPage endCursor }
     }
   }
 `;
 
 /** ---------------- Loader ---------------- **/
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+  const params = readBundleListParams(new URL(request.url).searchParams);
 
-  const url = new URL(request.url);
-  const after = url.searchParams.get("after") || null;
-  const first = Number(url.searchParams.get("first") || 25);
+  // Bundles come from the app's own records; a shop without any gets its tagged bundles
+  // imported, and rows stored before component titles were kept are read again
+  if (!(await hasBundleRecords(session.shop)) || (await needsComponentTitles(session.shop))) {
+    await reconcileBundles(admin, session.shop);
+  }
+  const { rows, pageInfo, count } = await listBundleRecords(session.shop, params);
+  const hasBundles = count > 0 || (await hasBundleRecords(session.shop));
 
-  const resp = await admin.graphql(LIST_BUNDLES, { variables: { first, after } });
-  const data = await resp.json();
+  const productById = new Map();
+  for (let i = 0; i < rows.length; i += LIST_PAGE_SIZE) {
+    const ids = rows.slice(i, i + LIST_PAGE_SIZE).map((r) => r.productId);
+    const resp = await admin.graphql(LIST_BUNDLES, { variables: { ids } });
+    const data = await resp.json();
+    for (const n of data?.data?.nodes ?? []) {
+      if (n?.__typename === "Product") productById.set(n.id, n);
+    }
+  }
+  await attachComponentReferences(admin, [...productById.values()]);
 
-  const edges = data?.data?.products?.edges ?? [];
-  const pageInfo = data?.data?.products?.pageInfo ?? { hasNextPage: false, endCursor: null };
+  // Diagnostics for this page (a failed check shouldn't take the list down)
+  let health = {};
+  try {
+    health = await checkBundleHealth(admin, rows.map((r) => r.productId));
+  } catch (error) {
+    console.error("Bundle health check failed", error);
+  }
 
-  // Normalize for the UI
-  const items = edges.map((e) => {
-    const p = e.node;
-    const v = p?.variants?.nodes?.[0];
-    const refs = v?.metafield?.references?.nodes ?? [];
+  // Normalize for the UI (Shopify's data wins; the stored row fills in if the product is gone)
+  const items = rows.map((row) => {
+    const p = productById.get(row.productId);
+    const availability = JSON.parse(row.variantAvailability || "{}");
+    // A bundle with options lists each variant's own components
+    const variants = p
+      ? p.variants.nodes.filter((v) => v.bundleConfig || v.metafield).map((v) => {
+        const config = v.bundleConfig?.jsonValue ?? null;
+        const refs = v.metafield?.references?.nodes ?? [];
+        const refById = new Map(refs.map((n) => [n.id, n]));
+        return {
+          id: v.id,
+          title: v.title,
+          slots: normalizeSlots(config?.slots),
+          availableQuantity: availability[v.id] ?? null,
+          components: readBundleComponents(config, refs.map((n) => n.id)).map((c) => {
+            const n = refById.get(c.variantId);
+            return {
+              id: c.variantId,
+              quantity: c.quantity,
+              title: n?.title || "Variant",
+              productTitle: n?.product?.title,
+              substitutes: c.substitutes?.length ?? 0,
+              choices: c.choices?.length ?? 0,
+            };
+          }),
+        };
+      })
+      : [{
+        id: row.variantId,
+        title: "",
+        slots: normalizeSlots(JSON.parse(row.config || "null")?.slots),
+        availableQuantity: row.availableQuantity,
+        components: row.components
+          .filter((c) => !c.substituteFor && (c.bundleVariantId ?? row.variantId) === row.variantId)
+          .map((c) => ({ id: c.variantId, quantity: c.quantity, title: c.title || "Variant", substitutes: 0, choices: 0 })),
+      }];
     return {
-      cursor: e.cursor,
-      id: p.id,
-      idShort: p.id?.replace("gid://shopify/Product/", ""),
-      title: p.title,
-      status: p.status,
-      handle: p.handle,
-      image: p.featuredImage?.url || null,
-      createdAt: p.createdAt,
-      updatedAt: p.updatedAt,
-      defaultVariantId: v?.id || null,
-      components: refs.map((n) => ({
-        id: n.id,
-        title: n.title || "Variant",
-        productTitle: n.product?.title,
-      })),
+      id: row.productId,
+      idShort: row.productId.replace("gid://shopify/Product/", ""),
+      title: p?.title ?? row.title,
+      status: p?.status ?? row.status,
+      handle: p?.handle ?? row.handle,
+      image: p?.featuredImage?.url || null,
+      // The app's record, which is what the list sorts by
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      defaultVariantId: variants[0]?.id || row.variantId,
+      missing: !p,
+      hasMissingComponents: row.hasMissingComponents,
+      availableQuantity: row.availableQuantity,
+      componentCount: row.componentCount,
+      issues: health[row.productId] ?? null,
+      variants,
     };
   });
 
-  return json({ items, pageInfo, first });
+  return json({ items, pageInfo, count, hasBundles });
+};
+
+/** ---------------- Action ---------------- **/
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "");
+  const ids = readProductIds(form);
+  if (ids.length === 0) {
+    return json({ ok: false, message: "Select at least one bundle." }, { status: 400 });
+  }
+
+  if (intent === "fix") {
+    const result = await fixBundleIssue(admin, session.shop, ids[0], String(form.get("fix") || ""));
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+  if (intent === "references") {
+    return json({ ok: true, ...(await findOrderReferences(admin, ids)) });
+  }
+  if (intent === "archive") {
+    const result = await archiveBundles(admin, session.shop, ids);
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+  if (intent === "delete") {
+    const result = await deleteBundles(admin, session.shop, ids);
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+  return json({ ok: false, message: `Unknown intent "${intent}".` }, { status: 400 });
 };
 
 /** ---------------- UI ---------------- **/
+
+const SEARCH_DELAY_MS = 300;
+
+const choiceLabels = (choices, values) =>
+  values.map((v) => choices.find((c) => c.value === v)?.label ?? v).join(", ");
+
+// Controls inside a row; clicks on them shouldn't open the bundle
+const stopRowClick = (event) => event.stopPropagation();
+
+function ComponentSummary({ variant }) {
+  if (variant.slots.length) {
+    return (
+      <Text as="p" variant="bodySm" tone="subdued">
+        {"Mix and match: " +
+          variant.slots.map((slot) => `${slot.quantity} from ${slot.collectionTitle || "collection"}`).join(", ")}
+      </Text>
+    );
+  }
+  if (!variant.components.length) return null;
+  const shown = variant.components.slice(0, 3).map((c) =>
+    `${c.quantity > 1 ? `${c.quantity} × ` : ""}${c.productTitle ? `${c.productTitle} — ` : ""}${c.title}` +
+    (c.substitutes > 0 ? ` (+${c.substitutes} substitute${c.substitutes === 1 ? "" : "s"})` : "") +
+    (c.choices > 0 ? ` (pick from ${c.choices + 1})` : ""));
+  const more = variant.components.length - shown.length;
+  return (
+    <Text as="p" variant="bodySm" tone="subdued">
+      {shown.join(", ") + (more > 0 ? `, +${more} more` : "")}
+    </Text>
+  );
+}
+
+function HealthCell({ item, onFix, fixingKey }) {
+  if (!item.issues) return <Text as="span" tone="subdued">—</Text>;
+  if (!item.issues.length) return <Badge tone="success">healthy</Badge>;
+  return (
+    <BlockStack gap="100">
+      {item.issues.map((issue, i) => (
+        <InlineStack key={`${issue.code}-${i}`} gap="200" blockAlign="center" wrap={false}>
+          <Badge tone={issue.severity}>{issue.severity}</Badge>
+          <Text as="span" variant="bodySm">{issue.message}</Text>
+          {issue.fix && (
+            <div onClick={stopRowClick}>
+              <Button
+                size="slim"
+                onClick={() => onFix(item.id, issue.fix.code)}
+                loading={fixingKey === `${item.id}:${issue.fix.code}`}
+              >
+                {issue.fix.label}
+              </Button>
+            </div>
+          )}
+        </InlineStack>
+      ))}
+    </BlockStack>
+  );
+}
+
 export default function BundlesIndex() {
-  const { items, pageInfo, first } = useLoaderData();
+  const { items, pageInfo, count, hasBundles } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const params = useMemo(() => readBundleListParams(searchParams), [searchParams]);
+  const [removal, setRemoval] = useState(null); // { mode: "archive" | "delete", bundles }
+  const [shownVariants, setShownVariants] = useState({}); // product id -> variant id (bundles with options)
+  const { mode: filtersMode, setMode: setFiltersMode } = useSetIndexFiltersMode();
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(items);
+
+  // Filters and sort replace the history entry; paging adds one, so Back goes to the previous page
+  const updateParams = useCallback(
+    (changes, { replace = true } = {}) => setSearchParams((prev) => withBundleListParams(prev, changes), { replace }),
+    [setSearchParams],
+  );
+
+  // The search box updates the URL once typing pauses; a URL change from elsewhere (Back,
+  // Clear all) is copied into the box
+  const [queryValue, setQueryValue] = useState(params.query);
+  const sentQuery = useRef(params.query);
+  useEffect(() => {
+    if (params.query === sentQuery.current) return;
+    sentQuery.current = params.query;
+    setQueryValue(params.query);
+  }, [params.query]);
+  useEffect(() => {
+    const query = queryValue.trim();
+    if (query === sentQuery.current) return undefined;
+    const timer = setTimeout(() => {
+      sentQuery.current = query;
+      updateParams({ query });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [queryValue, updateParams]);
+
+  const startRemoval = (mode, ids) =>
+    setRemoval({ mode, bundles: items.filter((i) => ids.includes(i.id)).map((i) => ({ id: i.id, title: i.title })) });
+
+  const confirmRemoval = () => {
+    const form = new FormData();
+    form.set("intent", removal.mode);
+    form.set("ids", JSON.stringify(removal.bundles.map((b) => b.id)));
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const fixFetcher = useFetcher();
+  const applyFix = (productId, fix) => {
+    const form = new FormData();
+    form.set("intent", "fix");
+    form.set("ids", JSON.stringify([productId]));
+    form.set("fix", fix);
+    fixFetcher.submit(form, { method: "POST" });
+  };
+  const fixingKey = fixFetcher.state !== "idle"
+    ? `${JSON.parse(String(fixFetcher.formData?.get("ids") || "[]"))[0]}:${fixFetcher.formData?.get("fix")}`
+    : null;
+
+  useEffect(() => {
+    if (fixFetcher.state === "idle" && fixFetcher.data?.message) {
+      shopify.toast.show(fixFetcher.data.message, { isError: !fixFetcher.data.ok });
+    }
+  }, [fixFetcher.state, fixFetcher.data, shopify]);
 
-  const total = items.length;
-  const hasBundles = total > 0;
+  const isRemoving = fetcher.state !== "idle" && ["archive", "delete"].includes(fetcher.formData?.get("intent"));
 
-  const nextHref = useMemo(() => {
-    if (!pageInfo?.hasNextPage) return null;
-    const params = new URLSearchParams();
-    params.set("first", String(first));
-    params.set("after", pageInfo.endCursor);
-    return `/bundles?${params.toString()}`;
-  }, [pageInfo, first]);
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data?.message) return;
+    if (fetcher.data.ok) shopify.toast.show(fetcher.data.message);
+    setRemoval(null);
+    clearSelection();
+  }, [fetcher.state, fetcher.data, shopify, clearSelection]);
+
+  const filters = [
+    {
+      key: "status",
+      label: "Status",
+      shortcut: true,
+      filter: (
+        <ChoiceList
+          title="Status"
+          titleHidden
+          allowMultiple
+          choices={BUNDLE_STATUS_CHOICES}
+          selected={params.statuses}
+          onChange={(value) => updateParams({ status: value })}
+        />
+      ),
+    },
+    {
+      key: "components",
+      label: "Components",
+      shortcut: true,
+      filter: (
+        <ChoiceList
+          title="Components"
+          titleHidden
+          allowMultiple
+          choices={COMPONENT_COUNT_CHOICES}
+          selected={params.componentCounts}
+          onChange={(value) => updateParams({ components: value })}
+        />
+      ),
+    },
+    {
+      key: "health",
+      label: "Health",
+      shortcut: true,
+      filter: (
+        <ChoiceList
+          title="Health"
+          titleHidden
+          allowMultiple
+          choices={HEALTH_CHOICES}
+          selected={params.health}
+          onChange={(value) => updateParams({ health: value })}
+        />
+      ),
+    },
+  ];
+
+  const appliedFilters = [
+    params.statuses.length && {
+      key: "status",
+      label: `Status: ${choiceLabels(BUNDLE_STATUS_CHOICES, params.statuses)}`,
+      onRemove: () => updateParams({ status: null }),
+    },
+    params.componentCounts.length && {
+      key: "components",
+      label: choiceLabels(COMPONENT_COUNT_CHOICES, params.componentCounts),
+      onRemove: () => updateParams({ components: null }),
+    },
+    params.health.length && {
+      key: "health",
+      label: choiceLabels(HEALTH_CHOICES, params.health),
+      onRemove: () => updateParams({ health: null }),
+    },
+  ].filter(Boolean);
+
+  const clearAll = () => {
+    sentQuery.current = "";
+    setQueryValue("");
+    updateParams({ query: null, status: null, components: null, health: null });
+  };
+
+  const rows = items.map((item, index) => {
+    const variant = item.variants.find((v) => v.id === shownVariants[item.id]) ?? item.variants[0]
+      ?? { slots: [], components: [], availableQuantity: item.availableQuantity };
+    const hasOptions = item.variants.length > 1;
+    const available = hasOptions ? variant.availableQuantity : item.availableQuantity;
+    const isMixAndMatch = variant.slots.length > 0;
+    const partCount = isMixAndMatch ? variant.slots.length : variant.components.length;
+
+    return (
+      <IndexTable.Row id={item.id} key={item.id} position={index} selected={selectedResources.includes(item.id)}>
+        <IndexTable.Cell>
+          {item.image ? (
+            <img src={item.image} alt="" style={{ width: 40, height: 40, objectFit: "cover", borderRadius: 8 }} />
+          ) : (
+            <Box width="40px" minHeight="40px" background="bg-fill-tertiary" borderRadius="200" />
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <BlockStack gap="100">
+            <InlineStack gap="200" blockAlign="center">
+              <Link url={`/app/bundles/${item.idShort}`} monochrome removeUnderline dataPrimaryLink>
+                <Text as="span" variant="bodyMd" fontWeight="semibold">{item.title}</Text>
+              </Link>
+              {item.missing && <Badge tone="critical">not found in Shopify</Badge>}
+            </InlineStack>
+            {/* Components and availability follow the chosen variant */}
+            {hasOptions && (
+              <div onClick={stopRowClick} style={{ maxWidth: 240 }}>
+                <Select
+                  label="Variant"
+                  labelInline
+                  options={item.variants.map((v) => ({ label: v.title, value: v.id }))}
+                  value={variant.id}
+                  onChange={(value) => setShownVariants((prev) => ({ ...prev, [item.id]: value }))}
+                />
+              </div>
+            )}
+            <ComponentSummary variant={variant} />
+          </BlockStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Badge tone={item.status === "ACTIVE" ? "success" : "attention"}>{item.status.toLowerCase()}</Badge>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Badge tone={partCount > 0 ? undefined : "critical"}>
+            {isMixAndMatch
+              ? `${partCount} slot${partCount === 1 ? "" : "s"}`
+              : `${partCount} component${partCount === 1 ? "" : "s"}`}
+          </Badge>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <InlineStack gap="100">
+            {item.hasMissingComponents && <Badge tone="critical">missing components</Badge>}
+            {available === 0 && <Badge tone="critical">sold out</Badge>}
+            {available > 0 && <Text as="span">{`${available} available`}</Text>}
+            {available == null && !item.hasMissingComponents && <Text as="span" tone="subdued">Not tracked</Text>}
+          </InlineStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <HealthCell item={item} onFix={applyFix} fixingKey={fixingKey} />
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text as="span" tone="subdued">{new Date(item.updatedAt).toLocaleDateString()}</Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <div onClick={stopRowClick}>
+            <InlineStack gap="200" wrap={false}>
+              <Button url={`shopify:admin/products/${item.idShort}`} target="_blank" size="slim">
+                Open in Admin
+              </Button>
+              {item.status !== "ARCHIVED" && (
+                <Button size="slim" onClick={() => startRemoval("archive", [item.id])}>Archive</Button>
+              )}
+              <Button size="slim" tone="critical" variant="plain" onClick={() => startRemoval("delete", [item.id])}>
+                Delete
+              </Button>
+            </InlineStack>
+          </div>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
 
   return (
-    <Page>
+    <Page fullWidth>
       <TitleBar title="Bundles">
-        <a href="app/bundles/create" role="button">Create bundle</a>
+        <a href="/app/bundles/create" role="button">Create bundle</a>
       </TitleBar>
 
       <Layout>
@@ -127,96 +501,83 @@ export default function BundlesIndex() {
             <Banner title="No bundles yet" tone="info">
               <p>
                 You haven’t created any bundle products.{" "}
-                <Link url="/bundles/create" removeUnderline>Make one now</Link>.
+                <Link url="/app/bundles/create" removeUnderline>Make one now</Link>.
               </p>
             </Banner>
           )}
 
+          {fetcher.data?.ok === false && fetcher.data?.message && (
+            <Box paddingBlockEnd="400">
+              <Banner title="Error" tone="critical">
+                <p>{fetcher.data.message}</p>
+              </Banner>
+            </Box>
+          )}
+
           {hasBundles && (
-            <BlockStack gap="400">
-              {items.map((item) => {
-                const count = item.components.length;
-                return (
-                  <Card key={item.id}>
-                    <BlockStack gap="300">
-                      <InlineStack align="space-between" blockAlign="center">
-                        <InlineStack gap="200" blockAlign="center">
-                          {item.image ? (
-                            <img
-                              src={item.image}
-                              alt=""
-                              style={{ width: 48, height: 48, objectFit: "cover", borderRadius: 8 }}
-                            />
-                          ) : (
-                            <Box
-                              width="48"
-                              height="48"
-                              background="bg-fill-tertiary"
-                              borderRadius="200"
-                            />
-                          )}
-                          <div>
-                            <Text as="h3" variant="headingMd">{item.title}</Text>
-                            <InlineStack gap="200">
-                              <Badge tone={item.status === "ACTIVE" ? "success" : "attention"}>
-                                {item.status.toLowerCase()}
-                              </Badge>
-                              <Badge tone={count > 0 ? "success" : "critical"}>
-                                {count} component{count === 1 ? "" : "s"}
-                              </Badge>
-                            </InlineStack>
-                          </div>
-                        </InlineStack>
-
-                        <InlineStack gap="200">
-                          <Button
-                            url={`shopify:admin/products/${item.idShort}`}
-                            target="_blank"
-                            variant="primary"
-                          >
-                            Open in Admin
-                          </Button>
-                          <Button url={`/bundles/${item.idShort}`} disabled>
-                            Edit (coming soon)
-                          </Button>
-                        </InlineStack>
-                      </InlineStack>
-
-                      {count > 0 && (
-                        <Box paddingInlineStart="300">
-                          <Text as="p" tone="subdued">Components</Text>
-                          <ul style={{ margin: 0, paddingLeft: 18 }}>
-                            {item.components.slice(0, 6).map((c) => (
-                              <li key={c.id}>
-                                <Text as="span" variant="bodyMd">
-                                  {c.productTitle ? `${c.productTitle} — ` : ""}{c.title}
-                                </Text>
-                              </li>
-                            ))}
-                            {count > 6 && (
-                              <li>
-                                <Text as="span" tone="subdued">
-                                  +{count - 6} more…
-                                </Text>
-                              </li>
-                            )}
-                          </ul>
-                        </Box>
-                      )}
-                    </BlockStack>
-                  </Card>
-                );
-              })}
-
-              {nextHref && (
-                <InlineStack align="center">
-                  <Button url={nextHref}>Load more</Button>
-                </InlineStack>
-              )}
-            </BlockStack>
+            <Card padding="0">
+              <IndexFilters
+                tabs={[{ id: "all", content: "All bundles" }]}
+                selected={0}
+                onSelect={() => {}}
+                canCreateNewView={false}
+                queryValue={queryValue}
+                queryPlaceholder="Search bundles, component titles or SKUs"
+                onQueryChange={setQueryValue}
+                onQueryClear={() => setQueryValue("")}
+                sortOptions={BUNDLE_SORT_OPTIONS}
+                sortSelected={[params.sort]}
+                onSort={([sort]) => updateParams({ sort })}
+                filters={filters}
+                appliedFilters={appliedFilters}
+                onClearAll={clearAll}
+                mode={filtersMode}
+                setMode={setFiltersMode}
+                loading={navigation.state === "loading"}
+              />
+              <IndexTable
+                resourceName={{ singular: "bundle", plural: "bundles" }}
+                itemCount={items.length}
+                selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                onSelectionChange={handleSelectionChange}
+                promotedBulkActions={[
+                  { content: "Archive bundles", onAction: () => startRemoval("archive", selectedResources) },
+                ]}
+                bulkActions={[
+                  { content: "Delete bundles", destructive: true, onAction: () => startRemoval("delete", selectedResources) },
+                ]}
+                headings={[
+                  { title: "Image", hidden: true },
+                  { title: "Bundle" },
+                  { title: "Status" },
+                  { title: "Components" },
+                  { title: "Availability" },
+                  { title: "Health" },
+                  { title: "Updated" },
+                  { title: "Actions", hidden: true },
+                ]}
+                pagination={{
+                  hasPrevious: pageInfo.hasPreviousPage,
+                  hasNext: pageInfo.hasNextPage,
+                  onPrevious: () => updateParams({ before: pageInfo.startCursor, after: null }, { replace: false }),
+                  onNext: () => updateParams({ after: pageInfo.endCursor, before: null }, { replace: false }),
+                  label: `${count} bundle${count === 1 ? "" : "s"}`,
+                }}
+              >
+                {rows}
+              </IndexTable>
+            </Card>
           )}
         </Layout.Section>
       </Layout>
+
+      <BundleRemovalModal
+        mode={removal?.mode ?? null}
+        bundles={removal?.bundles ?? []}
+        loading={isRemoving}
+        onConfirm={confirmRemoval}
+        onClose={() => setRemoval(null)}
+      />
     </Page>
   );
 }
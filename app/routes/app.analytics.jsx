@@ -0,0 +1,324 @@
+// app/routes/app.analytics.jsx
+//
+// Which bundles sell: units, revenue, average discount and attach rate per bundle over a
+// date range (kept in the URL), from the orders recorded by the orders/create webhook and
+// the backfill job (../models/bundle-analytics.server). Dates are UTC days.
+import { useEffect, useRef, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData, useSearchParams } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineGrid,
+  InlineStack,
+  Layout,
+  Link,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { bundleSalesReport, firstRecordedOrderAt } from "../models/bundle-analytics.server";
+import { downloadCsv, toCsv } from "../models/bundle-csv";
+import { JOB_TYPES } from "../models/bundle-job-types";
+import { queueBundleJob } from "../models/bundle-jobs.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Without the read_all_orders scope Shopify only returns an app the last 60 days of orders
+const BACKFILL_DAYS = 60;
+
+const RANGE_OPTIONS = [
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 30 days", value: "30" },
+  { label: "Last 90 days", value: "90" },
+  { label: "Last 12 months", value: "365" },
+  { label: "Custom", value: "custom" },
+];
+const DEFAULT_RANGE = "30";
+
+const CSV_REPORT_COLUMNS = [
+  "bundle_product_id",
+  "title",
+  "units",
+  "revenue",
+  "orders",
+  "attach_rate",
+  "average_discount",
+  "discount_rate",
+  "currency",
+];
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value ?? "") && !Number.isNaN(Date.parse(value));
+
+/**
+ * The date range in `params`: a preset (`range=30`, the last N days including today) or
+ * `range=custom&from=YYYY-MM-DD&to=YYYY-MM-DD` (both days included). Returns
+ * `{ range, fromDay, toDay, from, to }`, `to` being the start of the day after toDay.
+ */
+function readRange(params) {
+  const today = isoDate(new Date());
+  let range = params.get("range") || DEFAULT_RANGE;
+  let fromDay;
+  let toDay = today;
+  if (range === "custom" && isDay(params.get("from")) && isDay(params.get("to"))) {
+    [fromDay, toDay] = [params.get("from"), params.get("to")].sort();
+  } else {
+    if (!RANGE_OPTIONS.some((o) => o.value === range && o.value !== "custom")) range = DEFAULT_RANGE;
+    fromDay = isoDate(new Date(Date.parse(today) - (Number(range) - 1) * DAY_MS));
+  }
+  return { range, fromDay, toDay, from: new Date(fromDay), to: new Date(Date.parse(toDay) + DAY_MS) };
+}
+
+/* ---------------- Loader ---------------- */
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { from, to, ...range } = readRange(new URL(request.url).searchParams);
+  const [report, firstOrderAt] = await Promise.all([
+    bundleSalesReport(session.shop, { from, to }),
+    firstRecordedOrderAt(session.shop),
+  ]);
+  return json({ range, report, firstOrderAt, backfillDays: BACKFILL_DAYS });
+};
+
+/* ---------------- Action ---------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = form.get("intent");
+
+  if (intent === "export") {
+    const { from, to, fromDay, toDay } = readRange(new URLSearchParams(String(form.get("params") || "")));
+    const { bundles, currencyCode } = await bundleSalesReport(session.shop, { from, to });
+    const csv = toCsv(
+      bundles.map((b) => ({
+        bundle_product_id: b.productId,
+        title: b.title,
+        units: b.units,
+        revenue: b.revenue.toFixed(2),
+        orders: b.orders,
+        attach_rate: b.attachRate == null ? "" : b.attachRate.toFixed(4),
+        average_discount: b.averageDiscount == null ? "" : b.averageDiscount.toFixed(2),
+        discount_rate: b.discountRate == null ? "" : b.discountRate.toFixed(4),
+        currency: currencyCode ?? "",
+      })),
+      CSV_REPORT_COLUMNS,
+    );
+    return json({ ok: true, csv, filename: `bundle-sales-${fromDay}-to-${toDay}.csv` });
+  }
+
+  if (intent === "backfill") {
+    const since = isoDate(new Date(Date.now() - BACKFILL_DAYS * DAY_MS));
+    const job = await queueBundleJob(session.shop, JOB_TYPES.BACKFILL, { since });
+    return json({ ok: true, message: `Reading orders since ${since}.`, jobId: job.id });
+  }
+
+  return json({ ok: false, message: "Unknown intent" }, { status: 400 });
+};
+
+/* ---------------- UI ---------------- */
+
+const percent = (value) => (value == null ? "—" : `${(value * 100).toFixed(1)}%`);
+
+function moneyFormatter(currencyCode) {
+  const format = currencyCode
+    ? new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode })
+    : new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return (value) => (value == null ? "—" : format.format(value));
+}
+
+function Stat({ label, value, help }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="h3" variant="headingSm" tone="subdued">{label}</Text>
+        <Text as="p" variant="headingLg">{value}</Text>
+        {help ? <Text as="p" variant="bodySm" tone="subdued">{help}</Text> : null}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function RangePicker({ range }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [from, setFrom] = useState(range.fromDay);
+  const [to, setTo] = useState(range.toDay);
+  const [custom, setCustom] = useState(range.range === "custom");
+  useEffect(() => {
+    setFrom(range.fromDay);
+    setTo(range.toDay);
+    setCustom(range.range === "custom");
+  }, [range.range, range.fromDay, range.toDay]);
+
+  const choose = (value) => {
+    if (value === "custom") {
+      setCustom(true);
+      return;
+    }
+    setCustom(false);
+    const next = new URLSearchParams(searchParams);
+    next.set("range", value);
+    next.delete("from");
+    next.delete("to");
+    setSearchParams(next, { replace: true });
+  };
+
+  const apply = () => {
+    const next = new URLSearchParams(searchParams);
+    next.set("range", "custom");
+    next.set("from", from);
+    next.set("to", to);
+    setSearchParams(next, { replace: true });
+  };
+
+  return (
+    <InlineStack gap="300" blockAlign="end">
+      <Select label="Date range" options={RANGE_OPTIONS} value={custom ? "custom" : range.range} onChange={choose} />
+      {custom ? (
+        <>
+          <TextField label="From" type="date" value={from} onChange={setFrom} autoComplete="off" />
+          <TextField label="To" type="date" value={to} onChange={setTo} autoComplete="off" />
+          <Button onClick={apply} disabled={!from || !to}>Apply</Button>
+        </>
+      ) : null}
+    </InlineStack>
+  );
+}
+
+export default function BundleAnalyticsPage() {
+  const { range, report, firstOrderAt, backfillDays } = useLoaderData();
+  const [searchParams] = useSearchParams();
+  const exportFetcher = useFetcher();
+  const backfillFetcher = useFetcher();
+  const money = moneyFormatter(report.currencyCode);
+  const { totals } = report;
+
+  // Export: hand the CSV to the browser as a download
+  const exported = useRef(null);
+  useEffect(() => {
+    const data = exportFetcher.data;
+    if (exportFetcher.state !== "idle" || !data?.csv || exported.current === data) return;
+    exported.current = data;
+    downloadCsv(data.csv, data.filename);
+  }, [exportFetcher.state, exportFetcher.data]);
+
+  const backfill = backfillFetcher.data;
+
+  return (
+    <Page title="Bundle analytics" backAction={{ content: "Bundles", url: "/app" }}>
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <InlineStack align="space-between" blockAlign="end" gap="300">
+              <RangePicker range={range} />
+              <Button
+                onClick={() => exportFetcher.submit({ intent: "export", params: searchParams.toString() }, { method: "post" })}
+                loading={exportFetcher.state !== "idle"}
+                disabled={!report.bundles.length}
+              >
+                Export CSV
+              </Button>
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+
+        {!firstOrderAt ? (
+          <Layout.Section>
+            <Banner tone="info" title="No orders recorded yet">
+              <p>
+                New orders are recorded as they are placed. Backfill to include the orders of the
+                last {backfillDays} days.
+              </p>
+            </Banner>
+          </Layout.Section>
+        ) : null}
+
+        <Layout.Section>
+          <InlineGrid columns={{ xs: 1, md: 4 }} gap="400">
+            <Stat label="Bundles sold" value={String(totals.units)} help={`${totals.orders} of ${report.orderCount} orders`} />
+            <Stat label="Bundle revenue" value={money(totals.revenue)} help="After line discounts" />
+            <Stat
+              label="Average discount"
+              value={money(totals.averageDiscount)}
+              help={totals.discountRate == null ? "Per bundle sold" : `${percent(totals.discountRate)} off list, per bundle sold`}
+            />
+            <Stat label="Attach rate" value={percent(totals.attachRate)} help="Orders with a bundle" />
+          </InlineGrid>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {report.bundles.length ? (
+              <DataTable
+                columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+                headings={["Bundle", "Units", "Revenue", "Orders", "Attach rate", "Average discount"]}
+                rows={report.bundles.map((b) => [
+                  <Link key="title" url={`/app/bundles/${b.productId.split("/").pop()}`} removeUnderline>{b.title}</Link>,
+                  b.units,
+                  money(b.revenue),
+                  b.orders,
+                  percent(b.attachRate),
+                  b.averageDiscount == null ? "—" : `${money(b.averageDiscount)} (${percent(b.discountRate)})`,
+                ])}
+                totals={[
+                  "",
+                  totals.units,
+                  money(totals.revenue),
+                  totals.orders,
+                  percent(totals.attachRate),
+                  totals.averageDiscount == null ? "—" : `${money(totals.averageDiscount)} (${percent(totals.discountRate)})`,
+                ]}
+                showTotalsInFooter
+              />
+            ) : (
+              <div style={{ padding: "var(--p-space-400)" }}>
+                <Text as="p" tone="subdued">
+                  {`No bundles sold between ${range.fromDay} and ${range.toDay}.`}
+                </Text>
+              </div>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Past orders</Text>
+              <Text as="p">
+                {firstOrderAt
+                  ? `Orders are recorded from ${new Date(firstOrderAt).toLocaleDateString()}. `
+                  : ""}
+                Backfilling reads the orders of the last {backfillDays} days again; orders already
+                recorded are replaced, not counted twice.
+              </Text>
+              {backfill?.ok === false ? (
+                <Banner tone="critical"><p>{backfill.message}</p></Banner>
+              ) : null}
+              {backfill?.jobId ? (
+                <Banner tone="success" title="Queued">
+                  <p>
+                    {backfill.message} <Link url={`/app/jobs/${backfill.jobId}`}>Follow its progress</Link>
+                  </p>
+                </Banner>
+              ) : null}
+              <InlineStack>
+                <Button
+                  onClick={() => backfillFetcher.submit({ intent: "backfill" }, { method: "post" })}
+                  loading={backfillFetcher.state !== "idle"}
+                >
+                  {`Backfill the last ${backfillDays} days`}
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
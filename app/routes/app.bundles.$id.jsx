@@ -0,0 +1,479 @@
+// app/routes/app.bundles.$id.jsx
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Box,
+  Divider,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { json, redirect } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { syncMergeDefinitions } from "../models/bundle-definitions.server";
+import {
+  bundleVariantPrice,
+  bundleVariantTargets,
+  ensureBundleDefinitions,
+  fetchVariantDetails,
+  readBundleForm,
+  resolveComponentTotals,
+  saveBundleMetafields,
+  updateBundleProduct,
+  updateBundleVariant,
+} from "../models/bundle-product.server";
+import {
+  MAX_OPTION_VALUES,
+  normalizeComponents,
+  normalizeContents,
+  normalizeSlots,
+  readBundleComponents,
+} from "../models/bundle-config";
+import { archiveBundles, deleteBundles, findOrderReferences } from "../models/bundle-lifecycle.server";
+import { updateBundleAvailability } from "../models/bundle-inventory.server";
+import { flattenNestedBundles, refreshParentBundles } from "../models/bundle-nesting.server";
+import { attachComponentReferences, refreshBundleRecord } from "../models/bundle-store.server";
+import { BundleFields, diffBundleValues, useBundleForm } from "../components/BundleForm";
+import { BundleRemovalModal } from "../components/BundleRemovalModal";
+
+/* ---------------- GraphQL ---------------- */
+
+// The bundle product, its variants and the bundle metafields on each variant
+const BUNDLE_FOR_EDIT = `#graphql
+  query BundleForEdit($id: ID!) {
+    product(id: $id) {
+      id
+      title
+      status
+      tags
+      descriptionHtml
+      featuredMedia { id preview { image { url } } }
+      options { name }
+      variants(first: ${MAX_OPTION_VALUES}) {
+        nodes {
+          id
+          title
+          selectedOptions { name value }
+          price
+          inventoryItem { measurement { weight { value unit } } }
+          bundleConfig: metafield(namespace: "custom", key: "bundle_config") { jsonValue }
+          # References are loaded by attachComponentReferences (query cost)
+          metafield(namespace: "custom", key: "component_reference") { value }
+        }
+      }
+    }
+  }
+`;
+
+// The image URL field replaces the featured image rather than adding another one
+const PRODUCT_DELETE_MEDIA = `#graphql
+  mutation DeleteBundleImage($productId: ID!, $mediaIds: [ID!]!) {
+    productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+      deletedMediaIds
+      mediaUserErrors { field message }
+    }
+  }
+`;
+
+/* ---------------- Helpers ---------------- */
+
+const toProductGid = (id) => `gid://shopify/Product/${id}`;
+
+/** Load a bundle product, or throw a 404 for unknown / non-bundle products. */
+async function loadBundle(admin, productId) {
+  const resp = await admin.graphql(BUNDLE_FOR_EDIT, { variables: { id: productId } });
+  const data = await resp.json();
+  const product = data?.data?.product;
+  const variants = product?.variants?.nodes ?? [];
+  // Settings shared by every variant are read from the first one with a definition
+  const variant = variants.find((v) => v.bundleConfig || v.metafield) ?? variants[0];
+  const isBundle = variant?.bundleConfig || variant?.metafield || product?.tags?.includes("bundle-app");
+  if (!product || !variant || !isBundle) {
+    throw new Response("Bundle not found", { status: 404 });
+  }
+  await attachComponentReferences(admin, [product]);
+  return { product, variant, variants };
+}
+
+/** A product that only has Shopify's "Default Title" variant has no options of its own. */
+const hasOptions = (product, variants) =>
+  variants.length > 1 || (product.options?.length > 0 && product.options[0].name !== "Title");
+
+/** One variant's picks as form components, plus what they cost today. */
+function toFormComponents(variant) {
+  const config = variant.bundleConfig?.jsonValue ?? null;
+  const refs = (variant.metafield?.references?.nodes ?? []).filter((n) => n?.id);
+  const refById = new Map(refs.map((n) => [n.id, n]));
+
+  const toItem = (id) => {
+    const n = refById.get(id);
+    return { id, title: n?.title || "Variant", productTitle: n?.product?.title };
+  };
+  // A bundle that nests other bundles is edited as picked, not as its flattened leaves
+  const contents = normalizeContents(config?.contents);
+  const picked = contents.length ? contents : readBundleComponents(config, refs.map((n) => n.id));
+  const components = picked.map((c) => ({
+    ...toItem(c.variantId),
+    quantity: String(c.quantity),
+    bundle: Boolean(c.bundle),
+    // Deleted substitutes drop out of the reference list; they are dropped on the next save
+    substitutes: (c.substitutes ?? []).filter((id) => refById.has(id)).map(toItem),
+    choices: (c.choices ?? []).filter((id) => refById.has(id)).map(toItem),
+  }));
+  const componentTotal = components.reduce(
+    (sum, c) => sum + (parseFloat(refById.get(c.id)?.price ?? "0") || 0) * Number(c.quantity),
+    0,
+  );
+  return { components, componentTotal };
+}
+
+const weightOf = (variant) => variant.inventoryItem?.measurement?.weight;
+
+/** Shape a loaded bundle into the form's EMPTY_BUNDLE-shaped values. */
+function toFormValues({ product, variant, variants }) {
+  const config = variant.bundleConfig?.jsonValue ?? null;
+  const slots = normalizeSlots(config?.slots);
+  const weight = weightOf(variant);
+  const withOptions = hasOptions(product, variants);
+  // With options every variant is edited on its own (variants added in Shopify admin start empty)
+  const { components, componentTotal } = withOptions ? { components: [], componentTotal: 0 } : toFormComponents(variant);
+
+  return {
+    title: product.title,
+    status: product.status,
+    description: product.descriptionHtml || "",
+    imageUrl: config?.image || product.featuredMedia?.preview?.image?.url || "",
+    bundleType: slots.length ? "MIX_AND_MATCH" : "FIXED",
+    components,
+    slots: slots.map((s) => ({
+      key: s.id,
+      label: s.label,
+      quantity: String(s.quantity),
+      collectionId: s.collectionId,
+      collectionTitle: s.collectionTitle,
+      collectionHandle: s.collectionHandle,
+    })),
+    optionName: withOptions ? product.options.map((o) => o.name).join(" / ") : "",
+    optionValues: withOptions
+      ? variants.map((v) => ({
+        key: v.id,
+        variantId: v.id,
+        name: v.title,
+        ...toFormComponents(v),
+        price: v.price ?? "",
+        weight: weightOf(v)?.value ? String(weightOf(v).value) : "",
+      }))
+      : [],
+    price: variant.price ?? "",
+    weight: weight?.value ? String(weight.value) : "",
+    weightUnit: weight?.unit || "GRAMS",
+    discountType: config?.discount?.type || "NONE",
+    discountValue: config?.discount?.value ?? "",
+    // Bundles saved before bundle_config existed never merged
+    autoMerge: Boolean(config?.autoMerge),
+    inventorySync: Boolean(config?.inventorySync),
+    // Live component prices, for the price a pricing rule resolves to
+    componentTotal,
+  };
+}
+
+/* ---------------- Loader ---------------- */
+export const loader = async ({ request, params }) => {
+  const { admin } = await authenticate.admin(request);
+  const bundle = await loadBundle(admin, toProductGid(params.id));
+
+  return json({
+    id: bundle.product.id,
+    idShort: params.id,
+    variantId: bundle.variant.id,
+    initial: toFormValues(bundle),
+  });
+};
+
+/* ---------------- Action ---------------- */
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = String(form.get("intent") || "save");
+
+  // A) Resolve totals from selected component variants × quantities (auto-fill)
+  if (intent === "resolve") {
+    const requested = normalizeComponents(JSON.parse(String(form.get("components") || "[]")));
+    if (requested.length === 0) {
+      return json({ ok: false, message: "No variants supplied." }, { status: 400 });
+    }
+    // Totals come from the leaves when a picked variant is itself a bundle
+    const nesting = await flattenNestedBundles(admin, requested, { selfProductId: toProductGid(params.id) });
+    if (nesting.error) return json({ ok: false, message: nesting.error }, { status: 400 });
+    return json({
+      ok: true,
+      // The option value the list belongs to (null: the bundle's own components)
+      scope: form.get("scope") || null,
+      nestedIds: nesting.nestedIds,
+      ...(await resolveComponentTotals(admin, nesting.components)),
+    });
+  }
+
+  // B) Archive / delete (same code path as the list's bulk actions)
+  const productId = toProductGid(params.id);
+  if (intent === "references") {
+    return json({ ok: true, ...(await findOrderReferences(admin, [productId])) });
+  }
+  if (intent === "archive") {
+    const result = await archiveBundles(admin, session.shop, [productId]);
+    return json(result, { status: result.ok ? 200 : 400 });
+  }
+  if (intent === "delete") {
+    const result = await deleteBundles(admin, session.shop, [productId]);
+    if (!result.ok) return json(result, { status: 400 });
+    return redirect("/app");
+  }
+
+  // C) Save the edited bundle through the same writers the create route uses
+  const { values, error } = readBundleForm(form);
+  if (error) return json({ ok: false, message: error }, { status: 400 });
+  const { title, description, status, imageUrl, isMixAndMatch } = values;
+
+  const { product, variant, variants } = await loadBundle(admin, productId);
+  // bundle_config keeps the URL as entered; the featured image is Shopify's CDN copy of it
+  const currentImage = variant.bundleConfig?.jsonValue?.image || product.featuredMedia?.preview?.image?.url || "";
+  const imageChanged = Boolean(imageUrl) && imageUrl !== currentImage;
+
+  // Option values map onto the product's existing variants (they are added in Shopify admin)
+  const targets = bundleVariantTargets(values, variant.id);
+  const unknown = targets.find((t) => !variants.some((v) => v.id === t.variantId));
+  if (unknown) {
+    return json({ ok: false, message: `“${unknown.optionValue}” is not a variant of this product.` }, { status: 400 });
+  }
+
+  // 1) Ensure metafield definitions exist (bundles created before bundle_config)
+  await ensureBundleDefinitions(admin);
+
+  // 2) Expand picked bundles into their leaf components (refusing A → B → A), then
+  //    re-snapshot the leaves' list prices
+  for (const target of targets) {
+    target.nesting = isMixAndMatch
+      ? { components: [], contents: null }
+      : await flattenNestedBundles(admin, target.components, { selfProductId: productId });
+    if (target.nesting.error) {
+      const message = target.optionValue ? `${target.optionValue}: ${target.nesting.error}` : target.nesting.error;
+      return json({ ok: false, message }, { status: 400 });
+    }
+  }
+  const details = await fetchVariantDetails(admin, [
+    ...new Set(targets.flatMap((t) => t.nesting.components.map((c) => c.variantId))),
+  ]);
+
+  // 3) Product fields (+ replace the featured image when the URL changed)
+  const updErr = await updateBundleProduct(
+    admin,
+    { id: productId, title, status, descriptionHtml: description },
+    imageChanged ? [{ originalSource: imageUrl, mediaContentType: "IMAGE" }] : undefined,
+  );
+  if (updErr) return json({ ok: false, message: updErr }, { status: 400 });
+
+  if (imageChanged && product.featuredMedia?.id) {
+    const delResp = await admin.graphql(PRODUCT_DELETE_MEDIA, {
+      variables: { productId, mediaIds: [product.featuredMedia.id] },
+    });
+    const delJson = await delResp.json();
+    const delErr = delJson?.data?.productDeleteMedia?.mediaUserErrors?.[0]?.message;
+    if (delErr) return json({ ok: false, message: delErr }, { status: 400 });
+  }
+
+  for (const target of targets) {
+    // 4) Variant price/weight
+    const variantErr = await updateBundleVariant(admin, productId, target.variantId, {
+      price: bundleVariantPrice(target, details.priceById),
+      weight: target.weightStr ? parseFloat(target.weightStr) : undefined,
+      weightUnit: values.weightUnit,
+    });
+    if (variantErr) return json({ ok: false, message: variantErr }, { status: 400 });
+
+    // 5) list.variant_reference + bundle_config
+    const mfErr = await saveBundleMetafields(admin, target.variantId, target.nesting.components, {
+      priceById: details.priceById,
+      title,
+      image: imageUrl,
+      currencyCode: details.currencyCode,
+      discount: values.discount,
+      autoMerge: values.autoMerge,
+      inventorySync: values.inventorySync,
+      bundleType: values.bundleType,
+      slots: values.slots,
+      contents: target.nesting.contents,
+    });
+    if (mfErr) return json({ ok: false, message: mfErr }, { status: 400 });
+  }
+
+  // 6) Local record, then the bundle's available quantity (components may have changed)
+  let recordNote = "";
+  try {
+    await refreshBundleRecord(admin, session.shop, productId);
+    const availability = await updateBundleAvailability(admin, session.shop, { productId }, { force: true });
+    if (!availability.ok) recordNote = ` Bundle availability wasn’t updated: ${availability.errors.join(" ")}`;
+  } catch (_) {
+    recordNote = " The app’s record of this bundle wasn’t updated; reconcile from Settings.";
+  }
+
+  // 6b) Bundles that contain this one are flattened again with its new contents
+  try {
+    const parents = await refreshParentBundles(admin, session.shop, productId, targets.map((t) => t.variantId));
+    if (!parents.ok) recordNote += ` Bundles containing this one weren’t all updated: ${parents.errors.join(" ")}`;
+  } catch (_) {
+    recordNote += " Bundles containing this one weren’t updated; save them again.";
+  }
+
+  // 7) Always re-sync: a status, component or auto-bundling change can add or drop a definition
+  let syncNote = "";
+  try {
+    const sync = await syncMergeDefinitions(admin, session.shop);
+    if (!sync.ok) syncNote = ` Auto-bundling definitions were not updated: ${sync.message}`;
+  } catch (_) {
+    syncNote = " Auto-bundling definitions were not updated; sync them from Settings.";
+  }
+
+  return json({ ok: true, saved: true, message: `Bundle saved.${syncNote}${recordNote}` });
+};
+
+/* ---------------- Client/UI ---------------- */
+export default function EditBundleProduct() {
+  const { id, idShort, initial } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const form = useBundleForm(initial, fetcher);
+  const [reviewing, setReviewing] = useState(false);
+  const [removal, setRemoval] = useState(null); // "archive" | "delete"
+
+  const changes = useMemo(() => diffBundleValues(initial, form.values), [initial, form.values]);
+  const canSave = form.values.title && form.hasDefinition && !form.discountError && changes.length > 0;
+
+  const isSaving =
+    ["loading", "submitting"].includes(fetcher.state) && fetcher.formData?.get("intent") === "save";
+
+  const isRemoving =
+    fetcher.state !== "idle" && ["archive", "delete"].includes(fetcher.formData?.get("intent"));
+
+  useEffect(() => {
+    if (fetcher.data?.ok && fetcher.data?.saved) {
+      shopify.toast.show("Bundle saved");
+      setReviewing(false);
+    }
+    if (fetcher.data?.archived) setRemoval(null);
+  }, [fetcher.data, shopify]);
+
+  const save = () => fetcher.submit(form.toFormData("save"), { method: "POST" });
+
+  const confirmRemoval = () => {
+    const data = new FormData();
+    data.set("intent", removal);
+    fetcher.submit(data, { method: "POST" });
+  };
+
+  return (
+    <Page
+      backAction={{ content: "Bundles", url: "/app" }}
+      title={initial.title}
+      secondaryActions={[
+        { content: "Open in Admin", url: `shopify:admin/products/${idShort}`, target: "_blank" },
+        ...(initial.status !== "ARCHIVED" ? [{ content: "Archive", onAction: () => setRemoval("archive") }] : []),
+        { content: "Delete", destructive: true, onAction: () => setRemoval("delete") },
+      ]}
+    >
+      <TitleBar title={`Edit ${initial.title}`}>
+        <button variant="primary" onClick={() => setReviewing(true)} disabled={!canSave}>
+          Review changes
+        </button>
+      </TitleBar>
+
+      <BlockStack gap="500">
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="500">
+                <BlockStack gap="200">
+                  <Text as="h2" variant="headingMd">Edit bundle</Text>
+                  <Text as="p" variant="bodyMd">
+                    Changes are saved to the product, its variants and the bundle metafields. Component list
+                    prices are snapshotted again on save.
+                  </Text>
+                </BlockStack>
+
+                <BundleFields form={form} optionsLocked />
+
+                {!reviewing && (
+                  <InlineStack gap="300">
+                    <Button variant="primary" onClick={() => setReviewing(true)} disabled={!canSave}>
+                      Review changes
+                    </Button>
+                    {changes.length === 0 && <Text as="span" tone="subdued">No changes yet.</Text>}
+                  </InlineStack>
+                )}
+
+                {fetcher.data?.message && (
+                  <Banner
+                    title={fetcher.data.ok ? "Success" : "Error"}
+                    tone={fetcher.data.ok ? "success" : "critical"}
+                  >
+                    <p>{fetcher.data.message}</p>
+                  </Banner>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Diff of what will be written, confirmed before saving */}
+          {reviewing && (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Review changes</Text>
+                  {changes.length === 0 ? (
+                    <Text as="p" tone="subdued">Nothing to save.</Text>
+                  ) : (
+                    <BlockStack gap="200">
+                      {changes.map((c, i) => (
+                        <Box key={`${c.label}-${i}`}>
+                          {i > 0 && <Divider />}
+                          <InlineStack gap="300" blockAlign="center" wrap={false}>
+                            <div style={{ width: 220 }}>
+                              <Text as="span" fontWeight="semibold">{c.label}</Text>
+                            </div>
+                            <Text as="span" tone="subdued">
+                              {c.from ? <s>{c.from}</s> : "—"}
+                            </Text>
+                            <Text as="span">→ {c.to || "removed"}</Text>
+                          </InlineStack>
+                        </Box>
+                      ))}
+                    </BlockStack>
+                  )}
+                  <InlineStack gap="300">
+                    <Button variant="primary" onClick={save} loading={isSaving} disabled={!canSave}>
+                      Save changes
+                    </Button>
+                    <Button onClick={() => setReviewing(false)}>Keep editing</Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          )}
+        </Layout>
+      </BlockStack>
+
+      <BundleRemovalModal
+        mode={removal}
+        bundles={[{ id, title: initial.title }]}
+        loading={isRemoving}
+        onConfirm={confirmRemoval}
+        onClose={() => setRemoval(null)}
+      />
+    </Page>
+  );
+}
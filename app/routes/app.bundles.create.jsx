@@ -1,6 +1,6 @@
 // app/routes/bundles.create.jsx
-import { useEffect, useRef, useState } from "react";
-import { useFetcher } from "@remix-run/react";
+import { useEffect } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -10,330 +10,243 @@ import {
   Banner,
   BlockStack,
   InlineStack,
-  Box,
-  TextField,
-  ChoiceList,
-  List,
   Link,
-  Select,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { syncMergeDefinitions } from "../models/bundle-definitions.server";
+import { updateBundleAvailability } from "../models/bundle-inventory.server";
+import { flattenNestedBundles } from "../models/bundle-nesting.server";
+import { refreshBundleRecord } from "../models/bundle-store.server";
+import {
+  listFailedCreations,
+  resumeBundleCreation,
+  rollBackBundleCreation,
+  startBundleCreation,
+} from "../models/bundle-creation.server";
+import {
+  bundleVariantPrice,
+  bundleVariantTargets,
+  ensureBundleDefinitions,
+  fetchVariantDetails,
+  publishToOnlineStore,
+  readBundleForm,
+  resolveComponentTotals,
+} from "../models/bundle-product.server";
+import { normalizeComponents } from "../models/bundle-config";
+import { BundleFields, EMPTY_BUNDLE, useBundleForm } from "../components/BundleForm";
 
 /* ---------------- Loader ---------------- */
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  return null;
+  const { session } = await authenticate.admin(request);
+  // Earlier creations that stopped part-way, to resume or roll back
+  return json({ failedCreations: await listFailedCreations(session.shop) });
 };
 
-/* ---------------- GraphQL ---------------- */
-
-// Metafield definition on PRODUCT VARIANT: list.variant_reference
-const METAFIELD_DEF_CREATE = `#graphql
-  mutation EnsureVariantListRefDef {
-    metafieldDefinitionCreate(definition: {
-      name: "Bundle Components"
-      key: "component_reference"
-      namespace: "custom"
-      ownerType: PRODUCTVARIANT
-      type: "list.variant_reference"
-      access: { admin: READ_WRITE, storefront: NONE }
-    }) {
-      createdDefinition { id }
-      userErrors { field message }
-    }
-  }
-`;
+/* ---------------- Helpers ---------------- */
 
-// Create product; Shopify creates a default variant
-const PRODUCT_CREATE = `#graphql
-  mutation CreateBundleProduct($product: ProductCreateInput!) {
-    productCreate(product: $product) {
-      product {
-        id
-        title
-        handle
-        status
-        variants(first: 1) { nodes { id title } }
-      }
-      userErrors { field message }
-    }
-  }
-`;
-
-// Update default variant price + weight (weight is nested in inventoryItem.measurement.weight)
-const VARIANT_BULK_UPDATE = `#graphql
-  mutation UpdateDefaultVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-      productVariants {
-        id
-        price
-        inventoryItem { measurement { weight { value unit } } }
-      }
-      userErrors { field message }
-    }
-  }
-`;
+/** Answer for a creation whose steps failed: which step, what Shopify said, what was done. */
+function creationFailed(creation) {
+  return json(
+    {
+      ok: false,
+      message: `Creating the bundle stopped at “${creation.failedStepLabel}”: ${creation.error}`,
+      creation,
+    },
+    { status: 400 },
+  );
+}
 
-// Save the list.variant_reference on the default variant
-const METAFIELDS_SET = `#graphql
-  mutation SaveBundleMetafield($metafields: [MetafieldsSetInput!]!) {
-    metafieldsSet(metafields: $metafields) {
-      metafields { id }
-      userErrors { field message }
-    }
+/**
+ * After the creation steps: record the bundle locally, refresh auto-bundling and publish.
+ * None of these undo the bundle when they fail; they are reported in the message instead.
+ */
+async function finishCreation(admin, shop, plan, creation) {
+  const { productId } = creation;
+  const { autoMerge, bundleType } = plan.targets[0].metafields;
+
+  // Record the bundle locally, read back from what Shopify now has (can be rebuilt from Settings),
+  // and publish how many bundles the components can fill
+  let recordNote = "";
+  try {
+    await refreshBundleRecord(admin, shop, productId);
+    const availability = await updateBundleAvailability(admin, shop, { productId }, { force: true });
+    if (!availability.ok) recordNote = ` Bundle availability wasn’t set: ${availability.errors.join(" ")}`;
+  } catch (_) {
+    recordNote = " The bundle wasn’t saved to the app’s records; reconcile them from Settings.";
   }
-`;
 
-// Read variant price + weight correctly (weight is on inventoryItem.measurement.weight)
-const VARIANT_DETAILS = `#graphql
-  query VariantDetails($ids: [ID!]!) {
-    nodes(ids: $ids) {
-      __typename
-      ... on ProductVariant {
-        id
-        title
-        price
-        inventoryItem {
-          measurement {
-            weight { value unit }
-          }
-        }
-        product { title }
-      }
+  // Refresh the cart transform's merge definitions (not fatal: can be re-synced from Settings)
+  let syncNote = "";
+  if (autoMerge || bundleType === "MIX_AND_MATCH") {
+    try {
+      const sync = await syncMergeDefinitions(admin, shop);
+      if (!sync.ok) syncNote = ` Auto-bundling definitions were not updated: ${sync.message}`;
+    } catch (_) {
+      syncNote = " Auto-bundling definitions were not updated; sync them from Settings.";
     }
   }
-`;
 
-// Publications (to find "Online Store")
-const PUBLICATIONS_QUERY = `#graphql
-  query Pubs {
-    publications(first: 50) {
-      nodes { id name }
-    }
-  }
-`;
+  // Publish to Online Store (not fatal for creation—surface info in the banner)
+  const pubErr = await publishToOnlineStore(admin, productId);
+  const message = pubErr
+    ? `Bundle created, but publishing to Online Store returned: ${pubErr}`
+    : plan.productInput.status === "ACTIVE"
+      ? "Bundle product created and published to Online Store."
+      : "Bundle product created and published (currently Draft; switch to Active to show on Online Store).";
 
-// ✅ Current publish mutation (array input); include $pubId so we can confirm in selection set
-const PUBLISH_PRODUCT = `#graphql
-  mutation PublishProduct($id: ID!, $input: [PublicationInput!]!, $pubId: ID!) {
-    publishablePublish(id: $id, input: $input) {
-      publishable {
-        ... on Product {
-          publishedOnPublication(publicationId: $pubId)
-        }
-      }
-      userErrors { field message }
-    }
-  }
-`;
+  return json({
+    ok: true,
+    message: message + syncNote + recordNote,
+    product: { id: productId },
+    bundleVariantId: creation.variantIds[0],
+  });
+}
 
 /* ---------------- Action ---------------- */
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const form = await request.formData();
   const intent = String(form.get("intent") || "create");
 
-  // A) Resolve totals from selected component variants (auto-fill)
+  // A) Resolve totals from selected component variants × quantities (auto-fill)
   if (intent === "resolve") {
-    const ids = JSON.parse(String(form.get("variantIds") || "[]"));
-    if (!Array.isArray(ids) || ids.length === 0) {
+    const requested = normalizeComponents(JSON.parse(String(form.get("components") || "[]")));
+    if (requested.length === 0) {
       return json({ ok: false, message: "No variants supplied." }, { status: 400 });
     }
-
-    const resp = await admin.graphql(VARIANT_DETAILS, { variables: { ids } });
-    const data = await resp.json();
-    const nodes = (data?.data?.nodes ?? []).filter(Boolean);
-
-    let totalPrice = 0;
-    let totalGrams = 0;
-
-    const toNumber = (v) => (v == null ? 0 : Number(v));
-    const toGrams = (value, unit) => {
-      const v = toNumber(value);
-      if (!v) return 0;
-      switch (unit) {
-        case "KILOGRAMS": return v * 1000;
-        case "POUNDS":    return v * 453.59237;
-        case "OUNCES":    return v * 28.349523125;
-        default:          return v; // GRAMS
-      }
-    };
-
-    for (const v of nodes) {
-      const priceNum = parseFloat(v?.price ?? "0");
-      totalPrice += isFinite(priceNum) ? priceNum : 0;
-      const w = v?.inventoryItem?.measurement?.weight;
-      totalGrams += w ? toGrams(w.value, w.unit) : 0;
-    }
-
+    // Totals come from the leaves when a picked variant is itself a bundle
+    const nesting = await flattenNestedBundles(admin, requested);
+    if (nesting.error) return json({ ok: false, message: nesting.error }, { status: 400 });
     return json({
       ok: true,
-      totals: { price: Number(totalPrice.toFixed(2)), grams: Math.round(totalGrams) },
-      variants: nodes,
+      // The option value the list belongs to (null: the bundle's own components)
+      scope: form.get("scope") || null,
+      nestedIds: nesting.nestedIds,
+      ...(await resolveComponentTotals(admin, nesting.components)),
     });
   }
 
-  // B) Create the bundle product and attach references, then publish to Online Store
-  const title = (form.get("title") || "").toString().trim();
-  const description = (form.get("description") || "").toString();
-  const status = (form.get("status") || "DRAFT").toString(); // DRAFT | ACTIVE
-  const imageUrl = (form.get("imageUrl") || "").toString().trim();
-  const componentVariantIds = JSON.parse(form.get("componentVariantIds") || "[]");
-  const priceStr = (form.get("price") || "").toString().trim();
-  const weightStr = (form.get("weight") || "").toString().trim();
-  const weightUnit = (form.get("weightUnit") || "GRAMS").toString();
-
-  if (!title) return json({ ok: false, message: "Enter a product title." }, { status: 400 });
-  if (!Array.isArray(componentVariantIds) || componentVariantIds.length === 0) {
-    return json({ ok: false, message: "Pick at least one component variant." }, { status: 400 });
+  // B) Continue a creation that stopped part-way, or undo it
+  if (intent === "resume") {
+    const result = await resumeBundleCreation(admin, session.shop, String(form.get("creationId") || ""));
+    if (result.message) return json({ ok: false, message: result.message }, { status: 400 });
+    if (!result.ok) return creationFailed(result.creation);
+    return finishCreation(admin, session.shop, result.plan, result.creation);
   }
-
-  // 1) Ensure metafield definition exists
-  try {
-    const defResp = await admin.graphql(METAFIELD_DEF_CREATE);
-    await defResp.json();
-  } catch (_) {}
-
-  // 2) Create product (with description + simple image URL)
-  const productInput = {
-    title,
-    status,
-    tags: ["bundle-app"],
-    descriptionHtml: description || undefined,
-    images: imageUrl ? [{ src: imageUrl }] : undefined,
-  };
-
-  const createResp = await admin.graphql(PRODUCT_CREATE, { variables: { product: productInput } });
-  const createJson = await createResp.json();
-  const createErr = createJson?.data?.productCreate?.userErrors?.[0]?.message;
-  if (createErr) return json({ ok: false, message: createErr }, { status: 400 });
-
-  const product = createJson?.data?.productCreate?.product;
-  const productId = product?.id;
-  const bundleVariantId = product?.variants?.nodes?.[0]?.id;
-  if (!bundleVariantId) {
-    return json({ ok: false, message: "New product has no default variant to attach the metafield." }, { status: 400 });
+  if (intent === "rollback") {
+    const error = await rollBackBundleCreation(admin, session.shop, String(form.get("creationId") || ""));
+    if (error) return json({ ok: false, message: error }, { status: 400 });
+    return json({ ok: true, message: "Rolled back: nothing of that bundle is left in Shopify." });
   }
 
-  // 3) Update default variant price/weight (weight via inventoryItem.measurement.weight)
-  const numericPrice = priceStr ? parseFloat(priceStr) : undefined;
-  const numericWeight = weightStr ? parseFloat(weightStr) : undefined;
-
-  if ((numericPrice != null && isFinite(numericPrice)) || (numericWeight != null && isFinite(numericWeight))) {
-    const variants = [{
-      id: bundleVariantId,
-      price: (numericPrice != null && isFinite(numericPrice)) ? numericPrice.toFixed(2) : undefined,
-      inventoryItem: (numericWeight != null && isFinite(numericWeight)) ? {
-        measurement: { weight: { value: numericWeight, unit: weightUnit } },
-      } : undefined,
-    }];
+  // C) Create the bundle product and attach references, then publish to Online Store
+  const { values, error } = readBundleForm(form);
+  if (error) return json({ ok: false, message: error }, { status: 400 });
+  const { title, description, status, imageUrl, isMixAndMatch, autoMerge } = values;
 
-    const updResp = await admin.graphql(VARIANT_BULK_UPDATE, {
-      variables: { productId, variants },
-    });
-    const updJson = await updResp.json();
-    const updErr = updJson?.data?.productVariantsBulkUpdate?.userErrors?.[0]?.message;
-    if (updErr) return json({ ok: false, message: updErr }, { status: 400 });
+  // 1) Ensure metafield definition exists
+  await ensureBundleDefinitions(admin);
+
+  // 2) Expand picked bundles into their leaf components (before anything is created, so a
+  //    refused nesting leaves nothing behind), then snapshot the leaves' list prices (the
+  //    cart transform splits the bundle price by them, and a discount rule derives the
+  //    bundle price from them). Slot bundles price the picks live. A bundle with options
+  //    does this for every option value.
+  const targets = [];
+  for (const target of bundleVariantTargets(values)) {
+    const nesting = isMixAndMatch ? { components: [], contents: null } : await flattenNestedBundles(admin, target.components);
+    if (nesting.error) {
+      const message = target.optionValue ? `${target.optionValue}: ${nesting.error}` : nesting.error;
+      return json({ ok: false, message }, { status: 400 });
+    }
+    targets.push({ ...target, nesting });
   }
-
-  // 4) Attach list.variant_reference on the new product's default variant
-  const mfResp = await admin.graphql(METAFIELDS_SET, {
-    variables: {
-      metafields: [{
-        ownerId: bundleVariantId,
-        namespace: "custom",
-        key: "component_reference",
-        type: "list.variant_reference",
-        value: JSON.stringify(componentVariantIds),
-      }],
+  const details = await fetchVariantDetails(admin, [
+    ...new Set(targets.flatMap((t) => t.nesting.components.map((c) => c.variantId))),
+  ]);
+
+  // 3) Create the product, its option variants, prices and metafields as one recorded
+  //    run: a failed step can be resumed or rolled back (see bundle-creation.server.js)
+  const plan = {
+    productInput: {
+      title,
+      status,
+      tags: ["bundle-app"],
+      descriptionHtml: description || undefined,
+      images: imageUrl ? [{ src: imageUrl }] : undefined,
+      productOptions: values.options
+        ? [{ name: values.options.name, values: values.options.values.map((v) => ({ name: v.name })) }]
+        : undefined,
     },
-  });
-  const mfJson = await mfResp.json();
-  const mfErr = mfJson?.data?.metafieldsSet?.userErrors?.[0]?.message;
-  if (mfErr) return json({ ok: false, message: mfErr }, { status: 400 });
-
-  // 5) Publish to Online Store
-  let onlineStorePublicationId = null;
-  try {
-    const pubsResp = await admin.graphql(PUBLICATIONS_QUERY);
-    const pubsJson = await pubsResp.json();
-    const pubs = pubsJson?.data?.publications?.nodes ?? [];
-    const online = pubs.find((p) => p.name === "Online Store") || pubs.find((p) => /online/i.test(p.name || ""));
-    onlineStorePublicationId = online?.id || null;
-  } catch (_) {}
-
-  if (onlineStorePublicationId) {
-    const pubResp = await admin.graphql(PUBLISH_PRODUCT, {
-      variables: {
-        id: productId,
-        input: [{ publicationId: onlineStorePublicationId }],
-        pubId: onlineStorePublicationId,
+    optionName: values.options?.name ?? null,
+    priceById: [...details.priceById],
+    currencyCode: details.currencyCode,
+    targets: targets.map((target) => ({
+      optionValue: target.optionValue ?? null,
+      variant: {
+        price: bundleVariantPrice(target, details.priceById),
+        weight: target.weightStr ? parseFloat(target.weightStr) : undefined,
+        weightUnit: values.weightUnit,
       },
-    });
-    const pubJson = await pubResp.json();
-    const pubErr = pubJson?.data?.publishablePublish?.userErrors?.[0]?.message;
-    if (pubErr) {
-      // Not fatal for creation—surface info in the banner
-      return json({
-        ok: true,
-        message: `Bundle created, but publishing to Online Store returned: ${pubErr}`,
-        product,
-        bundleVariantId,
-        componentVariantIds,
-      });
-    }
-  }
+      components: target.nesting.components,
+      metafields: {
+        title,
+        image: imageUrl,
+        discount: values.discount,
+        autoMerge,
+        inventorySync: values.inventorySync,
+        bundleType: values.bundleType,
+        slots: values.slots,
+        contents: target.nesting.contents,
+      },
+    })),
+  };
 
-  return json({
-    ok: true,
-    message:
-      status === "ACTIVE"
-        ? "Bundle product created and published to Online Store."
-        : "Bundle product created and published (currently Draft; switch to Active to show on Online Store).",
-    product,
-    bundleVariantId,
-    componentVariantIds,
-  });
+  const result = await startBundleCreation(admin, session.shop, plan);
+  if (!result.ok) return creationFailed(result.creation);
+
+  // 4) Local record, auto-bundling sync and publishing
+  return finishCreation(admin, session.shop, plan, result.creation);
 };
 
 /* ---------------- Client/UI ---------------- */
 
-const WEIGHT_OPTIONS = [
-  { label: "Grams", value: "GRAMS" },
-  { label: "Kilograms", value: "KILOGRAMS" },
-  { label: "Pounds", value: "POUNDS" },
-  { label: "Ounces", value: "OUNCES" },
-];
-
-const gramsTo = (grams, unit) => {
-  if (!grams) return 0;
-  switch (unit) {
-    case "KILOGRAMS": return grams / 1000;
-    case "POUNDS":    return grams / 453.59237;
-    case "OUNCES":    return grams / 28.349523125;
-    default:          return grams;
-  }
-};
+/** A creation that stopped part-way: the failed step, what was done, and resume/roll back. */
+function FailedCreation({ creation, fetcher }) {
+  const busy = fetcher.state !== "idle" && ["resume", "rollback"].includes(fetcher.formData?.get("intent"));
+  const submit = (intent) => fetcher.submit({ intent, creationId: creation.id }, { method: "POST" });
+  return (
+    <BlockStack gap="200">
+      <Text as="p">
+        <b>{creation.title || "Untitled bundle"}</b>
+        {` stopped at “${creation.failedStepLabel}”: ${creation.error}`}
+      </Text>
+      <Text as="p" tone="subdued">
+        {creation.completed.length
+          ? `Done before it: ${creation.completed.join(", ")}.`
+          : "Nothing was created in Shopify."}
+      </Text>
+      <InlineStack gap="200">
+        <Button onClick={() => submit("resume")} loading={busy}>Resume from this step</Button>
+        {creation.productId ? (
+          <Button tone="critical" onClick={() => submit("rollback")} disabled={busy}>
+            Delete the partial product
+          </Button>
+        ) : (
+          <Button onClick={() => submit("rollback")} disabled={busy}>Discard</Button>
+        )}
+      </InlineStack>
+    </BlockStack>
+  );
+}
 
 export default function CreateBundleProduct() {
+  const { failedCreations } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
-
-  // Form state
-  const [title, setTitle] = useState("");
-  const [status, setStatus] = useState(["DRAFT"]);
-  const [description, setDescription] = useState("");
-  const [imageUrl, setImageUrl] = useState("");
-
-  const [components, setComponents] = useState([]); // [{id, title, productTitle}]
-  const [price, setPrice] = useState("");
-  const [weight, setWeight] = useState("");
-  const [weightUnit, setWeightUnit] = useState("GRAMS");
-
-  const priceTouched = useRef(false);
-  const weightTouched = useRef(false);
+  const form = useBundleForm(EMPTY_BUNDLE, fetcher);
 
   const isSubmitting =
     ["loading", "submitting"].includes(fetcher.state) && fetcher.formMethod === "POST";
@@ -344,71 +257,15 @@ export default function CreateBundleProduct() {
     }
   }, [fetcher.data?.ok, fetcher.data?.product?.id, shopify]);
 
-  // Pick variants via App Bridge Library (promise API)
-  const pickVariants = async () => {
-    const selected = await shopify.resourcePicker({
-      type: "variant",
-      multiple: true,
-      filter: { variants: true },
-    });
-    if (selected?.length) {
-      const normalized = selected.map((v) => ({
-        id: v.id,
-        title: v.title || "Variant",
-        productTitle: v.productTitle || v.product?.title,
-      }));
-      setComponents(normalized);
-
-      const form = new FormData();
-      form.set("intent", "resolve");
-      form.set("variantIds", JSON.stringify(normalized.map((n) => n.id)));
-      fetcher.submit(form, { method: "POST" });
-    }
-  };
-
-  // Auto-fill price/weight from server-resolved totals unless user edited
-  useEffect(() => {
-    const totals = fetcher.data?.totals;
-    if (!totals) return;
-    if (!priceTouched.current) setPrice(String(totals.price ?? ""));
-    if (!weightTouched.current) {
-      const val = gramsTo(totals.grams ?? 0, weightUnit);
-      setWeight(val ? String(Number(val.toFixed(2))) : "");
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [fetcher.data?.totals]);
-
-  // Recompute visible weight if unit changes and user hasn't edited
-  useEffect(() => {
-    const totals = fetcher.data?.totals;
-    if (!totals) return;
-    if (!weightTouched.current) {
-      const val = gramsTo(totals.grams ?? 0, weightUnit);
-      setWeight(val ? String(Number(val.toFixed(2))) : "");
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [weightUnit]);
-
-  const createBundle = () => {
-    const form = new FormData();
-    form.set("intent", "create");
-    form.set("title", title);
-    form.set("status", status[0] || "DRAFT");
-    form.set("description", description);
-    form.set("imageUrl", imageUrl);
-    form.set("componentVariantIds", JSON.stringify(components.map((c) => c.id)));
-    form.set("price", price);
-    form.set("weight", weight);
-    form.set("weightUnit", weightUnit);
-    fetcher.submit(form, { method: "POST" });
-  };
+  const createBundle = () => fetcher.submit(form.toFormData("create"), { method: "POST" });
+  const canCreate = form.values.title && form.hasDefinition && !form.discountError;
 
   const productIdShort = fetcher.data?.product?.id?.replace("gid://shopify/Product/", "");
 
   return (
     <Page>
       <TitleBar title="Create Bundle Product">
-        <button variant="primary" onClick={createBundle} disabled={!title || components.length === 0}>
+        <button variant="primary" onClick={createBundle} disabled={!canCreate}>
           Create bundle product
         </button>
       </TitleBar>
@@ -421,111 +278,20 @@ export default function CreateBundleProduct() {
                 <BlockStack gap="200">
                   <Text as="h2" variant="headingMd">New bundle</Text>
                   <Text as="p" variant="bodyMd">
-                    Creates a new product and saves component <b>variant references</b> on its default variant.
-                    Price & weight are auto-filled from selected variants (you can edit before saving).
+                    Creates a new product and saves component <b>variant references</b> and quantities on its default
+                    variant (or, with options, on each option value’s variant). Price & weight are auto-filled from
+                    selected variants × quantity (you can edit before saving).
                   </Text>
                 </BlockStack>
 
-                {/* Product core fields */}
-                <BlockStack gap="300">
-                  <TextField
-                    label="Bundle product title"
-                    value={title}
-                    onChange={setTitle}
-                    autoComplete="off"
-                    placeholder="e.g., Weekend Essentials Bundle"
-                  />
-                  <ChoiceList
-                    title="Status"
-                    titleHidden
-                    choices={[
-                      { label: "Draft", value: "DRAFT" },
-                      { label: "Active", value: "ACTIVE" },
-                    ]}
-                    selected={status}
-                    onChange={setStatus}
-                  />
-                  <TextField
-                    label="Description (HTML allowed)"
-                    value={description}
-                    onChange={setDescription}
-                    autoComplete="off"
-                    multiline={6}
-                    placeholder="<p>Bundle details…</p>"
-                  />
-                  <TextField
-                    label="Image URL (optional)"
-                    value={imageUrl}
-                    onChange={setImageUrl}
-                    autoComplete="off"
-                    placeholder="https://example.com/image.jpg"
-                    helpText="MVP accepts a URL. (Direct upload via stagedUploadsCreate can be added later.)"
-                  />
-                </BlockStack>
-
-                {/* Component variants */}
-                <InlineStack gap="400" align="space-between" blockAlign="start">
-                  <Box>
-                    <Text as="h3" variant="headingMd">Component variants</Text>
-                    <div style={{ marginTop: 8 }}>
-                      <Button onClick={pickVariants}>
-                        {components.length ? "Edit component variants" : "Choose component variants"}
-                      </Button>
-                    </div>
-                  </Box>
-
-                  {components.length > 0 && (
-                    <Box paddingBlockStart="200">
-                      <List type="bullet">
-                        {components.map((v) => (
-                          <List.Item key={v.id}>
-                            {v.productTitle ? `${v.productTitle} — ` : ""}{v.title}
-                          </List.Item>
-                        ))}
-                      </List>
-                    </Box>
-                  )}
-                </InlineStack>
-
-                {/* Price & weight (auto-filled but editable) */}
-                <InlineStack gap="300">
-                  <TextField
-                    label="Bundle price"
-                    type="number"
-                    value={price}
-                    onChange={(val) => { priceTouched.current = true; setPrice(val); }}
-                    autoComplete="off"
-                    prefix="$"
-                    min="0"
-                  />
-                  <TextField
-                    label="Bundle weight"
-                    type="number"
-                    value={weight}
-                    onChange={(val) => { weightTouched.current = true; setWeight(val); }}
-                    autoComplete="off"
-                    min="0"
-                  />
-                  <Select
-                    label="Unit"
-                    labelHidden
-                    options={[
-                      { label: "Grams", value: "GRAMS" },
-                      { label: "Kilograms", value: "KILOGRAMS" },
-                      { label: "Pounds", value: "POUNDS" },
-                      { label: "Ounces", value: "OUNCES" },
-                    ]}
-                    value={weightUnit}
-                    onChange={setWeightUnit}
-                  />
-                </InlineStack>
+                <BundleFields form={form} />
 
                 <InlineStack gap="300">
                   <Button
                     variant="primary"
                     onClick={createBundle}
                     loading={isSubmitting}
-                    disabled={!title || components.length === 0}
+                    disabled={!canCreate}
                   >
                     Create bundle product
                   </Button>
@@ -540,10 +306,14 @@ export default function CreateBundleProduct() {
 
                 {fetcher.data?.message && (
                   <Banner
-                    title={fetcher.data.ok ? "Success" : "Error"}
+                    title={fetcher.data.ok ? "Success" : fetcher.data.creation ? "The bundle was only partly created" : "Error"}
                     tone={fetcher.data.ok ? "success" : "critical"}
                   >
-                    <p>{fetcher.data.message}</p>
+                    {fetcher.data.creation ? (
+                      <FailedCreation creation={fetcher.data.creation} fetcher={fetcher} />
+                    ) : (
+                      <p>{fetcher.data.message}</p>
+                    )}
                     {fetcher.data?.product?.id && (
                       <p style={{ marginTop: 8 }}>
                         <Link
@@ -560,6 +330,20 @@ export default function CreateBundleProduct() {
               </BlockStack>
             </Card>
           </Layout.Section>
+
+          {/* Earlier creations that stopped part-way (the latest one is in the banner above) */}
+          {failedCreations.filter((c) => c.id !== fetcher.data?.creation?.id).length ? (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">Unfinished bundles</Text>
+                  {failedCreations
+                    .filter((c) => c.id !== fetcher.data?.creation?.id)
+                    .map((c) => <FailedCreation key={c.id} creation={c} fetcher={fetcher} />)}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          ) : null}
         </Layout>
       </BlockStack>
     </Page>
@@ -0,0 +1,249 @@
+// app/routes/app.bundles.import.jsx
+//
+// Export bundles to CSV and import them back. An import is checked first (nothing is
+// written); applying it is a background job that checks the same file again and writes
+// only the valid bundles, whose page shows progress and a result per bundle.
+import { useCallback, useEffect, useRef, useState } from "react";
+import { json, redirect } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  DropZone,
+  InlineStack,
+  Layout,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { CSV_COLUMNS, exportBundlesCsv, planBundleImport } from "../models/bundle-csv.server";
+import { downloadCsv } from "../models/bundle-csv";
+import { JOB_TYPES } from "../models/bundle-job-types";
+import { queueBundleJob } from "../models/bundle-jobs.server";
+
+/* ---------------- Loader ---------------- */
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+  return json({ columns: CSV_COLUMNS });
+};
+
+/* ---------------- Action ---------------- */
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = form.get("intent");
+
+  if (intent === "export") {
+    const { csv, count, skipped } = await exportBundlesCsv(admin, session.shop);
+    return json({
+      ok: true,
+      intent,
+      csv,
+      message: `Exported ${count} bundle${count === 1 ? "" : "s"}.` +
+        (skipped ? ` ${skipped} mix-and-match bundle${skipped === 1 ? " was" : "s were"} left out.` : ""),
+    });
+  }
+
+  if (intent === "check") {
+    const text = String(form.get("csv") ?? "");
+    if (!text.trim()) return json({ ok: false, intent, message: "Choose a CSV file." }, { status: 400 });
+    const plan = await planBundleImport(admin, text);
+    if (plan.error) return json({ ok: false, intent, message: plan.error }, { status: 400 });
+    return json({ ok: true, intent, plan });
+  }
+
+  // The file is checked again by the job, which applies only what that check allows
+  if (intent === "apply") {
+    const text = String(form.get("csv") ?? "");
+    if (!text.trim()) return json({ ok: false, intent, message: "Nothing to import." }, { status: 400 });
+    const job = await queueBundleJob(session.shop, JOB_TYPES.IMPORT, { csv: text });
+    return redirect(`/app/jobs/${job.id}`);
+  }
+
+  return json({ ok: false, message: "Unknown intent" }, { status: 400 });
+};
+
+/* ---------------- Helpers ---------------- */
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/* ---------------- UI ---------------- */
+
+export default function BundleImportPage() {
+  const { columns } = useLoaderData();
+  const exportFetcher = useFetcher();
+  const checkFetcher = useFetcher();
+  const applyFetcher = useFetcher();
+
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const exported = useRef(null);
+
+  // Export: hand the CSV to the browser as a download
+  useEffect(() => {
+    const data = exportFetcher.data;
+    if (exportFetcher.state !== "idle" || !data?.csv || exported.current === data) return;
+    exported.current = data;
+    downloadCsv(data.csv, `bundles-${new Date().toISOString().slice(0, 10)}.csv`);
+  }, [exportFetcher.state, exportFetcher.data]);
+
+  useEffect(() => {
+    if (checkFetcher.state === "idle" && checkFetcher.data?.plan) setPlan(checkFetcher.data.plan);
+  }, [checkFetcher.state, checkFetcher.data]);
+
+  const onDrop = useCallback((_dropped, accepted) => {
+    const [picked] = accepted;
+    if (!picked) return;
+    setFile(picked);
+    setPlan(null);
+  }, []);
+
+  const check = async () => {
+    if (!file) return;
+    const text = await file.text();
+    checkFetcher.submit({ intent: "check", csv: text }, { method: "post" });
+  };
+
+  const valid = plan ? plan.bundles.filter((b) => !b.errors.length) : [];
+  const invalid = plan ? plan.bundles.filter((b) => b.errors.length) : [];
+  const rowErrors = plan
+    ? [
+      ...plan.rowErrors.map((e) => ({ ...e, label: "—" })),
+      ...invalid.flatMap((b) => b.errors.map((e) => ({ ...e, label: b.label }))),
+    ].sort((a, b) => a.row - b.row)
+    : [];
+
+  const start = async () => {
+    if (!valid.length || !file) return;
+    applyFetcher.submit({ intent: "apply", csv: await file.text() }, { method: "post" });
+  };
+
+  const applying = applyFetcher.state !== "idle";
+  const applyError = applyFetcher.data?.ok === false ? applyFetcher.data.message : null;
+  const checkError = checkFetcher.data?.ok === false ? checkFetcher.data.message : null;
+
+  return (
+    <Page title="Import and export bundles" backAction={{ content: "Bundles", url: "/app" }}>
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Export</Text>
+              <Text as="p">
+                Download every fixed bundle as CSV, one row per component. Edit it and import it again to update
+                bundles in bulk, or add rows with a new bundle SKU to create bundles.
+              </Text>
+              {exportFetcher.data?.message ? (
+                <Banner tone={exportFetcher.data.ok ? "success" : "critical"}>
+                  <p>{exportFetcher.data.message}</p>
+                </Banner>
+              ) : null}
+              <InlineStack>
+                <Button
+                  onClick={() => exportFetcher.submit({ intent: "export" }, { method: "post" })}
+                  loading={exportFetcher.state !== "idle"}
+                >
+                  Export CSV
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Import</Text>
+              <Text as="p">
+                Bundles are matched by <code>bundle_variant_id</code> or <code>bundle_sku</code>; a SKU that isn’t in
+                the store creates a new bundle. Components are given by <code>component_variant_id</code> or{" "}
+                <code>component_sku</code>. Pricing rules, auto-bundling, substitutes and shopper choices aren’t in
+                the file and are kept when a bundle is updated.
+              </Text>
+              <Text as="p" tone="subdued">
+                Columns: <code>{columns.join(", ")}</code>
+              </Text>
+              <DropZone accept=".csv,text/csv" type="file" allowMultiple={false} onDrop={onDrop}>
+                {file ? (
+                  <BlockStack inlineAlign="center" gap="100">
+                    <Text as="p" fontWeight="semibold">{file.name}</Text>
+                  </BlockStack>
+                ) : (
+                  <DropZone.FileUpload actionTitle="Choose CSV" actionHint="or drop a file to import" />
+                )}
+              </DropZone>
+              {checkError ? (
+                <Banner tone="critical" title="The file can’t be imported">
+                  <p>{checkError}</p>
+                </Banner>
+              ) : null}
+              <InlineStack>
+                <Button onClick={check} disabled={!file || applying} loading={checkFetcher.state !== "idle"}>
+                  Check file
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {plan ? (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Check</Text>
+                <Text as="p">
+                  {`${plural(valid.filter((b) => b.action === "create").length, "bundle")} to create, ` +
+                    `${plural(valid.filter((b) => b.action === "update").length, "bundle")} to update` +
+                    (invalid.length || plan.rowErrors.length
+                      ? `; ${plural(rowErrors.length, "problem")} to fix first.`
+                      : ".")}
+                </Text>
+                {rowErrors.length ? (
+                  <Banner tone="warning" title="Bundles with problems are skipped">
+                    <p>Fix these rows and check the file again to import them.</p>
+                  </Banner>
+                ) : null}
+                {rowErrors.length ? (
+                  <DataTable
+                    columnContentTypes={["numeric", "text", "text"]}
+                    headings={["Line", "Bundle", "Problem"]}
+                    rows={rowErrors.map((e) => [e.row, e.label, e.message])}
+                  />
+                ) : null}
+                {valid.length ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric"]}
+                    headings={["Bundle", "Action", "Components"]}
+                    rows={valid.map((b) => [
+                      b.label,
+                      <Badge key={b.key} tone={b.action === "create" ? "info" : undefined}>
+                        {b.action === "create" ? "Create" : "Update"}
+                      </Badge>,
+                      b.components.length,
+                    ])}
+                  />
+                ) : null}
+                {applyError ? (
+                  <Banner tone="critical">
+                    <p>{applyError}</p>
+                  </Banner>
+                ) : null}
+                <InlineStack>
+                  <Button variant="primary" onClick={start} disabled={!valid.length} loading={applying}>
+                    {`Import ${plural(valid.length, "bundle")}`}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        ) : null}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,140 @@
+// app/routes/app.jobs.$id.jsx
+//
+// One background job: status, progress, the last error and retry schedule, and its
+// results (an import lists every bundle, as far as it got).
+import { json } from "@remix-run/node";
+import { useLoaderData } from "@remix-run/react";
+import { Badge, Banner, BlockStack, Card, InlineStack, Layout, Link, List, Page, Text } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { JOB_TYPES, jobLabel } from "../models/bundle-job-types";
+import { getJob } from "../models/job-queue.server";
+import { isActiveJob, JobActions, JobProgress, JobStatus, useRefreshWhile } from "../components/JobProgress";
+
+/* ---------------- Loader ---------------- */
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await getJob(session.shop, params.id);
+  if (!job) throw new Response("Job not found", { status: 404 });
+  return json({ job: { ...job, label: jobLabel(job.type) } });
+};
+
+/* ---------------- UI ---------------- */
+
+const numericId = (gid) => String(gid ?? "").split("/").pop();
+
+function ImportResults({ results }) {
+  if (!results.length) return <Text as="p" tone="subdued">No bundles imported yet.</Text>;
+  return (
+    <List type="bullet">
+      {results.map((r) => (
+        <List.Item key={r.key}>
+          <InlineStack gap="200" blockAlign="center">
+            <Badge tone={r.ok ? "success" : "critical"}>{r.ok ? "Done" : "Failed"}</Badge>
+            {r.productId ? <Link url={`/app/bundles/${numericId(r.productId)}`}>{r.label}</Link> : <Text as="span">{r.label}</Text>}
+            <Text as="span" tone="subdued">{r.message}</Text>
+          </InlineStack>
+        </List.Item>
+      ))}
+    </List>
+  );
+}
+
+function Summary({ job }) {
+  const result = job.result ?? {};
+  switch (job.type) {
+    case JOB_TYPES.IMPORT:
+      return (
+        <Text as="p">
+          {`${result.results.length - result.failed} of ${result.results.length} bundles imported.`}
+          {result.syncError ? ` Syncing auto-bundling definitions failed: ${result.syncError}` : ""}
+        </Text>
+      );
+    case JOB_TYPES.REPRICE:
+      return <Text as="p">{`Re-priced ${result.repriced} bundle variant${result.repriced === 1 ? "" : "s"}.`}</Text>;
+    case JOB_TYPES.SYNC:
+      return <Text as="p">{result.message || `Synced ${result.count} auto-bundling definitions.`}</Text>;
+    case JOB_TYPES.RECONCILE:
+      return (
+        <Text as="p">
+          {`Reconciled ${result.count} bundles` + (result.removed ? `; removed ${result.removed} that no longer exist.` : ".")}
+        </Text>
+      );
+    case JOB_TYPES.BACKFILL:
+      return (
+        <Text as="p">
+          {`Read ${result.orders} order${result.orders === 1 ? "" : "s"}; found ${result.sales} bundle sale${result.sales === 1 ? "" : "s"}.` +
+            (result.unreadable ? ` ${result.unreadable} couldn’t be read.` : "")}
+        </Text>
+      );
+    default:
+      return null;
+  }
+}
+
+export default function JobPage() {
+  const { job } = useLoaderData();
+  useRefreshWhile(isActiveJob(job));
+
+  const results = job.result?.results ?? job.state?.results ?? null;
+  const errors = job.result?.errors ?? job.state?.errors ?? [];
+  const retryAt = job.status === "QUEUED" && job.attempts > 0 ? new Date(job.runAt) : null;
+
+  return (
+    <Page
+      title={job.label}
+      titleMetadata={<JobStatus job={job} />}
+      backAction={{ content: "Jobs", url: "/app/jobs" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <JobProgress job={job} width={320} />
+              <Text as="p" tone="subdued">
+                {`Queued ${new Date(job.createdAt).toLocaleString()}` +
+                  (job.finishedAt ? ` · finished ${new Date(job.finishedAt).toLocaleString()}` : "") +
+                  (job.attempts ? ` · attempt ${job.attempts} of ${job.maxAttempts}` : "")}
+              </Text>
+              {job.error && job.status !== "SUCCEEDED" ? (
+                <Banner tone={job.status === "FAILED" ? "critical" : "warning"} title={job.status === "FAILED" ? "Failed" : "Last attempt failed"}>
+                  <p>{job.error}</p>
+                  {retryAt ? <p>{`Retrying at ${retryAt.toLocaleTimeString()}.`}</p> : null}
+                  {job.status === "FAILED" ? <p>Retry continues from where it stopped.</p> : null}
+                </Banner>
+              ) : null}
+              {job.status === "SUCCEEDED" ? <Summary job={job} /> : null}
+              <InlineStack>
+                <JobActions job={job} />
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {results ? (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Bundles</Text>
+                <ImportResults results={results} />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        ) : null}
+
+        {errors.length ? (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Problems</Text>
+                <List type="bullet">
+                  {errors.map((e, i) => <List.Item key={i}>{e}</List.Item>)}
+                </List>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        ) : null}
+      </Layout>
+    </Page>
+  );
+}
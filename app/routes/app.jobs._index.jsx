@@ -0,0 +1,77 @@
+// app/routes/app.jobs._index.jsx
+//
+// Background jobs (imports, re-pricing, sync) with their progress. The page refreshes
+// while a job is queued or running; failed jobs can be retried from here.
+import { json } from "@remix-run/node";
+import { useLoaderData } from "@remix-run/react";
+import { Banner, BlockStack, Card, DataTable, Link, Page, Text } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { jobLabel } from "../models/bundle-job-types";
+import { retryBundleJob } from "../models/bundle-jobs.server";
+import { cancelJob, listJobs } from "../models/job-queue.server";
+import { isActiveJob, JobActions, JobProgress, JobStatus, useRefreshWhile } from "../components/JobProgress";
+
+/* ---------------- Loader ---------------- */
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const jobs = await listJobs(session.shop);
+  // Checkpoints and results are only shown on a job's own page
+  return json({
+    jobs: jobs.map(({ state: _state, result: _result, ...job }) => ({ ...job, label: jobLabel(job.type) })),
+  });
+};
+
+/* ---------------- Action ---------------- */
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = form.get("intent");
+  const id = String(form.get("id") ?? "");
+  if (!id) return json({ ok: false, message: "Missing job id." }, { status: 400 });
+
+  if (intent === "retry" || intent === "cancel") {
+    const error = intent === "retry" ? await retryBundleJob(session.shop, id) : await cancelJob(session.shop, id);
+    if (error) return json({ ok: false, message: error }, { status: 400 });
+    return json({ ok: true });
+  }
+
+  return json({ ok: false, message: "Unknown intent" }, { status: 400 });
+};
+
+/* ---------------- UI ---------------- */
+
+export default function JobsPage() {
+  const { jobs } = useLoaderData();
+  useRefreshWhile(jobs.some(isActiveJob));
+
+  return (
+    <Page title="Jobs" backAction={{ content: "Bundles", url: "/app" }}>
+      <Card>
+        {jobs.length ? (
+          <DataTable
+            columnContentTypes={["text", "text", "text", "text", "text"]}
+            headings={["Job", "Status", "Progress", "Started", ""]}
+            rows={jobs.map((job) => [
+              <BlockStack key="job" gap="100">
+                <Link url={`/app/jobs/${job.id}`}>{job.label}</Link>
+                {job.error && job.status !== "SUCCEEDED" ? (
+                  <Text as="span" tone="critical" variant="bodySm">{job.error}</Text>
+                ) : null}
+              </BlockStack>,
+              <JobStatus key="status" job={job} />,
+              <JobProgress key="progress" job={job} />,
+              new Date(job.startedAt ?? job.createdAt).toLocaleString(),
+              <JobActions key="actions" job={job} />,
+            ])}
+          />
+        ) : (
+          <Banner>
+            <p>No jobs yet. Imports, re-pricing, analytics backfills and the sync and reconcile actions in Settings run here.</p>
+          </Banner>
+        )}
+      </Card>
+    </Page>
+  );
+}
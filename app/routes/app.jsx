@@ -21,6 +21,9 @@ export default function App() {
       <NavMenu>
         <Link to="/app" rel="home">Bundles</Link>
         <Link to="/app/bundles/create">Create Bundle</Link>
+        <Link to="/app/bundles/import">Import / export</Link>
+        <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/jobs">Jobs</Link>
         <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
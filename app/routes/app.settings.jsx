@@ -1,7 +1,11 @@
+import { useState } from "react";
 import { json } from "@remix-run/node";
 import { useFetcher, useLoaderData } from "@remix-run/react";
-import { Page, Card, Button, BlockStack, Text, InlineStack, Banner } from "@shopify/polaris";
+import { Page, Card, Button, BlockStack, Text, InlineStack, Banner, Box, Checkbox, Link } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
+import { syncMergeDefinitions } from "../models/bundle-definitions.server";
+import { JOB_TYPES, jobLabel } from "../models/bundle-job-types";
+import { queueBundleJob } from "../models/bundle-jobs.server";
 
 /* ------------ GraphQL ------------ */
 
@@ -50,43 +54,108 @@ export const loader = async ({ request }) => {
   return json({ current });
 };
 
+/* ------------ Helpers ------------ */
+
+// What checkout does when the function errors or runs out of its instruction budget.
+// Unavailable components are not failures: the function leaves those bundles unexpanded.
+const failureModeLabel = (blockOnFailure) =>
+  blockOnFailure ? "Block checkout" : "Continue without bundling";
+
+async function createTransform(admin, blockOnFailure) {
+  // Find your deployed cart_transform function
+  const fRes = await admin.graphql(GET_FUNCTION);
+  const fJson = await fRes.json();
+  const fn = fJson?.data?.shopifyFunctions?.nodes?.[0];
+  if (!fn?.id) return { error: "Function not found. Deploy the cart_transform extension first." };
+
+  const cRes = await admin.graphql(CREATE_TRANSFORM, {
+    variables: { functionId: fn.id, blockOnFailure },
+  });
+  const cJson = await cRes.json();
+  const err = cJson?.data?.cartTransformCreate?.userErrors?.[0]?.message;
+  if (err) return { error: err };
+  return { current: cJson.data.cartTransformCreate.cartTransform };
+}
+
+async function deleteTransform(admin, id) {
+  const dRes = await admin.graphql(DELETE_TRANSFORM, { variables: { id } });
+  const dJson = await dRes.json();
+  return dJson?.data?.cartTransformDelete?.userErrors?.[0]?.message || null;
+}
+
 /* ------------ Action ------------ */
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const form = await request.formData();
   const intent = form.get("intent");
 
-  if (intent === "enable") {
-    // Find your deployed cart_transform function
-    const fRes = await admin.graphql(GET_FUNCTION);
-    const fJson = await fRes.json();
-    const fn = fJson?.data?.shopifyFunctions?.nodes?.[0];
-    if (!fn?.id) {
-      return json(
-        { ok: false, message: "Function not found. Deploy the cart_transform extension first." },
-        { status: 400 },
-      );
+  if (intent === "enable" || intent === "failure-mode") {
+    const blockOnFailure = form.get("blockOnFailure") === "true";
+
+    // blockOnFailure can't be changed on an existing transform, so it is replaced. A shop
+    // can't have two transforms for one function, so the old one goes first and is put
+    // back if the new one can't be created.
+    let previous = null;
+    if (intent === "failure-mode") {
+      const id = form.get("id");
+      if (!id) return json({ ok: false, message: "Missing cart transform id." }, { status: 400 });
+      const listRes = await admin.graphql(LIST_TRANSFORMS);
+      const listJson = await listRes.json();
+      previous = listJson?.data?.cartTransforms?.nodes?.find((t) => t.id === id) ?? null;
+      if (!previous) return json({ ok: false, message: "Cart transform not found." }, { status: 404 });
+      const delErr = await deleteTransform(admin, id);
+      if (delErr) return json({ ok: false, message: delErr }, { status: 400 });
     }
 
     // Create/enable the transform
-    const cRes = await admin.graphql(CREATE_TRANSFORM, {
-      variables: { functionId: fn.id, blockOnFailure: false },
+    let { current, error } = await createTransform(admin, blockOnFailure);
+    if (error && previous) {
+      const restored = await createTransform(admin, previous.blockOnFailure);
+      if (restored.error) {
+        return json(
+          { ok: false, message: `${error} Restoring the previous cart transform failed too: ${restored.error}`, current: null },
+          { status: 400 },
+        );
+      }
+      current = restored.current;
+      error = `${error} The previous setting was kept.`;
+    }
+    if (error && !current) return json({ ok: false, message: error }, { status: 400 });
+
+    // Publish auto-merge bundle definitions (and component availability) onto the new transform
+    const sync = await syncMergeDefinitions(admin, session.shop);
+    if (error) {
+      const syncNote = sync.ok ? "" : ` Syncing bundle definitions failed: ${sync.message}`;
+      return json({ ok: false, message: `${error}${syncNote}`, current }, { status: 400 });
+    }
+    if (!sync.ok) {
+      return json({
+        ok: false,
+        message: `Cart transform enabled, but syncing bundle definitions failed: ${sync.message}`,
+        current,
+      });
+    }
+
+    return json({
+      ok: true,
+      current,
+      ...(intent === "failure-mode" ? { message: `On failure: ${failureModeLabel(blockOnFailure).toLowerCase()}.` } : {}),
     });
-    const cJson = await cRes.json();
-    const err = cJson?.data?.cartTransformCreate?.userErrors?.[0]?.message;
-    if (err) return json({ ok: false, message: err }, { status: 400 });
+  }
 
-    return json({ ok: true, current: cJson.data.cartTransformCreate.cartTransform });
+  // Long-running work goes through the job queue (see the Jobs page)
+  const jobIntents = { sync: JOB_TYPES.SYNC, reconcile: JOB_TYPES.RECONCILE, reprice: JOB_TYPES.REPRICE };
+  if (jobIntents[intent]) {
+    const job = await queueBundleJob(session.shop, jobIntents[intent]);
+    return json({ ok: true, message: `${jobLabel(job.type)}: queued.`, jobId: job.id });
   }
 
   if (intent === "disable") {
     const id = form.get("id");
     if (!id) return json({ ok: false, message: "Missing cart transform id." }, { status: 400 });
 
-    const dRes = await admin.graphql(DELETE_TRANSFORM, { variables: { id } });
-    const dJson = await dRes.json();
-    const err = dJson?.data?.cartTransformDelete?.userErrors?.[0]?.message;
+    const err = await deleteTransform(admin, id);
     if (err) return json({ ok: false, message: err }, { status: 400 });
 
     return json({ ok: true, current: null });
@@ -100,12 +169,15 @@ export const action = async ({ request }) => {
 export default function CartTransformIndex() {
   const { current: loaderCurrent } = useLoaderData(); // <-- read persisted state on first load
   const fetcher = useFetcher();
+  const [blockOnFailure, setBlockOnFailure] = useState(false);
 
   // Prefer action result when present; otherwise fall back to loader value
   const actionCurrent = fetcher.data?.current;
   const current = actionCurrent === undefined ? loaderCurrent : actionCurrent;
 
   const errorMsg = fetcher.data?.ok === false ? fetcher.data?.message : null;
+  const successMsg = fetcher.data?.ok ? fetcher.data?.message : null;
+  const jobId = fetcher.data?.jobId;
 
   return (
     <Page title="Cart Transform">
@@ -116,11 +188,20 @@ export default function CartTransformIndex() {
               <p>{errorMsg}</p>
             </Banner>
           ) : null}
+          {successMsg ? (
+            <Banner tone="success" title={jobId ? "Queued" : "Done"}>
+              <p>
+                {successMsg}{" "}
+                {jobId ? <Link url={`/app/jobs/${jobId}`}>Follow its progress</Link> : null}
+              </p>
+            </Banner>
+          ) : null}
 
           {current ? (
             <>
               <Text as="p">Status: <b>Enabled</b></Text>
               <Text as="p" variant="bodySm">id: {current.id}</Text>
+              <Text as="p">If the function fails: <b>{failureModeLabel(current.blockOnFailure)}</b></Text>
               <InlineStack gap="300">
                 <fetcher.Form method="post">
                   <input type="hidden" name="intent" value="disable" />
@@ -129,21 +210,76 @@ export default function CartTransformIndex() {
                     Disable
                   </Button>
                 </fetcher.Form>
+                <fetcher.Form method="post">
+                  <input type="hidden" name="intent" value="sync" />
+                  <Button submit>Sync auto-bundling definitions</Button>
+                </fetcher.Form>
+                <fetcher.Form method="post">
+                  <input type="hidden" name="intent" value="failure-mode" />
+                  <input type="hidden" name="id" value={current.id} />
+                  <input type="hidden" name="blockOnFailure" value={String(!current.blockOnFailure)} />
+                  <Button submit>{`Switch to “${failureModeLabel(!current.blockOnFailure).toLowerCase()}”`}</Button>
+                </fetcher.Form>
               </InlineStack>
             </>
           ) : (
             <>
               <Text as="p">Status: <b>Disabled</b></Text>
               <fetcher.Form method="post">
-                <input type="hidden" name="intent" value="enable" />
-                <Button variant="primary" submit>
-                  Enable Cart Transform
-                </Button>
+                <BlockStack gap="300">
+                  <input type="hidden" name="intent" value="enable" />
+                  <input type="hidden" name="blockOnFailure" value={String(blockOnFailure)} />
+                  <Checkbox
+                    label="Block checkout if the cart transform fails"
+                    helpText="Off: checkout continues with bundles left as single lines. On: shoppers can’t check out until the function runs again. Bundles with unavailable components are never a failure; they stay unexpanded."
+                    checked={blockOnFailure}
+                    onChange={setBlockOnFailure}
+                  />
+                  <InlineStack>
+                    <Button variant="primary" submit>
+                      Enable Cart Transform
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
               </fetcher.Form>
             </>
           )}
         </BlockStack>
       </Card>
+
+      <Box paddingBlockStart="400">
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">Bundle records</Text>
+            <Text as="p">
+              The app keeps its own list of bundles for the Bundles page. Reconcile re-reads every bundle from
+              Shopify, imports bundles it doesn’t know about yet, drops ones that were deleted and republishes
+              how many of each bundle the components can fill.
+            </Text>
+            <fetcher.Form method="post">
+              <input type="hidden" name="intent" value="reconcile" />
+              <Button submit>Reconcile bundle records</Button>
+            </fetcher.Form>
+          </BlockStack>
+        </Card>
+      </Box>
+
+      <Box paddingBlockStart="400">
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">Bundle prices</Text>
+            <Text as="p">
+              Bundles with a pricing rule get their price from their components. A component’s price change
+              re-prices the bundles using it automatically; re-price them all at once here if some were missed. It
+              runs in the background.
+            </Text>
+            <fetcher.Form method="post">
+              <input type="hidden" name="intent" value="reprice" />
+              <Button submit>Re-price bundles</Button>
+            </fetcher.Form>
+          </BlockStack>
+        </Card>
+      </Box>
     </Page>
   );
 }
@@ -11,6 +11,11 @@ export const action = async ({ request }) => {
   if (session) {
     await db.session.deleteMany({ where: { shop } });
   }
+  // Jobs still waiting would only fail without a session
+  await db.job.updateMany({
+    where: { shop, status: "QUEUED" },
+    data: { status: "CANCELLED", error: "The app was uninstalled.", finishedAt: new Date() },
+  });
 
   return new Response();
 };
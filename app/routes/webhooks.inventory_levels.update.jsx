@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { handleInventoryLevelUpdate, handleOnce } from "../models/bundle-webhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await handleOnce({ webhookId, shop, topic }, () => handleInventoryLevelUpdate(admin, shop, payload));
+
+  return new Response();
+};
@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import { handleOnce } from "../models/bundle-webhooks.server";
+import { recordOrder } from "../models/bundle-analytics.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The order is read back from the Admin API for its line item groups; without `admin`
+  // (uninstalled) there is nothing to record it for
+  if (admin) {
+    const orderId = payload?.admin_graphql_api_id || `gid://shopify/Order/${payload?.id}`;
+    await handleOnce({ webhookId, shop, topic }, () => recordOrder(admin, shop, orderId));
+  }
+
+  return new Response();
+};
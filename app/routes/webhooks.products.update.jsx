@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { handleProductUpdate, handleOnce } from "../models/bundle-webhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // `admin` is undefined once the app has been uninstalled; handlers then only touch local rows
+  await handleOnce({ webhookId, shop, topic }, () => handleProductUpdate(admin, shop, payload));
+
+  return new Response();
+};
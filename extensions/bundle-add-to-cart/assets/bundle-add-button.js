@@ -1,3 +1,20 @@
+/*
+ * Bundle add button. Events, dispatched on the block element (they bubble to document):
+ *
+ *   bundle:before-add  cancelable; detail { mode, bundleId, variantId, quantity, items }.
+ *                      Call preventDefault() to stop the add; listeners may change
+ *                      detail.items (the /cart/add.js items) before they are sent.
+ *   bundle:add         after a successful add; detail as above plus variantIds,
+ *                      components and cart (the /cart/add.js response, including
+ *                      `sections` when section rendering is on).
+ *   bundle:add-error   when the add fails; detail as before-add plus error, status,
+ *                      response (Shopify's error payload, or the raw text), failedItem
+ *                      (the item Shopify rejected, when known), reason and partial (items
+ *                      of this add that made it into the cart before the failure).
+ *
+ * After an add the block redirects to /cart, re-renders the configured sections in place
+ * (Section Rendering API, e.g. the cart drawer and cart count) or only shows a message.
+ */
 (function () {
   function $(sel, root) { return (root || document).querySelector(sel); }
 
@@ -6,70 +23,488 @@
     return csv.split(',').map(s => parseInt(s.trim(), 10)).filter(n => Number.isInteger(n) && n > 0);
   }
 
-  async function addToCart(variantIds, parentQty) {
-    const items = variantIds.map(id => ({ id, quantity: parentQty > 0 ? parentQty : 1 }));
+  // "123:2,456:1" -> [{ id: 123, quantity: 2 }, { id: 456, quantity: 1 }]
+  function parseComponents(csv) {
+    if (!csv) return [];
+    return csv.split(',').map(pair => {
+      const [id, qty] = pair.split(':').map(s => parseInt(String(s).trim(), 10));
+      return { id, quantity: Number.isInteger(qty) && qty > 0 ? qty : 1 };
+    }).filter(c => Number.isInteger(c.id) && c.id > 0);
+  }
+
+  // data-available: bundles the components can fill ("" when stock isn't tracked)
+  function parseAvailable(value) {
+    if (value == null || String(value).trim() === '') return null;
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? Math.max(0, n) : null;
+  }
+
+  // Line property tying a bundle line to its expanded components (see cart_transform_run.js)
+  const BUNDLE_ID_PROPERTY = '_bundle_id';
+  // Component variants the shopper picked, "<component>=<chosen>,…" (see choices.js)
+  const CHOICES_PROPERTY = '_bundle_choices';
+  const PRODUCT_FORMS = 'form[action*="/cart/add"]';
+
+  // Unique per add, so two adds of the same bundle stay separate lines
+  function newBundleId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  }
+
+  // `sections`: section ids to render with the response (Section Rendering API)
+  async function postItems(items, sections) {
+    const body = { items };
+    if (sections.length) {
+      body.sections = sections;
+      body.sections_url = window.location.pathname;
+    }
     const res = await fetch('/cart/add.js', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-      body: JSON.stringify({ items })
+      body: JSON.stringify(body)
     });
     if (!res.ok) {
       const text = await res.text().catch(() => '');
-      throw new Error(text || `Cart add failed (${res.status})`);
+      let response = text;
+      try { response = JSON.parse(text); } catch (_) { /* not JSON */ }
+      const error = new Error(text || `Cart add failed (${res.status})`);
+      error.status = res.status;
+      error.response = response;
+      throw error;
     }
     return res.json();
   }
 
+  // "components" mode: add the component variants themselves
+  function componentItems(components, parentQty) {
+    const multiplier = parentQty > 0 ? parentQty : 1;
+    return components.map(c => ({ id: c.id, quantity: c.quantity * multiplier }));
+  }
+
+  // "bundle" mode: add the bundle variant; the cart transform expands it into its components
+  // and prices them, so bundle pricing applies
+  function bundleItems(variantId, parentQty, bundleId, choices) {
+    const properties = { [BUNDLE_ID_PROPERTY]: bundleId };
+    if (choices) properties[CHOICES_PROPERTY] = choices;
+    return [{
+      id: parseInt(variantId, 10),
+      quantity: parentQty > 0 ? parentQty : 1,
+      properties
+    }];
+  }
+
+  // English fallbacks for the storefront texts; the block renders the shop's translations
+  // (locales/*.json, bundle_add) into data-bundle-messages. {name} marks a value.
+  const MESSAGES = {
+    adding: 'Adding…',
+    added: 'Added!',
+    error: 'Something went wrong. Please try again.',
+    no_components: 'No components configured.',
+    only_available: 'Only {count} available.',
+    item_failed: '{title} couldn’t be added: {reason}',
+    partially_added: 'Some items were already added to your cart.',
+    retry: 'Add {count} instead',
+    undo: 'Remove added items',
+    removing: 'Removing…',
+    removed: 'The added items were removed from your cart.',
+    remove_failed: 'The added items couldn’t be removed. Please check your cart.'
+  };
+
+  function readMessages(el) {
+    const script = el.querySelector('script[data-bundle-messages]');
+    try {
+      return { ...MESSAGES, ...(script ? JSON.parse(script.textContent) : {}) };
+    } catch (_) {
+      return MESSAGES;
+    }
+  }
+
+  function format(message, values) {
+    return String(message).replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+
+  // { "<variant id>": quantity } across all lines of the cart
+  async function cartQuantities() {
+    const res = await fetch('/cart.js', { headers: { 'Accept': 'application/json' } });
+    if (!res.ok) throw new Error(`Cart read failed (${res.status})`);
+    const cart = await res.json();
+    const quantities = {};
+    (cart.items || []).forEach((item) => {
+      quantities[item.variant_id] = (quantities[item.variant_id] || 0) + item.quantity;
+    });
+    return quantities;
+  }
+
+  // Shopify answers a rejected add with { status, message, description }; description is
+  // the shopper-facing reason (sold out, quantity limit) and names the product
+  function errorReason(response) {
+    if (response && typeof response === 'object') return response.description || response.message || '';
+    return '';
+  }
+
+  // How many more of the rejected item Shopify would take, from its reason ("You can only
+  // add 3 of … to the cart", "All 2 … are in your cart"); null when it doesn't say
+  function allowedQuantity(reason) {
+    const only = /\bonly (?:add )?(\d+)\b/i.exec(reason);
+    if (only) return parseInt(only[1], 10);
+    if (/\ball \d+\b.*\bin your cart\b/i.test(reason)) return 0;
+    return null;
+  }
+
+  /**
+   * Work out what a failed add left behind. Items of one /cart/add.js request are added
+   * one after another, so the ones before the rejected item are already in the cart:
+   * comparing the cart with `before` tells which. Returns { failedItem, partial }.
+   */
+  async function inspectFailure(error, items, before, titles) {
+    let partial = [];
+    let failedItem = null;
+    if (before) {
+      const after = await cartQuantities().catch(() => null);
+      if (after) {
+        const delta = (id) => Math.max(0, (after[id] || 0) - (before[id] || 0));
+        partial = items.map(i => ({ id: i.id, quantity: delta(i.id) })).filter(i => i.quantity > 0);
+        failedItem = items.find(i => delta(i.id) < i.quantity) || null;
+      }
+    }
+    if (!failedItem) {
+      const reason = errorReason(error.response);
+      failedItem = items.length === 1
+        ? items[0]
+        : items.find(i => titles[i.id] && reason.includes(titles[i.id].split(' – ')[0])) || null;
+    }
+    return { failedItem, partial };
+  }
+
+  // Swap each rendered section into the page; sections the page doesn't have are skipped
+  function renderSections(sections) {
+    Object.keys(sections || {}).forEach((id) => {
+      const target = document.getElementById(`shopify-section-${id}`);
+      const html = sections[id];
+      if (!target || typeof html !== 'string') return;
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const fresh = doc.getElementById(`shopify-section-${id}`);
+      target.innerHTML = fresh ? fresh.innerHTML : html;
+    });
+  }
+
+  // The product forms adding one of `variantIds` (the bundle's own variants): quick-add
+  // and recommendation forms of other products on the page are left alone
+  function bundleForms(variantIds) {
+    return Array.prototype.filter.call(document.querySelectorAll(PRODUCT_FORMS), (form) => {
+      const input = form.querySelector('[name="id"]');
+      return Boolean(input) && variantIds.includes(String(input.value));
+    });
+  }
+
+  // In "bundle" mode the theme's own product form (quantity picker, add button, dynamic
+  // checkout buttons) stays in use: its lines get the properties as hidden inputs
+  function setFormProperty(forms, name, value) {
+    forms.forEach((form) => {
+      let input = form.querySelector(`input[name="properties[${name}]"]`);
+      if (!input) {
+        input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = `properties[${name}]`;
+        form.appendChild(input);
+      }
+      input.value = typeof value === 'function' ? value() : value;
+    });
+  }
+
+  // The bundle id is renewed on every submit
+  function tagProductForms(forms) {
+    setFormProperty(forms, BUNDLE_ID_PROPERTY, newBundleId);
+  }
+
+  // The picks in the dropdowns of one bundle variant that differ from the configured
+  // component: [{ index, component, chosen }]
+  function readPicks(el, variantId) {
+    const panel = el.querySelector(`[data-bundle-choices-variant="${variantId}"]`);
+    if (!panel) return [];
+    return Array.prototype.map.call(panel.querySelectorAll('select[data-bundle-choice]'), (select) => ({
+      index: parseInt(select.dataset.bundleChoice, 10),
+      component: select.dataset.componentId,
+      chosen: select.value
+    })).filter(p => p.chosen && p.chosen !== p.component);
+  }
+
+  function choicesValue(picks) {
+    return picks.map(p => `${p.component}=${p.chosen}`).join(',');
+  }
+
+  // data-bundle-variants: { "<variant id>": { ids, components, available } }, one entry per
+  // variant, since each variant of a bundle with options has its own components
+  function readVariants(el) {
+    const script = el.querySelector('script[data-bundle-variants]');
+    if (!script) return {};
+    try {
+      return JSON.parse(script.textContent) || {};
+    } catch (_) {
+      return {};
+    }
+  }
+
   function bind(el) {
     const btn = el.querySelector('.bundle-add-button');
     if (!btn) return;
+    const mode = el.dataset.addMode === 'bundle' ? 'bundle' : 'components';
+    const variants = readVariants(el);
+    // The form [name="id"] holds whichever of them is selected (see selectVariant)
+    const productForms = () => bundleForms([...Object.keys(variants), String(btn.dataset.variantId || '')]);
+    if (mode === 'bundle') tagProductForms(productForms());
     if (btn._bundleBound) return;
     btn._bundleBound = true;
 
     const status = el.querySelector('.bundle-add-button__status');
-    const ids = parseIds(btn.dataset.variantIds);
+    const actions = el.querySelector('.bundle-add-button__actions');
+    const messages = readMessages(el);
     const qtySel = btn.dataset.parentQtySelector || "[name='quantity']";
-    const redirect = String(btn.dataset.redirect || "false") === "true";
+    // What happens after an add: "redirect" to /cart, re-render "sections", or just a "message"
+    const afterAdd = btn.dataset.afterAdd || (String(btn.dataset.redirect || 'false') === 'true' ? 'redirect' : 'message');
+    const sections = afterAdd === 'sections'
+      ? String(btn.dataset.sections || '').split(',').map(s => s.trim()).filter(Boolean)
+      : [];
+    const soldOutLabel = btn.dataset.soldOutLabel || 'Sold out';
+    const form = el.closest('form') || document;
+
+    // The selected variant's components and availability (replaced on a variant change)
+    let components = [];
+    let ids = [];
+    let available = null;
+    let titles = {};
+    function readSelected() {
+      titles = (variants[btn.dataset.variantId] || {}).titles || {};
+      // Prefer per-component quantities from bundle_config; legacy bundles only have the id list
+      components = parseComponents(btn.dataset.components);
+      if (!components.length) components = parseIds(btn.dataset.variantIds).map(id => ({ id, quantity: 1 }));
+      ids = components.map(c => c.id);
+      available = parseAvailable(btn.dataset.available);
+    }
+
+    const qtyInput = $(qtySel, form);
+    function parentQuantity() {
+      if (qtyInput && qtyInput.value) {
+        const q = parseInt(qtyInput.value, 10);
+        if (Number.isFinite(q) && q > 0) return q;
+      }
+      return 1;
+    }
+
+    // Disable the button while the variant has no components or they can't fill the
+    // requested number of bundles
+    function refreshAvailability() {
+      const empty = !ids.length;
+      const short = !empty && available !== null && parentQuantity() > available;
+      btn.disabled = empty || short;
+      if (!status) return;
+      if (empty || short) {
+        status.hidden = false;
+        status.textContent = empty
+          ? messages.no_components
+          : available < 1 ? soldOutLabel : format(messages.only_available, { count: available });
+      } else if (status.dataset.availability === 'true') {
+        status.hidden = true;
+        status.textContent = '';
+      }
+      status.dataset.availability = String(empty || short);
+    }
+
+    // Keep the theme's form in step with the dropdowns of the selected variant
+    function syncChoices() {
+      el.querySelectorAll('[data-bundle-choices-variant]').forEach((panel) => {
+        panel.hidden = panel.dataset.bundleChoicesVariant !== btn.dataset.variantId;
+      });
+      if (mode === 'bundle') {
+        setFormProperty(productForms(), CHOICES_PROPERTY, choicesValue(readPicks(el, btn.dataset.variantId)));
+      }
+    }
+
+    // Themes report the chosen variant differently: most update the product form's
+    // [name="id"] input and fire "change", some dispatch variant:change(d) with the variant
+    function selectVariant(variantId) {
+      const id = String(variantId || '');
+      if (!id || id === btn.dataset.variantId) return;
+      const data = variants[id] || { ids: '', components: '', available: '0' };
+      btn.dataset.variantId = id;
+      btn.dataset.variantIds = data.ids || '';
+      btn.dataset.components = data.components || '';
+      btn.dataset.available = data.available == null ? '' : String(data.available);
+      readSelected();
+      refreshAvailability();
+      syncChoices();
+    }
+
+    readSelected();
+    refreshAvailability();
+    syncChoices();
+    el.addEventListener('change', (e) => {
+      if (e.target && e.target.matches && e.target.matches('select[data-bundle-choice]')) syncChoices();
+    });
+    if (qtyInput) {
+      qtyInput.addEventListener('input', refreshAvailability);
+      qtyInput.addEventListener('change', refreshAvailability);
+    }
+    document.addEventListener('change', (e) => {
+      const input = e.target;
+      if (input && input.name === 'id' && input.closest && input.closest('form[action*="/cart/add"]')) {
+        selectVariant(input.value);
+      }
+    });
+    ['variant:change', 'variant:changed'].forEach((type) => {
+      document.addEventListener(type, (e) => {
+        const variant = e.detail && e.detail.variant;
+        if (variant && variant.id) selectVariant(variant.id);
+      });
+    });
+
+    function emit(type, detail, cancelable) {
+      return el.dispatchEvent(new CustomEvent(type, { bubbles: true, cancelable: Boolean(cancelable), detail }));
+    }
+
+    function showActions(list) {
+      if (!actions) return;
+      actions.innerHTML = '';
+      list.forEach(({ label, run }) => {
+        const action = document.createElement('button');
+        action.type = 'button';
+        action.className = 'bundle-add-button__action';
+        action.textContent = label;
+        action.addEventListener('click', run);
+        actions.appendChild(action);
+      });
+      actions.hidden = !list.length;
+    }
+
+    // Put the cart back to how it was before a failed add
+    async function removePartial(partial, before) {
+      const updates = {};
+      partial.forEach((item) => { updates[item.id] = before[item.id] || 0; });
+      const res = await fetch('/cart/update.js', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ updates })
+      });
+      if (!res.ok) throw new Error(`Cart update failed (${res.status})`);
+    }
+
+    function showFailure(failure, before, parentQty) {
+      const { failedItem, partial, reason } = failure;
+      const title = failedItem && titles[failedItem.id];
+      const text = [title && reason ? format(messages.item_failed, { title, reason }) : reason || messages.error];
+      if (partial.length) text.push(messages.partially_added);
+      if (status) { status.hidden = false; status.textContent = text.join(' '); }
+
+      // Fewer bundles may still fit: as many as Shopify's reason allows of the rejected
+      // item (per bundle it holds failedItem.quantity / parentQty), else the stock count
+      const allowed = failedItem ? allowedQuantity(reason) : null;
+      const fits = allowed !== null
+        ? Math.floor(allowed / Math.max(1, Math.round(failedItem.quantity / parentQty)))
+        : available;
 
-    if (!ids.length) {
-      btn.disabled = true;
-      if (status) { status.hidden = false; status.textContent = 'No components configured.'; }
-      return;
+      const list = [];
+      if (fits !== null && fits > 0 && fits < parentQty) {
+        list.push({
+          label: format(messages.retry, { count: fits }),
+          run: async () => {
+            showActions([]);
+            try {
+              if (partial.length) await removePartial(partial, before);
+            } catch (e) {
+              console.error('[Bundle Add Button]', e);
+            }
+            add(fits);
+          }
+        });
+      }
+      if (partial.length) {
+        list.push({
+          label: messages.undo,
+          run: async () => {
+            showActions([]);
+            if (status) status.textContent = messages.removing;
+            try {
+              await removePartial(partial, before);
+              if (status) status.textContent = messages.removed;
+              if (afterAdd === 'sections') renderSections(await fetchSections());
+            } catch (e) {
+              if (status) status.textContent = messages.remove_failed;
+              console.error('[Bundle Add Button]', e);
+            }
+          }
+        });
+      }
+      showActions(list);
+    }
+
+    async function fetchSections() {
+      if (!sections.length) return {};
+      const res = await fetch(`${window.location.pathname}?sections=${encodeURIComponent(sections.join(','))}`);
+      return res.ok ? res.json() : {};
     }
 
-    btn.addEventListener('click', async () => {
+    async function add(parentQty) {
+      const bundleId = mode === 'bundle' ? newBundleId() : null;
+      const picks = readPicks(el, btn.dataset.variantId);
+      // Components are listed in bundle_config order, which is what the picks' index refers to
+      const added = components.map((c, i) => {
+        const pick = picks.find(p => p.index === i);
+        return pick ? { ...c, id: parseInt(pick.chosen, 10) } : c;
+      });
+      const detail = {
+        mode,
+        bundleId,
+        variantId: btn.dataset.variantId,
+        quantity: parentQty,
+        items: mode === 'bundle'
+          ? bundleItems(btn.dataset.variantId, parentQty, bundleId, choicesValue(picks))
+          : componentItems(added, parentQty)
+      };
+      if (!emit('bundle:before-add', detail, true)) return;
+
+      let before = null;
       try {
         btn.disabled = true;
-        if (status) { status.hidden = false; status.textContent = 'Adding…'; }
-
-        let parentQty = 1;
-        const input = $(qtySel, el.closest('form') || document);
-        if (input && input.value) {
-          const q = parseInt(input.value, 10);
-          if (Number.isFinite(q) && q > 0) parentQty = q;
-        }
+        showActions([]);
+        if (status) { status.hidden = false; status.textContent = messages.adding; status.dataset.availability = 'false'; }
 
-        await addToCart(ids, parentQty);
+        // Several items can be partly added; remember the cart to tell what a failure left
+        if (detail.items.length > 1) before = await cartQuantities().catch(() => null);
+        const cart = await postItems(detail.items, sections);
 
-        if (status) { status.textContent = 'Added!'; }
-        const evt = new CustomEvent('bundle:add', { detail: { variantIds: ids, quantity: parentQty } });
-        document.dispatchEvent(evt);
+        if (status) { status.textContent = messages.added; }
+        emit('bundle:add', { ...detail, variantIds: ids, components: added, cart });
 
-        // Optional redirect
-        if (redirect) window.location.href = '/cart';
+        if (afterAdd === 'redirect') window.location.href = '/cart';
+        else if (afterAdd === 'sections') renderSections(cart && cart.sections);
       } catch (e) {
-        if (status) { status.textContent = 'Error adding items.'; }
+        const failure = { ...(await inspectFailure(e, detail.items, before, titles)), reason: errorReason(e.response) };
+        showFailure(failure, before, parentQty);
+        emit('bundle:add-error', { ...detail, ...failure, error: e, status: e.status || null, response: e.response || null });
         console.error('[Bundle Add Button]', e);
       } finally {
-        btn.disabled = false;
+        btn.disabled = !ids.length || (available !== null && parentQuantity() > available);
       }
-    });
+    }
+
+    btn.addEventListener('click', () => add(parentQuantity()));
   }
 
   function init() {
     document.querySelectorAll('[data-app="bundle-add-button"]').forEach(bind);
   }
 
+  if (!window.__bundleAddFormsBound) {
+    window.__bundleAddFormsBound = true;
+    // Capture phase: the new id is in place before theme scripts serialize the form
+    document.addEventListener('submit', (e) => {
+      const target = e.target;
+      if (!target || !target.matches || !target.matches(PRODUCT_FORMS)) return;
+      const input = target.querySelector(`input[name="properties[${BUNDLE_ID_PROPERTY}]"]`);
+      if (input) input.value = newBundleId();
+    }, true);
+  }
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
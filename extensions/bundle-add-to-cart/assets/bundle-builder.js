@@ -0,0 +1,116 @@
+(function () {
+  // Every picked item is added as its own cart line carrying these properties; the cart
+  // transform groups lines by _bundle_instance, checks them against the bundle's slots
+  // and merges them into the bundle (_bundle_parent). Underscore keys stay hidden in cart.
+  function newInstanceId() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  }
+
+  async function addToCart(picks, parentVariantId) {
+    const instance = newInstanceId();
+    const items = picks.map(p => ({
+      id: p.id,
+      quantity: p.quantity,
+      properties: { _bundle_instance: instance, _bundle_parent: String(parentVariantId) }
+    }));
+    const res = await fetch('/cart/add.js', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ items })
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(text || `Cart add failed (${res.status})`);
+    }
+    return res.json();
+  }
+
+  function bind(root) {
+    if (root._bundleBound) return;
+    root._bundleBound = true;
+
+    const addBtn = root.querySelector('.bundle-builder__add');
+    const status = root.querySelector('.bundle-builder__status');
+    const parentVariantId = root.dataset.parentVariantId;
+    const redirect = String(root.dataset.redirect || 'false') === 'true';
+    const slots = Array.from(root.querySelectorAll('.bundle-builder__slot')).map(el => ({
+      el,
+      id: el.dataset.slotId,
+      max: parseInt(el.dataset.slotQuantity, 10) || 1,
+      picks: new Map() // variantId -> qty
+    }));
+
+    const countOf = slot => Array.from(slot.picks.values()).reduce((a, b) => a + b, 0);
+
+    function render() {
+      slots.forEach(slot => {
+        const count = countOf(slot);
+        slot.el.dataset.full = String(count === slot.max);
+        const counter = slot.el.querySelector('[data-slot-count]');
+        if (counter) counter.textContent = String(count);
+        slot.el.querySelectorAll('.bundle-builder__step').forEach(btn => {
+          const qty = slot.picks.get(btn.dataset.variantId) || 0;
+          btn.disabled = btn.dataset.step === '1' ? count >= slot.max : qty === 0;
+        });
+        slot.el.querySelectorAll('[data-qty-for]').forEach(el => {
+          el.textContent = String(slot.picks.get(el.dataset.qtyFor) || 0);
+        });
+      });
+      if (addBtn) addBtn.disabled = !slots.every(slot => countOf(slot) === slot.max);
+    }
+
+    slots.forEach(slot => {
+      slot.el.addEventListener('click', e => {
+        const btn = e.target.closest('.bundle-builder__step');
+        if (!btn || btn.disabled) return;
+        const id = btn.dataset.variantId;
+        const next = (slot.picks.get(id) || 0) + parseInt(btn.dataset.step, 10);
+        if (next > 0) slot.picks.set(id, next); else slot.picks.delete(id);
+        render();
+      });
+    });
+
+    if (addBtn) addBtn.addEventListener('click', async () => {
+      // The same variant may be picked in two slots: one line per variant is enough
+      const totals = new Map();
+      slots.forEach(slot => slot.picks.forEach((qty, id) => totals.set(id, (totals.get(id) || 0) + qty)));
+      const picks = Array.from(totals, ([id, quantity]) => ({ id: parseInt(id, 10), quantity }));
+
+      try {
+        addBtn.disabled = true;
+        if (status) { status.hidden = false; status.textContent = 'Adding…'; }
+
+        await addToCart(picks, parentVariantId);
+
+        if (status) { status.textContent = 'Added!'; }
+        document.dispatchEvent(new CustomEvent('bundle:add', {
+          detail: { parentVariantId, variantIds: picks.map(p => p.id), components: picks, quantity: 1 }
+        }));
+
+        slots.forEach(slot => slot.picks.clear());
+        if (redirect) window.location.href = '/cart';
+      } catch (e) {
+        if (status) { status.textContent = 'Error adding items.'; }
+        console.error('[Bundle Builder]', e);
+      } finally {
+        render();
+      }
+    });
+
+    render();
+  }
+
+  function init() {
+    document.querySelectorAll('[data-app="bundle-builder"]').forEach(bind);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  document.addEventListener('shopify:section:load', init);
+  document.addEventListener('shopify:section:select', init);
+})();
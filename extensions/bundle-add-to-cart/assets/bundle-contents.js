@@ -0,0 +1,32 @@
+(function () {
+  // Show the panel of the selected variant (a bundle with options has contents per variant)
+  function show(el, variantId) {
+    const id = String(variantId || '');
+    const panels = el.querySelectorAll('[data-bundle-contents-variant]');
+    if (!id || !Array.prototype.some.call(panels, p => p.dataset.bundleContentsVariant === id)) return;
+    panels.forEach(p => { p.hidden = p.dataset.bundleContentsVariant !== id; });
+  }
+
+  function showAll(variantId) {
+    document.querySelectorAll('[data-app="bundle-contents"]').forEach(el => show(el, variantId));
+  }
+
+  if (!window.__bundleContentsBound) {
+    window.__bundleContentsBound = true;
+
+    // Themes report the chosen variant differently: most update the product form's
+    // [name="id"] input and fire "change", some dispatch variant:change(d) with the variant
+    document.addEventListener('change', (e) => {
+      const input = e.target;
+      if (input && input.name === 'id' && input.closest && input.closest('form[action*="/cart/add"]')) {
+        showAll(input.value);
+      }
+    });
+    ['variant:change', 'variant:changed'].forEach((type) => {
+      document.addEventListener(type, (e) => {
+        const variant = e.detail && e.detail.variant;
+        if (variant && variant.id) showAll(variant.id);
+      });
+    });
+  }
+})();
@@ -0,0 +1,68 @@
+// @ts-check
+
+// Component availability is published by the admin app, because the function can't look
+// up variants that aren't in the cart:
+//  - `$app:bundles.availability` on the cart transform: `{ version, unavailable: string[] }`,
+//    component variants that can't be sold (deleted, product not active, or sold out);
+//  - `custom.bundle_availability` on each bundle variant: how many bundles the components
+//    can fill (absent when no component's stock is tracked).
+// An unavailable component is replaced by its first available substitute (bundle_config
+// `substitutes`, in the merchant's order). A bundle line that still fails either check is
+// left unexpanded, so the shopper keeps the bundle product itself and checkout sells or
+// rejects it on the bundle's own inventory.
+
+/**
+ * @param {any} mf cartTransform `availability` metafield
+ * @returns {Set<string>} unavailable component variant GIDs
+ */
+export function readUnavailableVariants(mf) {
+  let raw = mf?.jsonValue;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (_) {
+      return new Set();
+    }
+  }
+  const list = Array.isArray(raw?.unavailable) ? raw.unavailable : [];
+  return new Set(list.filter((id) => typeof id === "string" && id.startsWith("gid://")));
+}
+
+/**
+ * @param {any} mf bundle variant `custom.bundle_availability` metafield
+ * @returns {number | null} bundles the components can fill, or null when unknown
+ */
+export function readBundleAvailability(mf) {
+  const n = parseInt(String(mf?.jsonValue ?? mf?.value ?? ""), 10);
+  return Number.isFinite(n) ? Math.max(0, n) : null;
+}
+
+/**
+ * Swap each unavailable component for its first available substitute; components with
+ * no available alternative are returned unchanged (expansionBlocker then rejects them).
+ * @template {{ variantId: string, substitutes?: string[] }} T
+ * @param {T[]} components
+ * @param {Set<string>} unavailable
+ * @returns {T[]}
+ */
+export function applySubstitutes(components, unavailable) {
+  return components.map((c) => {
+    if (!unavailable.has(c.variantId)) return c;
+    const substitute = (c.substitutes ?? []).find((id) => !unavailable.has(id));
+    return substitute ? { ...c, variantId: substitute } : c;
+  });
+}
+
+/**
+ * Why a bundle line can't be expanded, or null when it can.
+ * @param {{ variantId: string }[]} components
+ * @param {number} lineQuantity
+ * @param {Set<string>} unavailable
+ * @param {number | null} available
+ * @returns {"COMPONENT_UNAVAILABLE" | "INSUFFICIENT_STOCK" | null}
+ */
+export function expansionBlocker(components, lineQuantity, unavailable, available) {
+  if (components.some((c) => unavailable.has(c.variantId))) return "COMPONENT_UNAVAILABLE";
+  if (available != null && lineQuantity > available) return "INSUFFICIENT_STOCK";
+  return null;
+}
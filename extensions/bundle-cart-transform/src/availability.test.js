@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { applySubstitutes, expansionBlocker, readBundleAvailability, readUnavailableVariants } from './availability';
+
+const SOCKS = 'gid://shopify/ProductVariant/1';
+const SHOE = 'gid://shopify/ProductVariant/2';
+const NAVY = 'gid://shopify/ProductVariant/3';
+const BLACK = 'gid://shopify/ProductVariant/4';
+
+describe('readUnavailableVariants', () => {
+  it('reads GIDs from JSON or a JSON string and drops anything else', () => {
+    expect(readUnavailableVariants({ jsonValue: { unavailable: [SOCKS, 42, 'nope'] } })).toEqual(new Set([SOCKS]));
+    expect(readUnavailableVariants({ jsonValue: JSON.stringify({ unavailable: [SHOE] }) })).toEqual(new Set([SHOE]));
+    expect(readUnavailableVariants({ jsonValue: '{broken' })).toEqual(new Set());
+    expect(readUnavailableVariants(null)).toEqual(new Set());
+  });
+});
+
+describe('readBundleAvailability', () => {
+  it('reads a non-negative count, or null when unset', () => {
+    expect(readBundleAvailability({ jsonValue: 4 })).toBe(4);
+    expect(readBundleAvailability({ jsonValue: -2 })).toBe(0);
+    expect(readBundleAvailability({ jsonValue: null })).toBeNull();
+    expect(readBundleAvailability(null)).toBeNull();
+  });
+});
+
+describe('expansionBlocker', () => {
+  const components = [{ variantId: SOCKS }, { variantId: SHOE }];
+
+  it('allows expansion when nothing is unavailable and stock is unknown', () => {
+    expect(expansionBlocker(components, 5, new Set(), null)).toBeNull();
+  });
+
+  it('blocks when any component is unavailable', () => {
+    expect(expansionBlocker(components, 1, new Set([SHOE]), 10)).toBe('COMPONENT_UNAVAILABLE');
+  });
+
+  it('blocks when the line asks for more bundles than the stock can fill', () => {
+    expect(expansionBlocker(components, 3, new Set(), 2)).toBe('INSUFFICIENT_STOCK');
+    expect(expansionBlocker(components, 2, new Set(), 2)).toBeNull();
+  });
+});
+
+describe('applySubstitutes', () => {
+  it('keeps available components and swaps unavailable ones for the first available substitute', () => {
+    const components = [
+      { variantId: SOCKS, quantity: 2, substitutes: [NAVY, BLACK] },
+      { variantId: SHOE, quantity: 1, substitutes: [BLACK] },
+    ];
+
+    expect(applySubstitutes(components, new Set([SOCKS, NAVY]))).toEqual([
+      { variantId: BLACK, quantity: 2, substitutes: [NAVY, BLACK] },
+      { variantId: SHOE, quantity: 1, substitutes: [BLACK] },
+    ]);
+  });
+
+  it('leaves a component unchanged when no alternative is available', () => {
+    const components = [{ variantId: SOCKS, quantity: 1, substitutes: [NAVY] }];
+
+    expect(applySubstitutes(components, new Set([SOCKS, NAVY]))).toEqual(components);
+  });
+});
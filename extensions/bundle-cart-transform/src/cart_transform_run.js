@@ -1,10 +1,25 @@
 // @ts-check
 
+import {
+  applySubstitutes,
+  expansionBlocker,
+  readBundleAvailability,
+  readUnavailableVariants,
+} from "./availability";
+import { applyChoices, readChoiceSelection } from "./choices";
+import { planMerges, planSlotMerges, readMergeDefinitions } from "./merge";
+import { allocateBundlePrice, componentListTotal, discountedBundleAmount } from "./pricing";
+
 /**
  * @typedef {import("../generated/api").CartTransformRunInput} CartTransformRunInput
  * @typedef {import("../generated/api").CartTransformRunResult} CartTransformRunResult
  */
 
+// Bundle instance id the storefront add button puts on a bundle line ("add the bundle"
+// mode); every component expanded from the line carries it too, so orders can tell
+// which items were sold together
+export const BUNDLE_ID_ATTRIBUTE = "_bundle_id";
+
 /**
  * @type {CartTransformRunResult}
  */
@@ -13,41 +28,182 @@ const NO_CHANGES = {
 };
 
 /**
+ * Two modes run side by side:
+ *  - lineExpand: a bundle parent line (variant with bundle metafields) is expanded into its components.
+ *  - linesMerge: component lines added one by one are merged into a bundle parent variant,
+ *    using the definitions the admin app writes to the cart transform's metafield.
+ *    Lines picked in the storefront bundle builder (mix-and-match slots) carry a
+ *    `_bundle_instance` property and are only ever merged as their own group.
+ * Slot-based bundles have no fixed components, so their parent line is never expanded.
+ * Components the shopper picked another allowed variant for are expanded into that variant;
+ * a line with a pick that isn't allowed is left as it is (see ./choices).
+ * Unavailable components are swapped for their first available substitute; a bundle line
+ * that still can't be filled (see ./availability) is left as it is.
  * @param {CartTransformRunInput} input
  * @returns {CartTransformRunResult}
  */
 export function cartTransformRun(input) {
   const operations = [];
+  const rate = parseFloat(String(input?.presentmentCurrencyRate ?? "1")) || 1;
+  const definitions = readMergeDefinitions(input?.cartTransform?.definitions);
+  const parentIds = new Set(definitions.map((d) => d.parentVariantId));
+  const unavailable = readUnavailableVariants(input?.cartTransform?.availability);
+  const mergeCandidates = [];
+  const slotCandidates = [];
 
-  for (const line of input.cart.lines ?? []) {
+  for (const line of input?.cart?.lines ?? []) {
     const merch = line.merchandise;
     if (!merch || merch.__typename !== "ProductVariant") continue;
 
-    const mf = merch.bundleRefs;
-    // Only react to the exact metafield type we expect
-    if (!mf || mf.type !== "list.variant_reference") continue;
+    if (line.instance?.value) {
+      slotCandidates.push(line);
+      continue;
+    }
+
+    const configured = readComponents(merch);
+    if (configured.length === 0) {
+      if (!parentIds.has(merch.id)) mergeCandidates.push(line);
+      continue;
+    }
 
-    const componentVariantIds = normalizeVariantIds(mf);
-    if (componentVariantIds.length === 0) continue;
+    const chosen = applyChoices(configured, readChoiceSelection(line.choices?.value));
+    if (!chosen) continue;
 
-    // Expand this "bundle" line into its components.
-    // Each component inherits the original line's quantity.
-    const expandedCartItems = componentVariantIds.map((variantId) => ({
-      merchandiseId: variantId,
-      quantity: line.quantity ?? 1,
-    }));
+    const components = applySubstitutes(chosen, unavailable);
+    const parentQty = line.quantity ?? 1;
+    const available = readBundleAvailability(merch.bundleAvailability);
+    if (expansionBlocker(components, parentQty, unavailable, available)) continue;
+
+    // Split the bundle price across components by their list prices, so checkout charges
+    // exactly the bundle price (null => let Shopify allocate). The bundle price is the
+    // discount rule applied to the component list prices saved in bundle_config when one
+    // is configured (the app re-saves them when a component's price changes), otherwise
+    // the bundle variant's own price.
+    const money = line.cost?.amountPerQuantity;
+    const bundleAmount = money
+      ? bundleUnitAmount(components, parseConfig(merch.bundleConfig)?.discount, rate) ?? money.amount
+      : null;
+    const priceParts = money
+      ? allocateBundlePrice(bundleAmount, money.currencyCode, components)
+      : null;
+
+    // Expand this "bundle" line into its components, a component whose units are priced
+    // differently (see allocateBundlePrice) into one item per price.
+    // Each component's quantity is multiplied by the parent line's quantity.
+    const bundleId = line.bundleId?.value;
+    const expandedCartItems = components.flatMap(({ variantId, quantity }, i) =>
+      (priceParts?.[i] ?? [{ quantity, price: null }]).map((part) => ({
+        merchandiseId: variantId,
+        quantity: part.quantity * parentQty,
+        ...(part.price != null
+          ? { price: { adjustment: { fixedPricePerUnit: { amount: part.price } } } }
+          : {}),
+        ...(bundleId ? { attributes: [{ key: BUNDLE_ID_ATTRIBUTE, value: bundleId }] } : {}),
+      })),
+    );
+
+    const { title, image } = readPresentation(merch);
 
     operations.push({
       lineExpand: {
         cartLineId: line.id,
         expandedCartItems,
-        // Optional: you can also set a group title/image/price adjustment here.
-        // title: "Bundle components",
+        ...(title ? { title } : {}),
+        ...(image ? { image: { url: image } } : {}),
       },
     });
   }
 
-  return { operations };
+  operations.push(...planSlotMerges(slotCandidates, definitions, rate));
+  operations.push(...planMerges(mergeCandidates, definitions, rate));
+
+  return operations.length ? { operations } : NO_CHANGES;
+}
+
+/**
+ * Resolve a bundle variant's components as `[{ variantId, quantity, price, substitutes, choices }]`.
+ * Prefers the `custom.bundle_config` JSON (per-component quantities, list prices,
+ * substitutes and choices); bundles that only have the legacy `custom.component_reference`
+ * list get quantity 1 per reference and no price.
+ * @param {any} merch
+ * @returns {{ variantId: string, quantity: number, price?: string | null, substitutes?: string[], choices?: string[] }[]}
+ */
+export function readComponents(merch) {
+  const fromConfig = normalizeConfigComponents(merch?.bundleConfig);
+  if (fromConfig.length) return fromConfig;
+
+  const mf = merch?.bundleRefs;
+  // Only react to the exact metafield type we expect
+  if (!mf || mf.type !== "list.variant_reference") return [];
+
+  return normalizeVariantIds(mf).map((variantId) => ({ variantId, quantity: 1 }));
+}
+
+/**
+ * Price of one bundle unit under its discount rule, or null without a rule/list prices.
+ * @param {{ quantity: number, price?: string | null }[]} components
+ * @param {any} discount
+ * @param {number} rate
+ * @returns {number | null}
+ */
+function bundleUnitAmount(components, discount, rate) {
+  if (!discount) return null;
+  const listTotal = componentListTotal(components, rate);
+  return listTotal == null ? null : discountedBundleAmount(listTotal, discount, rate);
+}
+
+/**
+ * Title and image for the expanded group: bundle_config wins, then the bundle product title.
+ * @param {any} merch
+ * @returns {{ title: string | null, image: string | null }}
+ */
+function readPresentation(merch) {
+  const config = parseConfig(merch?.bundleConfig);
+  const title = config?.title || merch?.product?.title || null;
+  const image = typeof config?.image === "string" && /^https?:\/\//.test(config.image)
+    ? config.image
+    : null;
+  return { title, image };
+}
+
+function parseConfig(mf) {
+  let config = mf?.jsonValue;
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config);
+    } catch (_) {
+      return null;
+    }
+  }
+  return config && typeof config === "object" ? config : null;
+}
+
+function normalizeConfigComponents(mf) {
+  const config = parseConfig(mf);
+  const list = Array.isArray(config?.components) ? config.components : [];
+  const byId = new Map();
+  for (const item of list) {
+    const variantId = item?.variantId || item?.id;
+    if (typeof variantId !== "string" || !variantId.startsWith("gid://")) continue;
+
+    const qty = Math.max(1, parseInt(item?.quantity ?? 1, 10) || 1);
+    const substitutes = variantGids(item?.substitutes);
+    const choices = variantGids(item?.choices);
+    const prev = byId.get(variantId);
+    byId.set(variantId, {
+      variantId,
+      quantity: (prev?.quantity ?? 0) + qty,
+      price: prev?.price ?? item?.price ?? null,
+      substitutes: prev?.substitutes?.length ? prev.substitutes : substitutes,
+      choices: prev?.choices?.length ? prev.choices : choices,
+    });
+  }
+  return [...byId.values()];
+}
+
+/** @param {unknown} list */
+function variantGids(list) {
+  return Array.isArray(list) ? list.filter((id) => typeof id === "string" && id.startsWith("gid://")) : [];
 }
 
 function normalizeVariantIds(mf) {
@@ -87,4 +243,4 @@ function normalizeVariantIds(mf) {
   }
 
   return [];
-}
\ No newline at end of file
+}
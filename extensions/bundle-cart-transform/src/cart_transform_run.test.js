@@ -5,6 +5,37 @@ import { cartTransformRun } from './cart_transform_run';
  * @typedef {import("../generated/api").CartTransformRunResult} CartTransformRunResult
  */
 
+const bundleLine = ({
+  id = 'gid://shopify/CartLine/1',
+  quantity = 1,
+  cost = undefined,
+  product = undefined,
+  bundleConfig = null,
+  bundleRefs = null,
+  bundleAvailability = null,
+  bundleId = undefined,
+  choices = undefined,
+}) => ({
+  id,
+  quantity,
+  cost,
+  ...(bundleId ? { bundleId: { value: bundleId } } : {}),
+  ...(choices ? { choices: { value: choices } } : {}),
+  merchandise: {
+    __typename: 'ProductVariant',
+    id: 'gid://shopify/ProductVariant/100',
+    product,
+    bundleConfig,
+    bundleRefs,
+    bundleAvailability,
+  },
+});
+
+const money = (amount, currencyCode = 'USD') => ({ amountPerQuantity: { amount, currencyCode } });
+
+const SOCKS = 'gid://shopify/ProductVariant/1';
+const SHOE = 'gid://shopify/ProductVariant/2';
+
 describe('cart transform function', () => {
   it('returns no operations', () => {
     const result = cartTransformRun({});
@@ -12,4 +43,436 @@ describe('cart transform function', () => {
 
     expect(result).toEqual(expected);
   });
-});
\ No newline at end of file
+
+  it('expands per-component quantities multiplied by the parent quantity', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            quantity: 3,
+            bundleConfig: {
+              jsonValue: {
+                version: 1,
+                components: [
+                  { variantId: SOCKS, quantity: 2 },
+                  { variantId: SHOE, quantity: 1 },
+                ],
+              },
+            },
+          }),
+        ],
+      },
+    });
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 6 },
+      { merchandiseId: SHOE, quantity: 3 },
+    ]);
+  });
+
+  it('falls back to the legacy reference list with quantity 1 each', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            quantity: 2,
+            bundleRefs: { type: 'list.variant_reference', value: '', jsonValue: [SOCKS, SHOE] },
+          }),
+        ],
+      },
+    });
+
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 2 },
+      { merchandiseId: SHOE, quantity: 2 },
+    ]);
+  });
+
+  it('prefers bundle_config over the reference list and sums duplicate components', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            bundleConfig: {
+              jsonValue: {
+                components: [
+                  { variantId: SOCKS, quantity: 1 },
+                  { variantId: SOCKS, quantity: 1 },
+                  { variantId: 'not-a-gid', quantity: 4 },
+                ],
+              },
+            },
+            bundleRefs: { type: 'list.variant_reference', value: '', jsonValue: [SHOE] },
+          }),
+        ],
+      },
+    });
+
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 2 },
+    ]);
+  });
+
+  it('allocates the bundle price across components and sets the group title and image', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            quantity: 2,
+            cost: money('64.00'),
+            product: { title: 'Sock & Shoe Kit (product)' },
+            bundleConfig: {
+              jsonValue: {
+                title: 'Sock & Shoe Kit',
+                image: 'https://cdn.shopify.com/kit.png',
+                components: [
+                  { variantId: SOCKS, quantity: 2, price: '10.00' },
+                  { variantId: SHOE, quantity: 1, price: '60.00' },
+                ],
+              },
+            },
+          }),
+        ],
+      },
+    });
+
+    expect(result.operations[0].lineExpand).toEqual({
+      cartLineId: 'gid://shopify/CartLine/1',
+      title: 'Sock & Shoe Kit',
+      image: { url: 'https://cdn.shopify.com/kit.png' },
+      expandedCartItems: [
+        { merchandiseId: SOCKS, quantity: 4, price: { adjustment: { fixedPricePerUnit: { amount: '8.00' } } } },
+        { merchandiseId: SHOE, quantity: 2, price: { adjustment: { fixedPricePerUnit: { amount: '48.00' } } } },
+      ],
+    });
+  });
+
+  it('splits off the units that carry a leftover no quantity divides', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            quantity: 3,
+            cost: money('3.01'),
+            bundleConfig: {
+              jsonValue: {
+                components: [
+                  { variantId: SOCKS, quantity: 2, price: '1.00' },
+                  { variantId: SHOE, quantity: 2, price: '1.00' },
+                ],
+              },
+            },
+          }),
+        ],
+      },
+    });
+
+    const price = (amount) => ({ adjustment: { fixedPricePerUnit: { amount } } });
+    // 3 bundles at 3.01: one sock per bundle carries the extra cent
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 3, price: price('0.75') },
+      { merchandiseId: SOCKS, quantity: 3, price: price('0.76') },
+      { merchandiseId: SHOE, quantity: 6, price: price('0.75') },
+    ]);
+  });
+
+  it('allocates in the cart currency and falls back to the product title', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            cost: money('1000', 'JPY'),
+            product: { title: 'Tea Set' },
+            bundleConfig: {
+              jsonValue: {
+                components: [
+                  { variantId: SOCKS, quantity: 1, price: '10.00' },
+                  { variantId: SHOE, quantity: 1, price: '20.00' },
+                ],
+              },
+            },
+          }),
+        ],
+      },
+    });
+
+    const op = result.operations[0].lineExpand;
+    expect(op.title).toBe('Tea Set');
+    expect(op.image).toBeUndefined();
+    expect(op.expandedCartItems.map((i) => i.price.adjustment.fixedPricePerUnit.amount)).toEqual(['333', '667']);
+  });
+
+  it('charges "sum minus 15%" from the saved component prices regardless of the variant price', () => {
+    const result = cartTransformRun({
+      presentmentCurrencyRate: '1.0',
+      cart: {
+        lines: [
+          bundleLine({
+            cost: money('99.00'), // stale variant price; the rule wins
+            bundleConfig: {
+              jsonValue: {
+                discount: { type: 'PERCENTAGE', value: '15' },
+                components: [
+                  { variantId: SOCKS, quantity: 2, price: '10.00' },
+                  { variantId: SHOE, quantity: 1, price: '60.00' },
+                ],
+              },
+            },
+          }),
+        ],
+      },
+    });
+
+    // 80.00 list -> 68.00 bundle, split 20:60
+    expect(result.operations[0].lineExpand.expandedCartItems.map((i) => i.price.adjustment.fixedPricePerUnit.amount))
+      .toEqual(['8.50', '51.00']);
+  });
+
+  it('converts amount-off and fixed-total rules into the cart currency', () => {
+    const line = (discount) => bundleLine({
+      cost: money('1.00', 'CAD'),
+      bundleConfig: {
+        jsonValue: {
+          discount,
+          components: [
+            { variantId: SOCKS, quantity: 1, price: '30.00' },
+            { variantId: SHOE, quantity: 1, price: '10.00' },
+          ],
+        },
+      },
+    });
+    const amounts = (discount) => cartTransformRun({ presentmentCurrencyRate: '1.5', cart: { lines: [line(discount)] } })
+      .operations[0].lineExpand.expandedCartItems.map((i) => i.price.adjustment.fixedPricePerUnit.amount);
+
+    // 40 USD list = 60 CAD; 10 USD off = 15 CAD off -> 45 CAD
+    expect(amounts({ type: 'AMOUNT', value: '10' })).toEqual(['33.75', '11.25']);
+    // Fixed 20 USD total = 30 CAD
+    expect(amounts({ type: 'FIXED_PRICE', value: '20' })).toEqual(['22.50', '7.50']);
+  });
+
+  it('leaves pricing to Shopify for legacy bundles without list prices', () => {
+    const result = cartTransformRun({
+      cart: {
+        lines: [
+          bundleLine({
+            cost: money('20.00'),
+            bundleRefs: { type: 'list.variant_reference', value: '', jsonValue: [SOCKS, SHOE] },
+          }),
+        ],
+      },
+    });
+
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 1 },
+      { merchandiseId: SHOE, quantity: 1 },
+    ]);
+  });
+
+  it('merges individually added components using the cart transform definitions', () => {
+    const component = (id, variantId, quantity) => ({
+      id,
+      quantity,
+      merchandise: { __typename: 'ProductVariant', id: variantId },
+    });
+    const result = cartTransformRun({
+      cartTransform: {
+        definitions: {
+          jsonValue: {
+            version: 1,
+            bundles: [
+              {
+                parentVariantId: 'gid://shopify/ProductVariant/100',
+                components: [
+                  { variantId: SOCKS, quantity: 2 },
+                  { variantId: SHOE, quantity: 1 },
+                ],
+              },
+            ],
+          },
+        },
+      },
+      cart: {
+        lines: [
+          component('gid://shopify/CartLine/7', SOCKS, 2),
+          component('gid://shopify/CartLine/8', SHOE, 1),
+          // An already-added bundle parent is expanded, never merged
+          bundleLine({ bundleConfig: { jsonValue: { components: [{ variantId: SOCKS, quantity: 2 }] } } }),
+        ],
+      },
+    });
+
+    expect(result.operations.map((op) => Object.keys(op)[0])).toEqual(['lineExpand', 'linesMerge']);
+    expect(result.operations[1].linesMerge.cartLines).toEqual([
+      { cartLineId: 'gid://shopify/CartLine/7', quantity: 2 },
+      { cartLineId: 'gid://shopify/CartLine/8', quantity: 1 },
+    ]);
+  });
+
+  it('ignores lines without a bundle definition', () => {
+    const result = cartTransformRun({ cart: { lines: [bundleLine({})] } });
+
+    expect(result).toEqual({ operations: [] });
+  });
+});
+
+describe('bundle instance id', () => {
+  const config = {
+    jsonValue: { components: [{ variantId: SOCKS, quantity: 2 }, { variantId: SHOE, quantity: 1 }] },
+  };
+
+  it('copies the bundle id of the parent line onto every expanded component', () => {
+    const result = cartTransformRun({
+      cart: { lines: [bundleLine({ bundleConfig: config, bundleId: 'b-123' })] },
+    });
+
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 2, attributes: [{ key: '_bundle_id', value: 'b-123' }] },
+      { merchandiseId: SHOE, quantity: 1, attributes: [{ key: '_bundle_id', value: 'b-123' }] },
+    ]);
+  });
+
+  it('adds no attributes when the line has no bundle id', () => {
+    const result = cartTransformRun({ cart: { lines: [bundleLine({ bundleConfig: config })] } });
+
+    expect(result.operations[0].lineExpand.expandedCartItems[0]).not.toHaveProperty('attributes');
+  });
+});
+
+describe('component choices', () => {
+  const LARGE = 'gid://shopify/ProductVariant/3';
+  const config = {
+    jsonValue: {
+      components: [
+        { variantId: SOCKS, quantity: 2, choices: [LARGE] },
+        { variantId: SHOE, quantity: 1 },
+      ],
+    },
+  };
+
+  it('expands into the variants the shopper picked', () => {
+    const result = cartTransformRun({ cart: { lines: [bundleLine({ bundleConfig: config, choices: '1=3' })] } });
+
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: LARGE, quantity: 2 },
+      { merchandiseId: SHOE, quantity: 1 },
+    ]);
+  });
+
+  it('leaves the line unexpanded when a pick is not allowed', () => {
+    for (const choices of ['2=3', '1=4', '9=3', 'garbage']) {
+      const result = cartTransformRun({ cart: { lines: [bundleLine({ bundleConfig: config, choices })] } });
+      expect(result).toEqual({ operations: [] });
+    }
+  });
+});
+
+describe('component availability', () => {
+  const config = {
+    jsonValue: {
+      components: [
+        { variantId: SOCKS, quantity: 2 },
+        { variantId: SHOE, quantity: 1 },
+      ],
+    },
+  };
+  const unavailable = (...ids) => ({ availability: { jsonValue: { version: 1, unavailable: ids } } });
+
+  it('expands when every component is available and stock covers the line', () => {
+    const result = cartTransformRun({
+      cartTransform: unavailable('gid://shopify/ProductVariant/999'),
+      cart: { lines: [bundleLine({ quantity: 2, bundleConfig: config, bundleAvailability: { jsonValue: 2 } })] },
+    });
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: SOCKS, quantity: 4 },
+      { merchandiseId: SHOE, quantity: 2 },
+    ]);
+  });
+
+  it('leaves the bundle line unexpanded when a component is unavailable', () => {
+    const result = cartTransformRun({
+      cartTransform: unavailable(SHOE),
+      cart: { lines: [bundleLine({ bundleConfig: config })] },
+    });
+
+    expect(result).toEqual({ operations: [] });
+  });
+
+  it('leaves the bundle line unexpanded when stock covers fewer bundles than the line quantity', () => {
+    const result = cartTransformRun({
+      cart: { lines: [bundleLine({ quantity: 3, bundleConfig: config, bundleAvailability: { jsonValue: 2 } })] },
+    });
+
+    expect(result).toEqual({ operations: [] });
+  });
+
+  it('expands as before when the app has published no availability', () => {
+    const result = cartTransformRun({
+      cartTransform: { availability: { jsonValue: 'not json' } },
+      cart: { lines: [bundleLine({ bundleConfig: config })] },
+    });
+
+    expect(result.operations).toHaveLength(1);
+  });
+
+  it('still expands other bundle lines in the same cart', () => {
+    const other = bundleLine({
+      id: 'gid://shopify/CartLine/2',
+      bundleConfig: { jsonValue: { components: [{ variantId: SOCKS, quantity: 1 }] } },
+    });
+    const result = cartTransformRun({
+      cartTransform: unavailable(SHOE),
+      cart: { lines: [bundleLine({ bundleConfig: config }), other] },
+    });
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].lineExpand.cartLineId).toBe('gid://shopify/CartLine/2');
+  });
+
+  it('expands into the first available substitute of a sold-out component', () => {
+    const NAVY = 'gid://shopify/ProductVariant/3';
+    const BLACK = 'gid://shopify/ProductVariant/4';
+    const result = cartTransformRun({
+      cartTransform: unavailable(SOCKS, NAVY),
+      cart: {
+        lines: [
+          bundleLine({
+            quantity: 2,
+            cost: money('30.00'),
+            bundleConfig: {
+              jsonValue: {
+                components: [
+                  { variantId: SOCKS, quantity: 1, price: '10.00', substitutes: [NAVY, BLACK] },
+                  { variantId: SHOE, quantity: 1, price: '20.00' },
+                ],
+              },
+            },
+          }),
+        ],
+      },
+    });
+
+    expect(result.operations[0].lineExpand.expandedCartItems).toEqual([
+      { merchandiseId: BLACK, quantity: 2, price: { adjustment: { fixedPricePerUnit: { amount: '10.00' } } } },
+      { merchandiseId: SHOE, quantity: 2, price: { adjustment: { fixedPricePerUnit: { amount: '20.00' } } } },
+    ]);
+  });
+
+  it('leaves the line unexpanded when every substitute is unavailable too', () => {
+    const NAVY = 'gid://shopify/ProductVariant/3';
+    const result = cartTransformRun({
+      cartTransform: unavailable(SOCKS, NAVY),
+      cart: {
+        lines: [
+          bundleLine({
+            bundleConfig: { jsonValue: { components: [{ variantId: SOCKS, quantity: 1, substitutes: [NAVY] }] } },
+          }),
+        ],
+      },
+    });
+
+    expect(result).toEqual({ operations: [] });
+  });
+});
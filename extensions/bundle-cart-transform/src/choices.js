@@ -0,0 +1,59 @@
+// @ts-check
+
+// A component can let shoppers pick another variant instead of the configured one
+// (bundle_config `choices`, e.g. another size). The storefront add button sends the picks
+// on the bundle line as `_bundle_choices`: comma-separated "<component>=<chosen>" pairs of
+// variant ids (numeric or GIDs). The picks are only honoured when every one of them is
+// allowed for that bundle; otherwise the line is left unexpanded instead of expanding an
+// arbitrary selection.
+
+export const CHOICES_ATTRIBUTE = "_bundle_choices";
+
+/**
+ * @param {string | null | undefined} value `_bundle_choices` line property
+ * @returns {Map<string, string> | null} component variant GID -> chosen variant GID
+ *   (empty when nothing was picked), or null when the value is malformed
+ */
+export function readChoiceSelection(value) {
+  const selection = new Map();
+  const text = String(value ?? "").trim();
+  if (!text) return selection;
+
+  for (const pair of text.split(",")) {
+    const [component, chosen, ...rest] = pair.split("=").map(toVariantGid);
+    if (!component || !chosen || rest.length) return null;
+    selection.set(component, chosen);
+  }
+  return selection;
+}
+
+/**
+ * Replace components by the shopper's picks. A picked variant takes over the component's
+ * quantity and price; its substitutes no longer apply.
+ * @template {{ variantId: string, choices?: string[], substitutes?: string[] }} T
+ * @param {T[]} components
+ * @param {Map<string, string> | null} selection
+ * @returns {T[] | null} null when a pick is not allowed (or the selection is malformed)
+ */
+export function applyChoices(components, selection) {
+  if (!selection) return null;
+  if (selection.size === 0) return components;
+
+  const byId = new Map(components.map((c) => [c.variantId, c]));
+  for (const [component, chosen] of selection) {
+    const c = byId.get(component);
+    if (!c || (chosen !== component && !(c.choices ?? []).includes(chosen))) return null;
+  }
+
+  return components.map((c) => {
+    const chosen = selection.get(c.variantId);
+    return chosen && chosen !== c.variantId ? { ...c, variantId: chosen, substitutes: [] } : c;
+  });
+}
+
+/** "123" or a GID -> ProductVariant GID */
+function toVariantGid(value) {
+  const v = String(value ?? "").trim();
+  if (/^gid:\/\/shopify\/ProductVariant\/\d+$/.test(v)) return v;
+  return /^\d+$/.test(v) ? `gid://shopify/ProductVariant/${v}` : null;
+}
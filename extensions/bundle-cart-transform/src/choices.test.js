@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { applyChoices, readChoiceSelection } from './choices';
+
+const SOCKS = 'gid://shopify/ProductVariant/1';
+const SHOE = 'gid://shopify/ProductVariant/2';
+const LARGE = 'gid://shopify/ProductVariant/3';
+const NAVY = 'gid://shopify/ProductVariant/4';
+
+describe('readChoiceSelection', () => {
+  it('reads numeric ids and GIDs', () => {
+    expect(readChoiceSelection(`1=3, ${SHOE}=${NAVY}`)).toEqual(new Map([[SOCKS, LARGE], [SHOE, NAVY]]));
+  });
+
+  it('is empty without a value and null when malformed', () => {
+    expect(readChoiceSelection(undefined)).toEqual(new Map());
+    expect(readChoiceSelection(' ')).toEqual(new Map());
+    expect(readChoiceSelection('1=3,2')).toBeNull();
+    expect(readChoiceSelection('1=3=4')).toBeNull();
+    expect(readChoiceSelection('gid://shopify/Product/1=3')).toBeNull();
+  });
+});
+
+describe('applyChoices', () => {
+  const components = [
+    { variantId: SOCKS, quantity: 2, substitutes: [NAVY], choices: [LARGE] },
+    { variantId: SHOE, quantity: 1 },
+  ];
+
+  it('keeps the components when nothing was picked', () => {
+    expect(applyChoices(components, new Map())).toBe(components);
+  });
+
+  it('swaps in allowed picks and drops their substitutes', () => {
+    expect(applyChoices(components, new Map([[SOCKS, LARGE], [SHOE, SHOE]]))).toEqual([
+      { variantId: LARGE, quantity: 2, substitutes: [], choices: [LARGE] },
+      { variantId: SHOE, quantity: 1 },
+    ]);
+  });
+
+  it('rejects picks that are not allowed', () => {
+    expect(applyChoices(components, new Map([[SHOE, LARGE]]))).toBeNull();
+    expect(applyChoices(components, new Map([[LARGE, SOCKS]]))).toBeNull();
+    expect(applyChoices(components, null)).toBeNull();
+  });
+});
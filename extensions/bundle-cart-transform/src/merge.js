@@ -0,0 +1,265 @@
+// @ts-check
+
+import { componentListTotal, discountedBundleAmount } from "./pricing";
+import { matchSlots, memberCollections, readSlots } from "./slots";
+
+// Line properties the storefront bundle builder sets on every picked item
+export const INSTANCE_ATTRIBUTE = "_bundle_instance";
+export const PARENT_ATTRIBUTE = "_bundle_parent";
+
+/**
+ * @typedef {{ variantId: string, quantity: number, choices?: string[] }} DefinitionComponent
+ * @typedef {{
+ *   parentVariantId: string,
+ *   title?: string,
+ *   image?: string,
+ *   discount?: { type: string, value: string } | null,
+ *   components: DefinitionComponent[],
+ *   slots: import("./slots").Slot[],
+ * }} MergeDefinition
+ */
+
+/**
+ * Read the merge definitions the admin app writes to the cart transform's
+ * `$app:bundles.definitions` metafield: `{ version, bundles: MergeDefinition[] }`.
+ * @param {any} mf
+ * @returns {MergeDefinition[]}
+ */
+export function readMergeDefinitions(mf) {
+  let raw = mf?.jsonValue;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  const list = Array.isArray(raw?.bundles) ? raw.bundles : [];
+  return list
+    .map((def) => {
+      /** @type {Map<string, DefinitionComponent>} */
+      const byId = new Map();
+      for (const c of Array.isArray(def?.components) ? def.components : []) {
+        const id = c?.variantId;
+        if (typeof id !== "string" || !id.startsWith("gid://")) continue;
+        const qty = Math.max(1, parseInt(c?.quantity ?? 1, 10) || 1);
+        const choices = readChoiceIds(c?.choices).filter((choice) => choice !== id);
+        const prev = byId.get(id);
+        const allowed = prev?.choices ?? choices;
+        byId.set(id, {
+          variantId: id,
+          quantity: (prev?.quantity ?? 0) + qty,
+          ...(allowed.length ? { choices: allowed } : {}),
+        });
+      }
+      return {
+        parentVariantId: def?.parentVariantId,
+        title: def?.title,
+        image: def?.image,
+        discount: def?.discount ?? null,
+        components: [...byId.values()],
+        slots: readSlots(def?.slots),
+      };
+    })
+    .filter(
+      (def) =>
+        typeof def.parentVariantId === "string" &&
+        (def.components.length > 0 || def.slots.length > 0),
+    );
+}
+
+/**
+ * Find cart lines that together satisfy bundle definitions and build `linesMerge`
+ * operations for them.
+ *
+ * Overlap rule: definitions are tried one after another, those needing the most
+ * component units first (the most specific bundle wins); ties keep the order they
+ * were written in. Each definition is applied as many times as the remaining lines
+ * allow, so a line with quantity 4 can cover 2 bundles needing 2 each. Once a cart
+ * line has been merged it is not offered to another definition; any quantity left
+ * over on it stays in the cart as a normal line. A component with `choices` is filled
+ * by lines of its own variant first, then of its choices in order.
+ *
+ * @param {any[]} lines cart lines that are not bundle parents
+ * @param {MergeDefinition[]} definitions
+ * @param {number} rate presentment currency rate (shop -> cart currency)
+ * @returns {any[]} `{ linesMerge }` operations
+ */
+export function planMerges(lines, definitions, rate = 1) {
+  /** @type {Map<string, { id: string, quantity: number, amount: number | null }[]>} */
+  const pool = new Map();
+  for (const line of lines) {
+    const merch = line?.merchandise;
+    if (!merch || merch.__typename !== "ProductVariant" || !merch.id) continue;
+    const amount = parseFloat(String(line.cost?.amountPerQuantity?.amount ?? ""));
+    const entry = { id: line.id, quantity: line.quantity ?? 0, amount: Number.isFinite(amount) ? amount : null };
+    pool.set(merch.id, [...(pool.get(merch.id) ?? []), entry]);
+  }
+
+  const units = (def) => def.components.reduce((sum, c) => sum + c.quantity, 0);
+  const ordered = definitions
+    .filter((def) => def.components.length > 0)
+    .map((def, index) => ({ def, index }))
+    .sort((a, b) => units(b.def) - units(a.def) || a.index - b.index)
+    .map(({ def }) => def);
+
+  const operations = [];
+  for (const def of ordered) {
+    const available = (c) =>
+      variantsOf(c).reduce(
+        (sum, id) => sum + (pool.get(id) ?? []).reduce((n, l) => n + l.quantity, 0),
+        0,
+      );
+
+    // Two components sharing a choice compete for the same lines, so the estimate can be
+    // too high; back off until the lines really cover that many bundles
+    let count = Math.min(...def.components.map((c) => Math.floor(available(c) / c.quantity)));
+    if (!Number.isFinite(count)) continue;
+    let taken = null;
+    for (; count >= 1 && !taken; count -= 1) taken = takeLines(pool, def.components, count);
+    if (!taken) continue;
+
+    for (const [id, lines] of taken.pool) pool.set(id, lines);
+    operations.push(mergeOperation(def, taken.cartLines, taken.priced, rate));
+  }
+
+  return operations;
+}
+
+/** A component's own variant, then its choices. */
+function variantsOf(component) {
+  return [component.variantId, ...(component.choices ?? [])];
+}
+
+/**
+ * Take the lines for `count` bundles from `pool` (left untouched); returns what was
+ * taken plus the remaining lines per touched variant, or null when the lines fall short.
+ * @param {Map<string, { id: string, quantity: number, amount: number | null }[]>} pool
+ * @param {DefinitionComponent[]} components
+ * @param {number} count
+ */
+function takeLines(pool, components, count) {
+  const left = new Map();
+  const cartLines = [];
+  const priced = [];
+  for (const c of components) {
+    let need = c.quantity * count;
+    for (const id of variantsOf(c)) {
+      const remaining = [];
+      for (const line of left.get(id) ?? pool.get(id) ?? []) {
+        if (need === 0) {
+          remaining.push(line);
+          continue;
+        }
+        const take = Math.min(line.quantity, need);
+        need -= take;
+        cartLines.push({ cartLineId: line.id, quantity: take });
+        priced.push({ quantity: take, price: line.amount });
+      }
+      left.set(id, remaining);
+    }
+    if (need > 0) return null;
+  }
+  return { cartLines, priced, pool: left };
+}
+
+/** @param {unknown} list */
+function readChoiceIds(list) {
+  return Array.isArray(list)
+    ? [...new Set(list.filter((id) => typeof id === "string" && id.startsWith("gid://")))]
+    : [];
+}
+
+/**
+ * Merge the lines a shopper picked in the storefront bundle builder. Lines are grouped
+ * by their `_bundle_instance` property and checked against the slots of the bundle named
+ * in `_bundle_parent`; a group that doesn't fill the slots exactly (wrong collection,
+ * too many or too few items) is left alone and charged as individual items.
+ *
+ * @param {any[]} lines cart lines carrying the builder properties
+ * @param {MergeDefinition[]} definitions
+ * @param {number} rate
+ * @returns {any[]} `{ linesMerge }` operations
+ */
+export function planSlotMerges(lines, definitions, rate = 1) {
+  const byParent = new Map(
+    definitions.filter((def) => def.slots.length > 0).map((def) => [def.parentVariantId, def]),
+  );
+
+  /** @type {Map<string, any[]>} */
+  const groups = new Map();
+  for (const line of lines) {
+    const instance = line?.instance?.value;
+    const parent = toVariantGid(line?.bundleParent?.value);
+    if (!instance || !parent) continue;
+    const key = `${parent}|${instance}`;
+    groups.set(key, [...(groups.get(key) ?? []), line]);
+  }
+
+  const operations = [];
+  for (const [key, group] of groups) {
+    const [parentVariantId, instance] = key.split("|");
+    const def = byParent.get(parentVariantId);
+    if (!def) continue;
+
+    const picks = group.map((line) => ({
+      key: line.id,
+      quantity: line.quantity ?? 0,
+      collectionIds: memberCollections(line.merchandise),
+    }));
+    if (!matchSlots(def.slots, picks)) continue;
+
+    const cartLines = group.map((line) => ({ cartLineId: line.id, quantity: line.quantity }));
+    const priced = group.map((line) => {
+      const amount = parseFloat(String(line.cost?.amountPerQuantity?.amount ?? ""));
+      return { quantity: line.quantity, price: Number.isFinite(amount) ? amount : null };
+    });
+
+    const op = mergeOperation(def, cartLines, priced, rate);
+    op.linesMerge.attributes = [{ key: INSTANCE_ATTRIBUTE, value: instance }];
+    operations.push(op);
+  }
+
+  return operations;
+}
+
+/** "123" or a GID -> ProductVariant GID */
+function toVariantGid(value) {
+  const v = String(value ?? "").trim();
+  if (v.startsWith("gid://shopify/ProductVariant/")) return v;
+  return /^\d+$/.test(v) ? `gid://shopify/ProductVariant/${v}` : null;
+}
+
+function mergeOperation(def, cartLines, priced, rate) {
+  return {
+    linesMerge: {
+      parentVariantId: def.parentVariantId,
+      cartLines,
+      ...(def.title ? { title: def.title } : {}),
+      ...(typeof def.image === "string" && /^https?:\/\//.test(def.image) ? { image: { url: def.image } } : {}),
+      ...mergePrice(priced, def.discount, rate),
+    },
+  };
+}
+
+/**
+ * Merged lines are priced from the live cart prices of the merged lines. Merges only
+ * accept a percentage decrease, so every discount rule is converted into one.
+ * @param {{ quantity: number, price: number | null }[]} priced
+ * @param {any} discount
+ * @param {number} rate
+ */
+function mergePrice(priced, discount, rate) {
+  if (!discount) return {};
+
+  // Cart line prices are already in the cart currency
+  const listTotal = componentListTotal(priced, 1);
+  if (!listTotal) return {};
+
+  const target = discountedBundleAmount(listTotal, discount, rate);
+  if (target == null || target >= listTotal) return {};
+
+  const percent = Math.min(100, ((listTotal - target) / listTotal) * 100);
+  return { price: { percentageDecrease: { value: Number(percent.toFixed(4)) } } };
+}
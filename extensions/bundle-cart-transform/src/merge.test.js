@@ -0,0 +1,231 @@
+import { describe, it, expect } from 'vitest';
+import { planMerges, planSlotMerges, readMergeDefinitions } from './merge';
+
+const SOCKS = 'gid://shopify/ProductVariant/1';
+const SHOE = 'gid://shopify/ProductVariant/2';
+const HAT = 'gid://shopify/ProductVariant/3';
+const KIT = 'gid://shopify/ProductVariant/100';
+const DUO = 'gid://shopify/ProductVariant/200';
+
+const line = (id, variantId, quantity, amount = '10.00') => ({
+  id: `gid://shopify/CartLine/${id}`,
+  quantity,
+  cost: { amountPerQuantity: { amount, currencyCode: 'USD' } },
+  merchandise: { __typename: 'ProductVariant', id: variantId },
+});
+
+const kit = {
+  parentVariantId: KIT,
+  title: 'Sock & Shoe Kit',
+  components: [
+    { variantId: SOCKS, quantity: 2 },
+    { variantId: SHOE, quantity: 1 },
+  ],
+};
+
+describe('readMergeDefinitions', () => {
+  it('parses the metafield and drops incomplete definitions', () => {
+    const defs = readMergeDefinitions({
+      jsonValue: {
+        version: 1,
+        bundles: [
+          kit,
+          { parentVariantId: DUO, components: [] },
+          { components: [{ variantId: SOCKS, quantity: 1 }] },
+        ],
+      },
+    });
+
+    expect(defs).toHaveLength(1);
+    expect(defs[0].parentVariantId).toBe(KIT);
+  });
+
+  it('tolerates a missing or malformed metafield', () => {
+    expect(readMergeDefinitions(null)).toEqual([]);
+    expect(readMergeDefinitions({ jsonValue: '{nope' })).toEqual([]);
+  });
+});
+
+describe('planMerges', () => {
+  it('merges lines that satisfy a definition', () => {
+    const ops = planMerges([line(1, SOCKS, 2), line(2, SHOE, 1)], [kit]);
+
+    expect(ops).toEqual([
+      {
+        linesMerge: {
+          parentVariantId: KIT,
+          title: 'Sock & Shoe Kit',
+          cartLines: [
+            { cartLineId: 'gid://shopify/CartLine/1', quantity: 2 },
+            { cartLineId: 'gid://shopify/CartLine/2', quantity: 1 },
+          ],
+        },
+      },
+    ]);
+  });
+
+  it('covers several bundles from one line and leaves the rest unmerged', () => {
+    const ops = planMerges([line(1, SOCKS, 5), line(2, SHOE, 3)], [kit]);
+
+    expect(ops[0].linesMerge.cartLines).toEqual([
+      { cartLineId: 'gid://shopify/CartLine/1', quantity: 4 },
+      { cartLineId: 'gid://shopify/CartLine/2', quantity: 2 },
+    ]);
+  });
+
+  it('gathers one component from several lines', () => {
+    const ops = planMerges([line(1, SOCKS, 1), line(2, SOCKS, 1), line(3, SHOE, 1)], [kit]);
+
+    expect(ops[0].linesMerge.cartLines).toEqual([
+      { cartLineId: 'gid://shopify/CartLine/1', quantity: 1 },
+      { cartLineId: 'gid://shopify/CartLine/2', quantity: 1 },
+      { cartLineId: 'gid://shopify/CartLine/3', quantity: 1 },
+    ]);
+  });
+
+  it('does nothing when a component is missing', () => {
+    expect(planMerges([line(1, SOCKS, 4)], [kit])).toEqual([]);
+  });
+
+  it('prefers the definition needing the most units, then the earlier one', () => {
+    const duo = { parentVariantId: DUO, components: [{ variantId: SOCKS, quantity: 1 }, { variantId: HAT, quantity: 1 }] };
+    const trio = {
+      parentVariantId: 'gid://shopify/ProductVariant/300',
+      components: [{ variantId: SOCKS, quantity: 1 }, { variantId: SHOE, quantity: 1 }, { variantId: HAT, quantity: 1 }],
+    };
+    const lines = [line(1, SOCKS, 1), line(2, SHOE, 1), line(3, HAT, 1)];
+
+    const ops = planMerges(lines, [duo, trio]);
+    expect(ops).toHaveLength(1);
+    expect(ops[0].linesMerge.parentVariantId).toBe(trio.parentVariantId);
+
+    const sameSize = { ...duo, parentVariantId: 'gid://shopify/ProductVariant/201' };
+    expect(planMerges([line(1, SOCKS, 1), line(3, HAT, 1)], [duo, sameSize])[0].linesMerge.parentVariantId).toBe(DUO);
+  });
+
+  it('does not reuse a merged line for a second definition', () => {
+    const socksOnly = { parentVariantId: DUO, components: [{ variantId: SOCKS, quantity: 1 }] };
+    const ops = planMerges([line(1, SOCKS, 3), line(2, SHOE, 1)], [kit, socksOnly]);
+
+    expect(ops).toHaveLength(1);
+    expect(ops[0].linesMerge.parentVariantId).toBe(KIT);
+  });
+
+  it('fills a component from its choices when its own variant is not in the cart', () => {
+    const LARGE = 'gid://shopify/ProductVariant/4';
+    const withChoices = {
+      ...kit,
+      components: [{ variantId: SOCKS, quantity: 2, choices: [LARGE] }, { variantId: SHOE, quantity: 1 }],
+    };
+
+    const ops = planMerges([line(1, SOCKS, 1), line(2, LARGE, 1), line(3, SHOE, 1)], [withChoices]);
+    expect(ops[0].linesMerge.cartLines).toEqual([
+      { cartLineId: 'gid://shopify/CartLine/1', quantity: 1 },
+      { cartLineId: 'gid://shopify/CartLine/2', quantity: 1 },
+      { cartLineId: 'gid://shopify/CartLine/3', quantity: 1 },
+    ]);
+
+    // HAT is not a choice of any component
+    expect(planMerges([line(1, HAT, 2), line(3, SHOE, 1)], [withChoices])).toEqual([]);
+  });
+
+  it('does not count a line shared by two components twice', () => {
+    const shared = {
+      parentVariantId: DUO,
+      components: [{ variantId: SOCKS, quantity: 1, choices: [HAT] }, { variantId: SHOE, quantity: 1, choices: [HAT] }],
+    };
+
+    expect(planMerges([line(1, HAT, 1)], [shared])).toEqual([]);
+    expect(planMerges([line(1, HAT, 1), line(2, HAT, 1)], [shared])[0].linesMerge.cartLines).toEqual([
+      { cartLineId: 'gid://shopify/CartLine/1', quantity: 1 },
+      { cartLineId: 'gid://shopify/CartLine/2', quantity: 1 },
+    ]);
+  });
+
+  it('turns discount rules into a percentage decrease on live line prices', () => {
+    const lines = [line(1, SOCKS, 2, '10.00'), line(2, SHOE, 1, '60.00')];
+
+    const pct = planMerges(lines, [{ ...kit, discount: { type: 'PERCENTAGE', value: '15' } }]);
+    expect(pct[0].linesMerge.price).toEqual({ percentageDecrease: { value: 15 } });
+
+    const fixed = planMerges(lines, [{ ...kit, discount: { type: 'FIXED_PRICE', value: '60' } }]);
+    expect(fixed[0].linesMerge.price).toEqual({ percentageDecrease: { value: 25 } });
+
+    // 10 shop-currency off at rate 2 = 20 off 80
+    const amount = planMerges(lines, [{ ...kit, discount: { type: 'AMOUNT', value: '10' } }], 2);
+    expect(amount[0].linesMerge.price).toEqual({ percentageDecrease: { value: 25 } });
+  });
+
+  it('omits the price when the rule would not lower it', () => {
+    const ops = planMerges([line(1, SOCKS, 2), line(2, SHOE, 1)], [{ ...kit, discount: { type: 'FIXED_PRICE', value: '500' } }]);
+
+    expect(ops[0].linesMerge.price).toBeUndefined();
+  });
+});
+
+describe('planSlotMerges', () => {
+  const X = 'gid://shopify/Collection/1';
+  const Y = 'gid://shopify/Collection/2';
+  const BOX = 'gid://shopify/ProductVariant/900';
+  const box = {
+    parentVariantId: BOX,
+    title: 'Build your own box',
+    discount: { type: 'PERCENTAGE', value: '10' },
+    components: [],
+    slots: [
+      { id: 'socks', quantity: 3, collectionId: X },
+      { id: 'hat', quantity: 1, collectionId: Y },
+    ],
+  };
+
+  const picked = (id, quantity, collection, instance = 'abc', parent = '900') => ({
+    ...line(id, `gid://shopify/ProductVariant/${id}`, quantity),
+    instance: { value: instance },
+    bundleParent: { value: parent },
+    merchandise: {
+      __typename: 'ProductVariant',
+      id: `gid://shopify/ProductVariant/${id}`,
+      product: { inCollections: [{ collectionId: collection, isMember: true }] },
+    },
+  });
+
+  it('merges a builder group that fills the slots', () => {
+    const ops = planSlotMerges([picked(1, 2, X), picked(2, 1, X), picked(3, 1, Y)], [box]);
+
+    expect(ops).toEqual([
+      {
+        linesMerge: {
+          parentVariantId: BOX,
+          title: 'Build your own box',
+          attributes: [{ key: '_bundle_instance', value: 'abc' }],
+          cartLines: [
+            { cartLineId: 'gid://shopify/CartLine/1', quantity: 2 },
+            { cartLineId: 'gid://shopify/CartLine/2', quantity: 1 },
+            { cartLineId: 'gid://shopify/CartLine/3', quantity: 1 },
+          ],
+          price: { percentageDecrease: { value: 10 } },
+        },
+      },
+    ]);
+  });
+
+  it('keeps separate instances apart and skips invalid ones', () => {
+    const ops = planSlotMerges(
+      [
+        picked(1, 3, X, 'first'),
+        picked(3, 1, Y, 'first'),
+        // second box picked a sock for the hat slot
+        picked(4, 3, X, 'second'),
+        picked(5, 1, X, 'second'),
+      ],
+      [box],
+    );
+
+    expect(ops).toHaveLength(1);
+    expect(ops[0].linesMerge.attributes).toEqual([{ key: '_bundle_instance', value: 'first' }]);
+  });
+
+  it('ignores groups naming an unknown bundle', () => {
+    expect(planSlotMerges([picked(1, 3, X, 'a', '1234'), picked(3, 1, Y, 'a', '1234')], [box])).toEqual([]);
+  });
+});
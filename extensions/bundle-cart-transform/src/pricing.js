@@ -0,0 +1,158 @@
+// @ts-check
+
+// ISO 4217 currencies whose minor unit is not 1/100.
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  "BIF", "CLP", "DJF", "GNF", "ISK", "JPY", "KMF", "KRW", "PYG",
+  "RWF", "UGX", "UYI", "VND", "VUV", "XAF", "XOF", "XPF",
+]);
+const THREE_DECIMAL_CURRENCIES = new Set(["BHD", "IQD", "JOD", "KWD", "LYD", "OMR", "TND"]);
+
+/**
+ * Number of decimal places used by a currency's minor unit.
+ * @param {string | null | undefined} currencyCode
+ * @returns {number}
+ */
+export function currencyDecimals(currencyCode) {
+  const code = String(currencyCode || "").toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.has(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.has(code)) return 3;
+  return 2;
+}
+
+/**
+ * @param {string | number | null | undefined} amount
+ * @param {number} decimals
+ * @returns {number} integer amount in minor units
+ */
+export function toMinorUnits(amount, decimals) {
+  const n = typeof amount === "number" ? amount : parseFloat(String(amount ?? ""));
+  if (!Number.isFinite(n)) return 0;
+  return Math.round(n * 10 ** decimals);
+}
+
+/**
+ * @param {number} minor
+ * @param {number} decimals
+ * @returns {string} Decimal string accepted by the function output
+ */
+export function fromMinorUnits(minor, decimals) {
+  return (minor / 10 ** decimals).toFixed(decimals);
+}
+
+/**
+ * Split one bundle unit's price across its components, proportionally to each
+ * component's list price × quantity.
+ *
+ * Rounding rule (deterministic): every component first gets the floor of its exact
+ * per-unit share in minor units. Leftover minor units are then handed out one at a
+ * time to the component with the largest fractional remainder (ties: earlier component
+ * first), as long as that component's quantity still fits in what is left. If every
+ * component has a quantity larger than the leftover (at most `min(quantity) - 1` minor
+ * units), the leftover can't be spread over a component's units; one unit of the
+ * component with the largest remainder carries all of it instead, as a part of its own.
+ *
+ * Returns `null` when the split is impossible (negative bundle price or missing component prices),
+ * so the caller can leave pricing to Shopify.
+ *
+ * @param {string | number} bundleAmount price of one bundle unit, in the cart currency
+ * @param {string} currencyCode cart (presentment) currency
+ * @param {{ quantity: number, price?: string | number | null }[]} components list price in any single currency
+ * @returns {{ quantity: number, price: string }[][] | null} for each component (same order as
+ *   `components`), its units per bundle priced per unit: one part, or two when it carries the leftover
+ */
+export function allocateBundlePrice(bundleAmount, currencyCode, components) {
+  if (!components.length) return null;
+
+  const decimals = currencyDecimals(currencyCode);
+  const total = toMinorUnits(bundleAmount, decimals);
+  if (total < 0) return null;
+
+  const weights = components.map((c) => {
+    const price = typeof c.price === "number" ? c.price : parseFloat(String(c.price ?? ""));
+    return Number.isFinite(price) && price > 0 ? price * c.quantity : 0;
+  });
+  const weightSum = weights.reduce((a, b) => a + b, 0);
+  if (weightSum <= 0 || weights.some((w) => w === 0)) return null;
+
+  const units = [];
+  const remainders = [];
+  components.forEach((c, i) => {
+    const exactPerUnit = total ? (total * weights[i]) / weightSum / c.quantity : 0;
+    // Guard against float noise like 2.9999999999 turning into 2
+    const floored = Math.floor(exactPerUnit + 1e-9);
+    units.push(floored);
+    remainders.push(exactPerUnit - floored);
+  });
+
+  let leftover = total - units.reduce((sum, u, i) => sum + u * components[i].quantity, 0);
+  const order = components
+    .map((_, i) => i)
+    .sort((a, b) => remainders[b] - remainders[a] || a - b);
+
+  let progressed = true;
+  while (leftover > 0 && progressed) {
+    progressed = false;
+    for (const i of order) {
+      const qty = components[i].quantity;
+      if (qty <= leftover) {
+        units[i] += 1;
+        leftover -= qty;
+        progressed = true;
+        if (leftover === 0) break;
+      }
+    }
+  }
+
+  const parts = components.map((c, i) => [{ quantity: c.quantity, price: units[i] }]);
+  if (leftover > 0) {
+    // Every quantity is above 1 here, so the carrying unit is split off the rest
+    const i = order[0];
+    parts[i] = [
+      { quantity: components[i].quantity - 1, price: units[i] },
+      { quantity: 1, price: units[i] + leftover },
+    ];
+  }
+  return parts.map((p) => p.map(({ quantity, price }) => ({ quantity, price: fromMinorUnits(price, decimals) })));
+}
+
+/**
+ * Bundle price (per bundle unit, cart currency) under a bundle_config discount rule.
+ *
+ * `listTotal` is the sum of component list prices × quantities already in the cart
+ * currency. Amount-based discounts are stored in the shop currency and converted with
+ * `rate` (the function's `presentmentCurrencyRate`). Returns `null` without a usable rule.
+ *
+ * @param {number} listTotal
+ * @param {{ type?: string, value?: string | number } | null | undefined} discount
+ * @param {number} [rate]
+ * @returns {number | null}
+ */
+export function discountedBundleAmount(listTotal, discount, rate = 1) {
+  const value = parseFloat(String(discount?.value ?? ""));
+  if (!Number.isFinite(value) || value < 0 || !(listTotal >= 0)) return null;
+
+  switch (String(discount?.type || "").toUpperCase()) {
+    case "PERCENTAGE":  return Math.max(0, listTotal * (1 - Math.min(value, 100) / 100));
+    case "AMOUNT":      return Math.max(0, listTotal - value * rate);
+    case "FIXED_PRICE": return value * rate;
+    default:            return null;
+  }
+}
+
+/**
+ * Sum of component list prices × quantities, converted to the cart currency.
+ * `null` when any component has no stored list price.
+ *
+ * @param {{ quantity: number, price?: string | number | null }[]} components
+ * @param {number} [rate]
+ * @returns {number | null}
+ */
+export function componentListTotal(components, rate = 1) {
+  let total = 0;
+  for (const c of components) {
+    const price = typeof c.price === "number" ? c.price : parseFloat(String(c.price ?? ""));
+    if (!Number.isFinite(price)) return null;
+    total += price * c.quantity;
+  }
+  return components.length ? total * rate : null;
+}
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  allocateBundlePrice,
+  componentListTotal,
+  currencyDecimals,
+  discountedBundleAmount,
+  toMinorUnits,
+} from './pricing';
+
+// Per-unit price of each component, when none had to be split
+const unitPrices = (parts) => parts.map(([part, ...rest]) => (rest.length ? null : part.price));
+const sumMinor = (parts, decimals) =>
+  parts.flat().reduce((sum, part) => sum + toMinorUnits(part.price, decimals) * part.quantity, 0);
+
+describe('allocateBundlePrice', () => {
+  it('splits proportionally to list price × quantity', () => {
+    const components = [
+      { quantity: 2, price: '10.00' }, // socks, weight 20
+      { quantity: 1, price: '60.00' }, // shoe, weight 60
+    ];
+    const parts = allocateBundlePrice('64.00', 'USD', components);
+
+    expect(unitPrices(parts)).toEqual(['8.00', '48.00']);
+  });
+
+  it('hands leftover cents to the largest remainder, earliest first on ties', () => {
+    const components = [
+      { quantity: 1, price: '10.00' },
+      { quantity: 1, price: '10.00' },
+      { quantity: 1, price: '10.00' },
+    ];
+    const parts = allocateBundlePrice('10.00', 'USD', components);
+
+    expect(unitPrices(parts)).toEqual(['3.34', '3.33', '3.33']);
+    expect(sumMinor(parts, 2)).toBe(1000);
+  });
+
+  it('keeps the total exact on uneven splits with quantities', () => {
+    const components = [
+      { quantity: 3, price: '4.99' },
+      { quantity: 1, price: '17.25' },
+      { quantity: 2, price: '0.89' },
+    ];
+    const parts = allocateBundlePrice('29.99', 'USD', components);
+
+    expect(sumMinor(parts, 2)).toBe(2999);
+    // Deterministic: same input, same output
+    expect(allocateBundlePrice('29.99', 'USD', components)).toEqual(parts);
+  });
+
+  it('puts a leftover no quantity fits on one unit, split off its component', () => {
+    const components = [
+      { quantity: 2, price: '1.00' },
+      { quantity: 2, price: '1.00' },
+    ];
+    const parts = allocateBundlePrice('3.01', 'USD', components);
+
+    expect(parts).toEqual([
+      [{ quantity: 1, price: '0.75' }, { quantity: 1, price: '0.76' }],
+      [{ quantity: 2, price: '0.75' }],
+    ]);
+    expect(sumMinor(parts, 2)).toBe(301);
+  });
+
+  it('charges the full bundle price whatever the quantities', () => {
+    const components = [
+      { quantity: 7, price: '3.10' },
+      { quantity: 4, price: '2.45' },
+      { quantity: 9, price: '0.99' },
+    ];
+    for (const amount of ['10.00', '19.99', '33.33', '0.05']) {
+      const parts = allocateBundlePrice(amount, 'USD', components);
+      expect(sumMinor(parts, 2)).toBe(toMinorUnits(amount, 2));
+      parts.forEach((p, i) => expect(p.reduce((n, part) => n + part.quantity, 0)).toBe(components[i].quantity));
+    }
+  });
+
+  it('uses whole units for zero-decimal currencies', () => {
+    const components = [
+      { quantity: 1, price: '10.00' },
+      { quantity: 1, price: '20.00' },
+    ];
+    expect(unitPrices(allocateBundlePrice('1000', 'JPY', components))).toEqual(['333', '667']);
+  });
+
+  it('uses three decimals for KWD-style currencies', () => {
+    const components = [
+      { quantity: 1, price: '1' },
+      { quantity: 1, price: '1' },
+    ];
+
+    expect(unitPrices(allocateBundlePrice('5.001', 'KWD', components))).toEqual(['2.501', '2.500']);
+  });
+
+  it('splits in the presentment currency regardless of the list price currency', () => {
+    // List prices snapshot in USD, cart in EUR: proportions are what matter
+    const components = [
+      { quantity: 1, price: '30.00' },
+      { quantity: 1, price: '10.00' },
+    ];
+
+    expect(unitPrices(allocateBundlePrice('37.00', 'EUR', components))).toEqual(['27.75', '9.25']);
+  });
+
+  it('returns null when a component has no list price', () => {
+    expect(allocateBundlePrice('10.00', 'USD', [{ quantity: 1, price: null }])).toBeNull();
+    expect(allocateBundlePrice('-1', 'USD', [{ quantity: 1, price: '5' }])).toBeNull();
+    expect(allocateBundlePrice('10.00', 'USD', [])).toBeNull();
+  });
+
+  it('prices every component at zero for a free bundle', () => {
+    expect(allocateBundlePrice('0', 'USD', [{ quantity: 2, price: '5' }])).toEqual([[{ quantity: 2, price: '0.00' }]]);
+  });
+});
+
+describe('currencyDecimals', () => {
+  it('knows zero, two and three decimal currencies', () => {
+    expect(currencyDecimals('JPY')).toBe(0);
+    expect(currencyDecimals('usd')).toBe(2);
+    expect(currencyDecimals('BHD')).toBe(3);
+    expect(currencyDecimals(undefined)).toBe(2);
+  });
+});
+
+describe('discountedBundleAmount', () => {
+  it('applies percentage, amount-off and fixed-total rules', () => {
+    expect(discountedBundleAmount(100, { type: 'PERCENTAGE', value: '15' })).toBeCloseTo(85);
+    expect(discountedBundleAmount(100, { type: 'AMOUNT', value: '12.50' })).toBeCloseTo(87.5);
+    expect(discountedBundleAmount(100, { type: 'FIXED_PRICE', value: '70' })).toBeCloseTo(70);
+  });
+
+  it('converts shop-currency amounts with the presentment rate', () => {
+    // listTotal is already in cart currency (e.g. 150 CAD for 100 USD at 1.5)
+    expect(discountedBundleAmount(150, { type: 'PERCENTAGE', value: '10' }, 1.5)).toBeCloseTo(135);
+    expect(discountedBundleAmount(150, { type: 'AMOUNT', value: '10' }, 1.5)).toBeCloseTo(135);
+    expect(discountedBundleAmount(150, { type: 'FIXED_PRICE', value: '80' }, 1.5)).toBeCloseTo(120);
+  });
+
+  it('never goes below zero and ignores unknown rules', () => {
+    expect(discountedBundleAmount(10, { type: 'AMOUNT', value: '25' })).toBe(0);
+    expect(discountedBundleAmount(10, { type: 'PERCENTAGE', value: '150' })).toBe(0);
+    expect(discountedBundleAmount(10, { type: 'BOGO', value: '1' })).toBeNull();
+    expect(discountedBundleAmount(10, null)).toBeNull();
+  });
+});
+
+describe('componentListTotal', () => {
+  it('sums price × quantity and converts with the rate', () => {
+    expect(componentListTotal([{ quantity: 2, price: '10.00' }, { quantity: 1, price: 5 }], 2)).toBeCloseTo(50);
+  });
+
+  it('returns null when any component lacks a price', () => {
+    expect(componentListTotal([{ quantity: 1, price: '10.00' }, { quantity: 1 }])).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+// @ts-check
+
+/**
+ * @typedef {{ id: string, label?: string, quantity: number, collectionId: string }} Slot
+ * @typedef {{ key: string, quantity: number, collectionIds: Set<string> }} Pick
+ */
+
+// Caps the work per group: each augmenting path places at least one unit
+const MAX_UNITS = 60;
+
+/**
+ * Normalise slot definitions from bundle_config / merge definitions.
+ * @param {any} list
+ * @returns {Slot[]}
+ */
+export function readSlots(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((slot, i) => ({
+      id: String(slot?.id ?? `slot-${i + 1}`),
+      label: slot?.label,
+      quantity: Math.max(1, parseInt(slot?.quantity ?? 1, 10) || 1),
+      collectionId: slot?.collectionId,
+    }))
+    .filter((slot) => typeof slot.collectionId === "string" && slot.collectionId.startsWith("gid://"));
+}
+
+/**
+ * Collection GIDs a cart line's product belongs to, from the
+ * `product.inCollections(ids: $slotCollectionIds)` input field.
+ * @param {any} merch
+ * @returns {Set<string>}
+ */
+export function memberCollections(merch) {
+  const list = merch?.product?.inCollections ?? [];
+  return new Set(list.filter((m) => m?.isMember).map((m) => m.collectionId));
+}
+
+/**
+ * Check that the picked items fill the slots exactly `copies` times, e.g.
+ * "3 from collection X + 1 from collection Y" with 2 copies needs 6 + 2 items.
+ * An item may belong to several slot collections, so units are assigned as a maximum
+ * flow from picks to slots (each slot taking `quantity × copies` units): the picks fit
+ * when every unit gets a slot. Augmenting paths are found breadth-first, so the work is
+ * polynomial in picks × slots × units whatever the cart holds.
+ *
+ * @param {Slot[]} slots
+ * @param {Pick[]} picks
+ * @returns {{ copies: number, assignment: Record<string, Record<string, number>> } | null}
+ *   null when the picks don't fit; otherwise how many units of each pick went to each slot
+ */
+export function matchSlots(slots, picks) {
+  if (!slots.length || !picks.length) return null;
+
+  const perCopy = slots.reduce((sum, s) => sum + s.quantity, 0);
+  const units = picks.reduce((sum, p) => sum + p.quantity, 0);
+  if (units === 0 || units % perCopy !== 0 || units > MAX_UNITS) return null;
+
+  const copies = units / perCopy;
+  const slotLeft = slots.map((s) => s.quantity * copies);
+  const pickLeft = picks.map((p) => p.quantity);
+
+  // Slots each pick fits; a pick that fits none, or more units than its slots can take, can't be placed
+  const fitting = picks.map((p) => slots.flatMap((s, j) => (p.collectionIds.has(s.collectionId) ? [j] : [])));
+  for (const [i, list] of fitting.entries()) {
+    if (!list.length || list.reduce((sum, j) => sum + slotLeft[j], 0) < pickLeft[i]) return null;
+  }
+
+  /** units of pick i in slot j */
+  const flow = picks.map(() => slots.map(() => 0));
+
+  // Breadth-first search for a path pick → slot (→ pick already there → slot …) ending at a
+  // slot with room. Returns the path as alternating pick/slot indexes, or null.
+  const findPath = () => {
+    /** @type {(number | null)[]} the pick each slot was reached from */
+    const slotFrom = slots.map(() => null);
+    /** @type {(number | null)[]} the slot each pick was reached from (-1: a start) */
+    const pickFrom = picks.map(() => null);
+    const queue = [];
+    pickLeft.forEach((left, i) => {
+      if (left > 0) {
+        pickFrom[i] = -1;
+        queue.push(i);
+      }
+    });
+
+    for (let q = 0; q < queue.length; q += 1) {
+      const i = queue[q];
+      for (const j of fitting[i]) {
+        if (slotFrom[j] != null) continue;
+        slotFrom[j] = i;
+        if (slotLeft[j] > 0) {
+          const path = [];
+          for (let slot = j; slot !== -1; slot = /** @type {number} */ (pickFrom[path[path.length - 1]])) {
+            path.push(slot, /** @type {number} */ (slotFrom[slot]));
+          }
+          return path.reverse(); // [pick, slot, pick, slot, …]
+        }
+        // Move a unit already in slot j elsewhere
+        flow.forEach((row, k) => {
+          if (row[j] > 0 && pickFrom[k] == null) {
+            pickFrom[k] = j;
+            queue.push(k);
+          }
+        });
+      }
+    }
+    return null;
+  };
+
+  for (let placed = 0; placed < units; ) {
+    const path = findPath();
+    if (!path) return null;
+    const start = path[0];
+    const end = path[path.length - 1];
+    let amount = Math.min(pickLeft[start], slotLeft[end]);
+    // Backward steps (slot → pick) can only move what that pick has in that slot
+    for (let k = 2; k < path.length; k += 2) amount = Math.min(amount, flow[path[k]][path[k - 1]]);
+
+    for (let k = 0; k < path.length; k += 2) {
+      flow[path[k]][path[k + 1]] += amount;
+      if (k > 0) flow[path[k]][path[k - 1]] -= amount;
+    }
+    pickLeft[start] -= amount;
+    slotLeft[end] -= amount;
+    placed += amount;
+  }
+
+  /** @type {Record<string, Record<string, number>>} */
+  const assignment = {};
+  slots.forEach((slot, j) => {
+    picks.forEach((p, i) => {
+      if (!flow[i][j]) return;
+      assignment[slot.id] = assignment[slot.id] ?? {};
+      assignment[slot.id][p.key] = (assignment[slot.id][p.key] ?? 0) + flow[i][j];
+    });
+  });
+
+  return { copies, assignment };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { matchSlots, memberCollections, readSlots } from './slots';
+
+const X = 'gid://shopify/Collection/1';
+const Y = 'gid://shopify/Collection/2';
+
+const slots = readSlots([
+  { id: 'socks', label: 'Pick 3 socks', quantity: 3, collectionId: X },
+  { id: 'hat', label: 'Pick 1 hat', quantity: 1, collectionId: Y },
+]);
+
+const pick = (key, quantity, ...collections) => ({ key, quantity, collectionIds: new Set(collections) });
+
+describe('readSlots', () => {
+  it('drops slots without a collection and defaults quantity to 1', () => {
+    expect(readSlots([{ id: 'a', collectionId: X }, { id: 'b' }, null])).toEqual([
+      { id: 'a', label: undefined, quantity: 1, collectionId: X },
+    ]);
+    expect(readSlots('nope')).toEqual([]);
+  });
+});
+
+describe('memberCollections', () => {
+  it('keeps only collections the product is a member of', () => {
+    const merch = {
+      product: {
+        inCollections: [
+          { collectionId: X, isMember: true },
+          { collectionId: Y, isMember: false },
+        ],
+      },
+    };
+    expect([...memberCollections(merch)]).toEqual([X]);
+    expect(memberCollections({}).size).toBe(0);
+  });
+});
+
+describe('matchSlots', () => {
+  it('accepts picks that fill every slot exactly', () => {
+    const result = matchSlots(slots, [pick('a', 2, X), pick('b', 1, X), pick('c', 1, Y)]);
+
+    expect(result).toEqual({
+      copies: 1,
+      assignment: { socks: { a: 2, b: 1 }, hat: { c: 1 } },
+    });
+  });
+
+  it('accepts whole multiples of the box', () => {
+    expect(matchSlots(slots, [pick('a', 6, X), pick('c', 2, Y)])?.copies).toBe(2);
+  });
+
+  it('rejects items from the wrong collection', () => {
+    expect(matchSlots(slots, [pick('a', 3, X), pick('c', 1, X)])).toBeNull();
+  });
+
+  it('rejects too many or too few items', () => {
+    expect(matchSlots(slots, [pick('a', 2, X), pick('c', 1, Y)])).toBeNull();
+    expect(matchSlots(slots, [pick('a', 4, X), pick('c', 1, Y)])).toBeNull();
+  });
+
+  it('rejects a pick that fits no slot, or more of a pick than its slots hold', () => {
+    const Z = 'gid://shopify/Collection/3';
+    expect(matchSlots(slots, [pick('a', 3, X), pick('z', 1, Z)])).toBeNull();
+    expect(matchSlots(slots, [pick('a', 2, X), pick('h', 2, Y)])).toBeNull();
+  });
+
+  it('moves an item to another slot it fits when that makes room', () => {
+    // 'both' is in X and Y; greedy "first slot" would put it in socks and strand 'x3'
+    const result = matchSlots(slots, [pick('both', 1, X, Y), pick('x3', 3, X)]);
+
+    expect(result?.assignment).toEqual({ socks: { x3: 3 }, hat: { both: 1 } });
+  });
+
+  it('settles a large mixed cart quickly, whether or not it fits', () => {
+    // Two slots of 12 and 24 single picks, most fitting both: the case that made a
+    // depth-first search explore every combination
+    const twelve = readSlots([
+      { id: 'x', quantity: 12, collectionId: X },
+      { id: 'y', quantity: 12, collectionId: Y },
+    ]);
+    const mixed = (onlyX) => Array.from({ length: 24 }, (_, i) =>
+      (i < onlyX ? pick(`x${i}`, 1, X) : pick(`b${i}`, 1, X, Y)));
+
+    const started = performance.now();
+    expect(matchSlots(twelve, mixed(12))?.copies).toBe(1);
+    expect(matchSlots(twelve, mixed(13))).toBeNull();
+    expect(matchSlots(twelve, [...mixed(0).slice(0, 12), ...mixed(24).slice(12)])?.copies).toBe(1);
+    expect(performance.now() - started).toBeLessThan(50);
+  });
+
+  it('rejects empty input', () => {
+    expect(matchSlots([], [pick('a', 1, X)])).toBeNull();
+    expect(matchSlots(slots, [])).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "Bundle" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "handle" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "type" TEXT NOT NULL DEFAULT 'FIXED',
+    "discountType" TEXT,
+    "discountValue" TEXT,
+    "autoMerge" BOOLEAN NOT NULL DEFAULT false,
+    "config" TEXT,
+    "syncedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "BundleComponent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "bundleId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "price" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "BundleComponent_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "Bundle" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Bundle_shop_status_idx" ON "Bundle"("shop", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Bundle_shop_productId_key" ON "Bundle"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "BundleComponent_variantId_idx" ON "BundleComponent"("variantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BundleComponent_bundleId_variantId_key" ON "BundleComponent"("bundleId", "variantId");
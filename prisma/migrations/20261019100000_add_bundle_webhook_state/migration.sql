@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "hasMissingComponents" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "BundleComponent" ADD COLUMN "missing" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "BundleComponent" ADD COLUMN "inventoryItemId" TEXT;
+ALTER TABLE "BundleComponent" ADD COLUMN "inventoryQuantity" INTEGER;
+
+-- CreateTable
+CREATE TABLE "WebhookDelivery" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "receivedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "BundleComponent_productId_idx" ON "BundleComponent"("productId");
+
+-- CreateIndex
+CREATE INDEX "BundleComponent_inventoryItemId_idx" ON "BundleComponent"("inventoryItemId");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_shop_receivedAt_idx" ON "WebhookDelivery"("shop", "receivedAt");
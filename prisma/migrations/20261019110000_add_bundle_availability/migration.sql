@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "availableQuantity" INTEGER;
+ALTER TABLE "Bundle" ADD COLUMN "inventorySync" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BundleComponent" ADD COLUMN "substituteFor" TEXT;
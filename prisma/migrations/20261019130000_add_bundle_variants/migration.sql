@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "variantConfigs" TEXT;
+ALTER TABLE "Bundle" ADD COLUMN "variantAvailability" TEXT;
+
+-- AlterTable
+ALTER TABLE "BundleComponent" ADD COLUMN "bundleVariantId" TEXT;
+
+-- Existing rows belong to their bundle's only variant
+UPDATE "BundleComponent" SET "bundleVariantId" = (
+  SELECT "variantId" FROM "Bundle" WHERE "Bundle"."id" = "BundleComponent"."bundleId"
+);
+
+-- DropIndex
+DROP INDEX "BundleComponent_bundleId_variantId_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BundleComponent_bundleId_bundleVariantId_variantId_key" ON "BundleComponent"("bundleId", "bundleVariantId", "variantId");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "BundleCreation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "plan" TEXT NOT NULL,
+    "state" TEXT,
+    "completed" TEXT NOT NULL DEFAULT '[]',
+    "status" TEXT NOT NULL DEFAULT 'IN_PROGRESS',
+    "failedStep" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "BundleCreation_shop_status_idx" ON "BundleCreation"("shop", "status");
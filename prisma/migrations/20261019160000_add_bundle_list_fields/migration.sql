@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "componentCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "BundleComponent" ADD COLUMN "title" TEXT;
+ALTER TABLE "BundleComponent" ADD COLUMN "sku" TEXT;
+
+-- Existing rows: count the first variant's components, or the slots of a mix-and-match bundle
+-- (component titles are filled in when the bundles are next read from Shopify)
+UPDATE "Bundle" SET "componentCount" = CASE
+  WHEN "type" = 'MIX_AND_MATCH' THEN COALESCE(json_array_length("config", '$.slots'), 0)
+  ELSE (
+    SELECT COUNT(*) FROM "BundleComponent"
+    WHERE "BundleComponent"."bundleId" = "Bundle"."id"
+      AND "BundleComponent"."bundleVariantId" = "Bundle"."variantId"
+      AND "BundleComponent"."substituteFor" IS NULL
+  )
+END;
+
+-- CreateIndex
+CREATE INDEX "Bundle_shop_createdAt_idx" ON "Bundle"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Bundle_shop_updatedAt_idx" ON "Bundle"("shop", "updatedAt");
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "BundleOrder" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "processedAt" DATETIME NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "BundleSale" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "orderRowId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "title" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "units" INTEGER NOT NULL,
+    "revenue" REAL NOT NULL,
+    "listValue" REAL,
+    "processedAt" DATETIME NOT NULL,
+    CONSTRAINT "BundleSale_orderRowId_fkey" FOREIGN KEY ("orderRowId") REFERENCES "BundleOrder" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BundleOrder_shop_orderId_key" ON "BundleOrder"("shop", "orderId");
+
+-- CreateIndex
+CREATE INDEX "BundleOrder_shop_processedAt_idx" ON "BundleOrder"("shop", "processedAt");
+
+-- CreateIndex
+CREATE INDEX "BundleSale_shop_processedAt_idx" ON "BundleSale"("shop", "processedAt");
+
+-- CreateIndex
+CREATE INDEX "BundleSale_orderRowId_idx" ON "BundleSale"("orderRowId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN "throttles" INTEGER NOT NULL DEFAULT 0;